@@ -0,0 +1,617 @@
+// GitHub REST API client shared by the whole app: base URL (github.com or a GitHub
+// Enterprise Server), authentication, the localStorage response cache, typed errors,
+// timeouts and retries, rate-limit tracking and Link-header pagination
+
+// Every failure is a GitHubApiError subclass, so callers can branch with instanceof.
+// `retryable` marks transient failures that are worth trying again. `code` is the
+// message key the UI translates (with `params`); `message` is the English text for logs.
+class GitHubApiError extends Error {
+    constructor(message, { status = 0, rateLimit = null, retryable = false, code = null, params = {} } = {}) {
+        super(message);
+        this.name = this.constructor.name;
+        this.status = status;
+        this.rateLimit = rateLimit;
+        this.retryable = retryable;
+        this.code = code;
+        this.params = params;
+    }
+}
+
+class NotFoundError extends GitHubApiError {}
+
+// The hourly quota is used up
+class RateLimitError extends GitHubApiError {}
+
+// Too many requests too quickly (Retry-After says how long to back off)
+class SecondaryRateLimitError extends GitHubApiError {}
+
+// GitHub's abuse detection mechanism blocked the request
+class AbuseError extends GitHubApiError {}
+
+// 401, or a 403 that isn't about rate limits (missing scope, SSO, blocked)
+class AuthError extends GitHubApiError {}
+
+class NetworkError extends GitHubApiError {}
+
+class TimeoutError extends GitHubApiError {}
+
+class GitHubApiClient {
+    constructor({ baseUrl, token = null, fetch = null, onRateLimit = () => {} } = {}) {
+        this.setBaseUrl(baseUrl);
+        this.token = token;
+        // Injectable for tests; the global is looked up per call so it can be swapped later
+        this.fetch = fetch || ((...args) => globalThis.fetch(...args));
+        this.onRateLimit = onRateLimit;
+
+        // Each attempt gets `timeout` ms; transient failures are retried with exponential backoff
+        this.timeout = 15000;
+        this.maxRetries = 2;
+        this.retryDelay = 500;
+        this.retryStatuses = [500, 502, 503, 504];
+        this.rateLimit = {
+            limit: 60,
+            remaining: 60,
+            reset: 0,
+            retryAfter: 0
+        };
+
+        // Response cache (fresh for cacheTTL, kept for conditional requests until cacheMaxAge)
+        this.cachePrefix = 'github-cache:';
+        this.cacheTTL = 10 * 60 * 1000;
+        this.cacheMaxAge = 7 * 24 * 60 * 60 * 1000;
+        this.servedFromCache = new Map();
+        this.pruneCache();
+    }
+
+    // Accepts "https://ghe.example.com", "ghe.example.com/api/v3/" and the like
+    static normalizeBaseUrl(value) {
+        const text = (value || '').trim();
+        if (!text) return GitHubApiClient.defaultBaseUrl;
+
+        // Throws for anything that isn't an http(s) URL or a bare host
+        const url = new URL(/^https?:\/\//i.test(text) ? text : `https://${text}`);
+
+        let path = url.pathname.replace(/\/+$/, '');
+        // Enterprise Server serves the REST API under /api/v3
+        if (!path && url.hostname !== 'api.github.com') {
+            path = '/api/v3';
+        }
+
+        return `${url.origin}${path}`;
+    }
+
+    setBaseUrl(baseUrl) {
+        this.baseUrl = GitHubApiClient.normalizeBaseUrl(baseUrl);
+    }
+
+    get isEnterprise() {
+        return this.baseUrl !== GitHubApiClient.defaultBaseUrl;
+    }
+
+    // The web UI that matches the API: github.com, or the Enterprise host without /api/v3
+    get webUrl() {
+        if (!this.isEnterprise) return 'https://github.com';
+
+        const url = new URL(this.baseUrl);
+        return `${url.origin}${url.pathname.replace(/\/api\/v3$/, '')}`;
+    }
+
+    get graphqlUrl() {
+        return this.isEnterprise
+            ? `${new URL(this.baseUrl).origin}/api/graphql`
+            : `${this.baseUrl}/graphql`;
+    }
+
+    // Base URL for raw files in a repository at `ref` (Enterprise has no raw.githubusercontent.com)
+    rawUrl(fullName, ref) {
+        return this.isEnterprise
+            ? `${this.webUrl}/${fullName}/raw/${ref}/`
+            : `https://raw.githubusercontent.com/${fullName}/${ref}/`;
+    }
+
+    url(path) {
+        return /^https?:\/\//.test(path) ? path : `${this.baseUrl}${path}`;
+    }
+
+    headers(token = this.token) {
+        const headers = {
+            'Accept': 'application/vnd.github.v3+json'
+        };
+        if (token) {
+            headers['Authorization'] = `Bearer ${token}`;
+        }
+        return headers;
+    }
+
+    // Fetch an API path through the localStorage response cache. Fresh entries are
+    // served without a request; stale ones are revalidated with If-None-Match and
+    // reused when GitHub answers 304 Not Modified.
+    // `html` asks GitHub to render Markdown content (e.g. READMEs) and returns it as a string
+    async request(path, { forceRefresh = false, html = false, signal = null } = {}) {
+        const url = this.url(path);
+        const key = this.cacheKey(url);
+        const entry = this.readCache(key);
+
+        // Offline, any saved copy is better than a failed request
+        if (entry && !forceRefresh && (this.isOffline() || Date.now() - entry.cachedAt < this.cacheTTL)) {
+            return this.cachedResponse(key, entry);
+        }
+
+        const headers = this.headers();
+        if (html) {
+            headers['Accept'] = 'application/vnd.github.html+json';
+        }
+        if (entry && entry.etag) {
+            headers['If-None-Match'] = entry.etag;
+        } else if (entry && entry.lastModified) {
+            headers['If-Modified-Since'] = entry.lastModified;
+        }
+
+        let response;
+        try {
+            // no-cache tells the service worker to skip its stale copy
+            response = await this.send(url, { headers, cache: forceRefresh ? 'no-cache' : 'default' }, signal);
+        } catch (error) {
+            // Unreachable after retries: fall back to the saved copy, if any
+            if (entry && error instanceof GitHubApiError) return this.cachedResponse(key, entry);
+            throw error;
+        }
+        this.updateRateLimit(response.headers);
+
+        if (response.status === 304 && entry) {
+            entry.cachedAt = Date.now();
+            this.writeCache(key, entry);
+            return this.cachedResponse(key, entry);
+        }
+
+        // GitHub is still failing after the retries: an older copy beats an error page
+        if (this.retryStatuses.includes(response.status) && entry) {
+            return this.cachedResponse(key, entry);
+        }
+
+        if (!response.ok) {
+            const message = await this.errorMessage(response);
+            const rateLimit = this.detectRateLimit(response, message);
+            return { ok: false, status: response.status, headers: response.headers, data: null, rateLimit, message };
+        }
+
+        const data = html ? await response.text() : await response.json();
+        // Set when the service worker answered from its own cache
+        const savedAt = parseInt(response.headers.get('X-Cached-At')) || null;
+        this.writeCache(key, {
+            data,
+            etag: response.headers.get('ETag'),
+            lastModified: response.headers.get('Last-Modified'),
+            link: response.headers.get('Link'),
+            cachedAt: savedAt || Date.now()
+        });
+        if (savedAt) {
+            this.servedFromCache.set(key, savedAt);
+        } else {
+            this.servedFromCache.delete(key);
+        }
+
+        return { ok: true, status: response.status, headers: response.headers, data };
+    }
+
+    // Like request(), but resolves to the data and throws a GitHubApiError otherwise
+    async get(path, options = {}, codes = {}) {
+        const response = await this.request(path, options);
+
+        if (!response.ok) {
+            throw this.toError(response, codes);
+        }
+
+        return response.data;
+    }
+
+    // Run a GraphQL v4 query (token required) through the same response cache.
+    // Resolves to { data, cachedAt }, where cachedAt is set when the cache answered.
+    async graphql(query, variables = {}, { forceRefresh = false, signal = null } = {}) {
+        const body = JSON.stringify({ query, variables });
+        const key = this.graphqlCacheKey(query, variables);
+        const entry = this.readCache(key);
+
+        if (entry && !forceRefresh && (this.isOffline() || Date.now() - entry.cachedAt < this.cacheTTL)) {
+            return { data: entry.data, cachedAt: entry.cachedAt };
+        }
+
+        let response;
+        try {
+            response = await this.send(this.graphqlUrl, {
+                method: 'POST',
+                headers: { ...this.headers(), 'Content-Type': 'application/json' },
+                body
+            }, signal);
+        } catch (error) {
+            if (entry && error instanceof GitHubApiError) return { data: entry.data, cachedAt: entry.cachedAt };
+            throw error;
+        }
+        this.updateRateLimit(response.headers);
+
+        if (!response.ok) {
+            const message = await this.errorMessage(response);
+            throw this.toError({ status: response.status, rateLimit: this.detectRateLimit(response, message), message });
+        }
+
+        // GraphQL reports most failures with a 200 and an `errors` array
+        const { data, errors } = await response.json();
+        if (errors && errors.length > 0) {
+            const types = errors.map(error => error.type);
+            const { message } = errors[0];
+            if (types.includes('NOT_FOUND')) throw new NotFoundError(message, { status: 404, code: 'api.notFound' });
+            if (types.includes('RATE_LIMITED')) throw new RateLimitError(message, { status: 403, rateLimit: 'primary', code: 'api.rateLimit' });
+            if (types.includes('FORBIDDEN')) throw new AuthError(message, { status: 403, code: 'api.forbiddenDetail', params: { detail: message } });
+            throw new GitHubApiError(message, { status: response.status, code: 'api.failedDetail', params: { detail: message } });
+        }
+
+        this.writeCache(key, { data, cachedAt: Date.now() });
+
+        return { data, cachedAt: null };
+    }
+
+    // Collect every page by following the Link header (capped to protect the rate limit).
+    // Pages already collected are returned if a later one fails.
+    async paginate(path, { maxPages = 10, ...options } = {}, codes = {}) {
+        const items = [];
+        let url = path;
+        let pages = 0;
+
+        while (url && pages < maxPages) {
+            const response = await this.request(url, options);
+
+            if (!response.ok) {
+                if (items.length > 0) break;
+                throw this.toError(response, codes);
+            }
+
+            items.push(...response.data);
+            url = this.parseLinkHeader(response.headers.get('Link')).next;
+            pages++;
+        }
+
+        return items;
+    }
+
+    isOffline() {
+        return typeof navigator !== 'undefined' && navigator.onLine === false;
+    }
+
+    // fetch() with a timeout, the caller's AbortSignal and exponential backoff for
+    // transient failures (network errors, timeouts and 5xx answers)
+    async send(url, init = {}, signal = null) {
+        for (let attempt = 0; ; attempt++) {
+            let response = null;
+            let failure = null;
+
+            try {
+                response = await this.fetchWithTimeout(url, init, signal);
+            } catch (error) {
+                if (!(error instanceof GitHubApiError)) throw error;
+                failure = error;
+            }
+
+            const transient = failure || this.retryStatuses.includes(response.status);
+            if (!transient || attempt >= this.maxRetries || this.isOffline()) {
+                if (failure) throw failure;
+                return response;
+            }
+
+            // 0.5s, 1s, ... with jitter so parallel requests don't retry in lockstep
+            await this.wait(this.retryDelay * 2 ** attempt * (1 + Math.random() / 2), signal);
+        }
+    }
+
+    async fetchWithTimeout(url, init, signal) {
+        this.throwIfAborted(signal);
+
+        const controller = new AbortController();
+        const cancel = () => controller.abort();
+        let timedOut = false;
+        const timer = setTimeout(() => {
+            timedOut = true;
+            controller.abort();
+        }, this.timeout);
+        if (signal) {
+            signal.addEventListener('abort', cancel);
+        }
+
+        try {
+            const response = await this.fetch(url, { ...init, signal: controller.signal });
+            this.throwIfAborted(signal);
+            return response;
+        } catch (error) {
+            this.throwIfAborted(signal);
+            if (timedOut) {
+                const params = { host: new URL(url).host, seconds: this.timeout / 1000 };
+                throw new TimeoutError(`${params.host} did not answer within ${params.seconds} seconds.`, { retryable: true, code: 'api.timeout', params });
+            }
+            throw this.networkError(error);
+        } finally {
+            clearTimeout(timer);
+            if (signal) {
+                signal.removeEventListener('abort', cancel);
+            }
+        }
+    }
+
+    // Cancellation is not an error to report, so it stays a plain AbortError
+    throwIfAborted(signal) {
+        if (signal && signal.aborted) {
+            throw new DOMException('The request was cancelled.', 'AbortError');
+        }
+    }
+
+    wait(ms, signal) {
+        return new Promise((resolve, reject) => {
+            const timer = setTimeout(resolve, ms);
+            if (signal) {
+                signal.addEventListener('abort', () => {
+                    clearTimeout(timer);
+                    reject(new DOMException('The request was cancelled.', 'AbortError'));
+                }, { once: true });
+            }
+        });
+    }
+
+    // fetch() rejects when the network is down or the server can't be reached
+    networkError(error) {
+        if (this.isOffline()) {
+            return new NetworkError('You are offline and there is no saved copy of this yet.', { code: 'api.offline' });
+        }
+
+        const params = { host: new URL(this.baseUrl).host };
+        return new NetworkError(`Could not reach ${params.host}. Check your connection and try again.`, { retryable: true, code: 'api.unreachable', params });
+    }
+
+    // GitHub explains most errors in a JSON `message`
+    async errorMessage(response) {
+        try {
+            return (await response.clone().json()).message || '';
+        } catch (error) {
+            // Non-JSON error body
+            return '';
+        }
+    }
+
+    // Turn a failed response into a typed error. `codes` swaps in the caller's message
+    // keys for notFound, rateLimit and failed.
+    toError(response, codes = {}) {
+        const { status, rateLimit, message: detail } = response;
+        // Statuses are identifiers, not quantities, so they aren't localized as numbers
+        const params = { status: String(status) };
+
+        if (status === 404) {
+            return new NotFoundError('Not found on GitHub.', { status, code: codes.notFound || 'api.notFound' });
+        }
+        if (rateLimit === 'abuse') {
+            return new AbuseError('GitHub\'s abuse detection paused these requests. Wait a minute before trying again.', { status, rateLimit, code: 'api.abuse' });
+        }
+        if (rateLimit === 'secondary') {
+            return new SecondaryRateLimitError('GitHub secondary rate limit hit. Slow down and try again shortly.', { status, rateLimit, code: 'api.secondaryRateLimit' });
+        }
+        if (rateLimit === 'primary') {
+            return new RateLimitError('API rate limit exceeded. Please try again later.', { status, rateLimit, code: codes.rateLimit || 'api.rateLimit' });
+        }
+        if (status === 401) {
+            return new AuthError('GitHub rejected the access token. It may be expired or revoked.', { status, code: 'api.unauthorized' });
+        }
+        if (status === 403) {
+            return detail
+                ? new AuthError(`GitHub refused access: ${detail}`, { status, code: 'api.forbiddenDetail', params: { detail } })
+                : new AuthError('GitHub refused access to this resource.', { status, code: 'api.forbidden' });
+        }
+        if (status >= 500) {
+            return new GitHubApiError(`GitHub is having trouble right now (HTTP ${status}). Try again in a moment.`, { status, retryable: true, code: 'api.serverError', params });
+        }
+
+        return new GitHubApiError(`GitHub request failed (HTTP ${status}).`, { status, code: codes.failed || 'api.failed', params });
+    }
+
+    // Parse a GitHub `Link` header into a { rel: url } map
+    parseLinkHeader(header) {
+        const links = {};
+        if (!header) return links;
+
+        header.split(',').forEach(part => {
+            const match = part.match(/<([^>]+)>;\s*rel="([^"]+)"/);
+            if (match) {
+                links[match[2]] = match[1];
+            }
+        });
+
+        return links;
+    }
+
+    updateRateLimit(headers) {
+        if (!headers.has('X-RateLimit-Remaining')) return;
+
+        // Search and GraphQL have their own buckets; the meter tracks the core REST quota
+        const resource = headers.get('X-RateLimit-Resource');
+        if (resource && resource !== 'core') return;
+
+        this.rateLimit.limit = parseInt(headers.get('X-RateLimit-Limit') || this.rateLimit.limit);
+        this.rateLimit.remaining = parseInt(headers.get('X-RateLimit-Remaining') || '0');
+        this.rateLimit.reset = parseInt(headers.get('X-RateLimit-Reset') || '0');
+        this.onRateLimit(this.rateLimit);
+    }
+
+    // Work out whether a 403/429 is a primary limit (quota used up), a secondary limit
+    // (too many requests too quickly) or abuse detection; null for any other failure
+    detectRateLimit(response, message) {
+        if (response.status !== 403 && response.status !== 429) return null;
+
+        const retryAfter = response.headers.get('Retry-After');
+        const abuse = /abuse/i.test(message);
+
+        if (abuse || retryAfter || /secondary rate limit/i.test(message) || response.status === 429) {
+            const seconds = parseInt(retryAfter) || 60;
+            this.rateLimit.retryAfter = Date.now() + seconds * 1000;
+            this.onRateLimit(this.rateLimit);
+            return abuse ? 'abuse' : 'secondary';
+        }
+
+        if (response.headers.get('X-RateLimit-Remaining') === '0' || /rate limit/i.test(message)) {
+            return 'primary';
+        }
+
+        return null;
+    }
+
+    // Refresh the quota from /rate_limit, which does not count against it
+    async fetchRateLimit() {
+        const response = await this.send(this.url('/rate_limit'), { headers: this.headers(), cache: 'no-store' });
+
+        // Enterprise servers with rate limiting disabled answer 404
+        if (!response.ok) return this.rateLimit;
+
+        const { resources } = await response.json();
+        this.rateLimit.limit = resources.core.limit;
+        this.rateLimit.remaining = resources.core.remaining;
+        this.rateLimit.reset = resources.core.reset;
+        this.onRateLimit(this.rateLimit);
+
+        return this.rateLimit;
+    }
+
+    // Confirm the base URL is a GitHub API (/meta is public on github.com and Enterprise Server)
+    async checkServer() {
+        const response = await this.send(this.url('/meta'), { headers: this.headers(null), cache: 'no-store' });
+
+        if (!response.ok) {
+            const params = { url: this.baseUrl, status: String(response.status) };
+            throw new GitHubApiError(`${this.baseUrl} did not answer like a GitHub API (HTTP ${response.status}).`, { status: response.status, code: 'api.notGitHub', params });
+        }
+
+        return response.json();
+    }
+
+    // Check a token against /user; resolves to the account and its classic OAuth scopes
+    async validateToken(token) {
+        // no-store keeps the browser and the service worker from answering with another token's account
+        const response = await this.send(this.url('/user'), { headers: this.headers(token), cache: 'no-store' });
+
+        if (!response.ok) {
+            if (response.status === 401) {
+                throw new AuthError('GitHub rejected this token. It may be expired or revoked.', { status: 401, code: 'api.tokenRejected' });
+            }
+            throw new GitHubApiError(`Token validation failed (HTTP ${response.status}).`, { status: response.status, code: 'api.tokenCheckFailed', params: { status: String(response.status) } });
+        }
+
+        const user = await response.json();
+        const scopes = response.headers.get('X-OAuth-Scopes');
+
+        this.updateRateLimit(response.headers);
+
+        return {
+            user,
+            // Fine-grained tokens don't report classic OAuth scopes
+            scopes: scopes === null ? null : scopes.split(',').map(scope => scope.trim()).filter(Boolean)
+        };
+    }
+
+    // A GraphQL response is keyed on the operation name and its variables, the way a REST
+    // response is keyed on its path and query string ("…/graphql#profile?login=octocat").
+    // Unnamed operations fall back to the query text itself.
+    graphqlCacheKey(query, variables = {}) {
+        const match = query.match(/\b(?:query|mutation)\s+(\w+)/);
+        const operation = match ? match[1] : query.replace(/\s+/g, ' ').trim();
+        // Logins are case-insensitive like REST paths, but cursors are not
+        const params = new URLSearchParams(Object.entries(variables)
+            .map(([name, value]) => [name, name === 'login' ? String(value).toLowerCase() : value])
+            .sort(([a], [b]) => a.localeCompare(b)));
+
+        return `${this.cacheKey(this.graphqlUrl)}#${operation.toLowerCase()}?${params}`;
+    }
+
+    // GitHub logins are case-insensitive, so "Torvalds" and "torvalds" share an entry
+    cacheKey(url) {
+        return url.toLowerCase();
+    }
+
+    // When the response for `path` was last served from the cache, if it was
+    cachedAt(path) {
+        return this.servedFromCache.get(this.cacheKey(this.url(path)));
+    }
+
+    cachedResponse(key, entry) {
+        this.servedFromCache.set(key, entry.cachedAt);
+
+        return {
+            ok: true,
+            status: 200,
+            headers: new Headers(entry.link ? { Link: entry.link } : {}),
+            data: entry.data
+        };
+    }
+
+    readCache(key) {
+        try {
+            return JSON.parse(localStorage.getItem(this.cachePrefix + key));
+        } catch (error) {
+            return null;
+        }
+    }
+
+    // Caching is best effort: an entry that still doesn't fit after pruning is skipped and
+    // the storage error is returned instead of failing the request that produced it
+    writeCache(key, entry) {
+        const value = JSON.stringify(entry);
+
+        try {
+            localStorage.setItem(this.cachePrefix + key, value);
+        } catch (error) {
+            // Storage is full: drop the oldest half of the cache and try once more
+            this.pruneCache(true);
+            try {
+                localStorage.setItem(this.cachePrefix + key, value);
+            } catch (retryError) {
+                return retryError;
+            }
+        }
+        return null;
+    }
+
+    // Remove expired cache entries, or the oldest half of them when evicting
+    pruneCache(evict = false) {
+        const entries = [];
+
+        for (let i = 0; i < localStorage.length; i++) {
+            const key = localStorage.key(i);
+            if (key && key.startsWith(this.cachePrefix)) {
+                const entry = this.readCache(key.slice(this.cachePrefix.length));
+                entries.push({ key, cachedAt: entry ? entry.cachedAt : 0 });
+            }
+        }
+
+        entries.sort((a, b) => a.cachedAt - b.cachedAt);
+        const cutoff = evict ? Math.ceil(entries.length / 2) : 0;
+
+        entries.forEach((entry, index) => {
+            if (index < cutoff || Date.now() - entry.cachedAt > this.cacheMaxAge) {
+                localStorage.removeItem(entry.key);
+            }
+        });
+    }
+
+    clearCache() {
+        for (let i = localStorage.length - 1; i >= 0; i--) {
+            const key = localStorage.key(i);
+            if (key && key.startsWith(this.cachePrefix)) {
+                localStorage.removeItem(key);
+            }
+        }
+        this.servedFromCache.clear();
+
+        // The service worker keeps its own copy of API responses under a versioned name (see sw.js)
+        if (typeof caches !== 'undefined') {
+            caches.keys()
+                .then(keys => Promise.all(keys
+                    .filter(key => key.startsWith('github-api'))
+                    .map(key => caches.delete(key))))
+                .catch(() => {});
+        }
+    }
+}
+
+GitHubApiClient.defaultBaseUrl = 'https://api.github.com';
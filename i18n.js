@@ -0,0 +1,970 @@
+// Interface language: message catalogs, plural rules and Intl based number and date
+// formatting. Static markup names its message with data-i18n attributes, everything
+// built in script asks for it with t()
+
+// Languages offered in the picker, each named in its own language
+const LOCALES = {
+    en: { name: 'English', dir: 'ltr' },
+    ar: { name: 'العربية', dir: 'rtl' }
+};
+
+// {name} placeholders are filled from the params passed to t(); numbers are formatted for
+// the language. A message that depends on a count is an object keyed by plural category
+// (see Intl.PluralRules), with `other` as the fallback. Keys missing from a catalog fall
+// back to English.
+const MESSAGES = {
+    en: {
+        'app.documentTitle': 'GitHub Profile Search - Professional Developer Tool',
+        'app.title': 'GitHub Profile Search',
+        'app.tagline': 'Discover amazing developers and their contributions',
+        'app.footer': '© 2024 GitHub Profile Search. Built with ❤️ for developers.',
+        'app.online': 'Connection restored!',
+        'app.onlineSnapshot': 'Connection restored! Refresh to replace the offline snapshot.',
+        'app.offline': 'You are offline. Profiles you have viewed before are still available.',
+        'app.imageMissing': 'Image not available',
+        'header.language': 'Language',
+        'header.watchlist': 'Watchlist',
+        'header.openWatchlist': 'Open watchlist',
+        'header.settings': 'Settings',
+        'header.openSettings': 'Open settings',
+        'header.toggleTheme': 'Toggle theme',
+
+        'settings.close': 'Close settings',
+        'settings.token': 'Personal access token',
+        'settings.tokenLabel': 'GitHub personal access token',
+        'settings.toggleToken': 'Show or hide token',
+        'settings.rememberToken': 'Remember on this device (stored in localStorage)',
+        'settings.graphql': 'Load profiles, repositories and contributions in one GraphQL request when a token is set',
+        'settings.saveToken': 'Save & Validate',
+        'settings.removeToken': 'Remove Token',
+        'settings.apiServer': 'API server',
+        'settings.apiBaseLabel': 'GitHub API base URL',
+        'settings.saveApiBase': 'Save & Connect',
+        'settings.resetApiBase': 'Use github.com',
+        'settings.backup': 'Backup',
+        'settings.tokenMissing': 'Paste a personal access token first.',
+        'settings.validating': 'Validating token...',
+        'settings.authenticated': 'Authenticated as {login}',
+        'settings.tokenRemoved': 'Token removed. Using unauthenticated requests.',
+        'settings.noToken': 'No token configured: limited to 60 requests per hour.',
+        'settings.fineGrained': 'Fine-grained token (permissions managed on GitHub)',
+        'settings.noScopes': 'No scopes (public data only)',
+        'settings.scopes': 'Scopes',
+        'settings.rateLimit': 'Rate limit',
+        'settings.requestsPerHour': '{count} requests/hour',
+        'settings.invalidUrl': 'Enter a valid URL, e.g. https://ghe.example.com/api/v3',
+        'settings.connecting': 'Connecting...',
+        'settings.unreachable': 'Could not reach {url}. Check the URL and that this page is allowed to call it (CORS).',
+        'settings.nowUsing': 'Now using {host}',
+        'settings.enterprise': 'GitHub Enterprise Server: {url}',
+        'settings.usingGitHub': 'Using github.com (api.github.com).',
+        'watchlist.close': 'Close watchlist',
+        'watchlist.export': 'Export watchlist:',
+        'watchlist.openChanged': { one: 'Open watchlist ({count} profile changed)', other: 'Open watchlist ({count} profiles changed)' },
+        'watchlist.empty': 'Watch a profile to pin it here with the stats it had when you last looked.',
+        'watchlist.lastSeen': '@{login} · last seen {time}',
+        'watchlist.newChanges': '{count} new',
+        'watchlist.publicRepos': 'Public repositories',
+        'watchlist.unwatch': 'Stop watching {login}',
+        'watchlist.storageFull': 'Browser storage is full, so changes to watched profiles can\'t be recorded. Unwatch some profiles to free up space.',
+        'changes.title': 'What\'s new',
+        'changes.none': 'No changes',
+        'changes.since': 'since you last looked {time}',
+        'changes.dismiss': 'Dismiss change summary',
+        'changes.history': 'Snapshot history ({count})',
+        'changes.taken': 'Taken',
+        'changes.followersGained': { one: '+{count} follower ({before} → {after})', other: '+{count} followers ({before} → {after})' },
+        'changes.followersLost': { one: '-{count} follower ({before} → {after})', other: '-{count} followers ({before} → {after})' },
+        'changes.field.name': 'Name',
+        'changes.field.bio': 'Bio',
+        'changes.field.company': 'Company',
+        'changes.field.location': 'Location',
+        'changes.field.blog': 'Blog',
+        'changes.fieldChanged': '{field} changed to “{after}”',
+        'changes.fieldChangedFrom': '{field} changed to “{after}” (was “{before}”)',
+        'changes.fieldRemoved': '{field} removed (was “{before}”)',
+        'changes.newRepos': { one: '{count} new repository: {names}', other: '{count} new repositories: {names}' },
+        'changes.newStars': 'New stars on {repos}',
+        'changes.repoStars': '{name} (+{count})',
+        'changes.andMore': '{items} and {count} more',
+        'import.invalidJson': 'That file is not valid JSON.',
+        'import.empty': 'No history or watchlist entries found in that file.',
+        'import.done': 'Imported {history} and {watched}.',
+        'import.historyCount': { one: '{count} history entry', other: '{count} history entries' },
+        'import.watchedCount': { one: '{count} new watched profile', other: '{count} new watched profiles' },
+
+        'mode.search': 'Search',
+        'mode.compare': 'Compare',
+        'mode.discover': 'Discover',
+        'mode.bulk': 'Bulk',
+
+        'search.placeholder': 'Enter GitHub username...',
+        'search.inputLabel': 'GitHub username input',
+        'search.buttonLabel': 'Search GitHub user',
+        'search.button': 'Search',
+        'search.searching': 'Searching...',
+        'search.loading': 'Searching GitHub...',
+        'search.try': 'Try:',
+        'search.recent': 'Recent:',
+        'search.clearHistory': 'Clear',
+        'search.removeHistory': 'Remove {login} from history',
+        'search.orgBadge': 'Org',
+        'search.empty': 'Please enter a GitHub username',
+        'search.invalid': 'That is not a valid GitHub username. Usernames use letters, digits and single hyphens.',
+        'search.notFound': 'User not found. Please check the username and try again.',
+        'search.failed': 'Failed to fetch user profile. Please try again.',
+        'search.queuedIn': '{reason}. Your search for "{username}" is queued and will run automatically in {time}.',
+        'search.queuedSoon': '{reason}. Your search for "{username}" is queued and will run automatically shortly.',
+
+        'rateLimit.label': 'API quota',
+        'rateLimit.remaining': '{remaining} / {limit} requests left',
+        'rateLimit.resetsIn': 'Resets in {time}',
+        'rateLimit.resetsAt': 'Resets at {time}',
+        'rateLimit.retryIn': 'Secondary limit: retry in {time}',
+        'rateLimit.queued': { one: '{count} search queued', other: '{count} searches queued' },
+        'rateLimit.cancel': 'Cancel',
+        'rateLimit.exceeded': 'API rate limit exceeded',
+        'rateLimit.secondary': 'GitHub secondary rate limit hit',
+
+        'error.updateToken': 'Update your token',
+        'error.tryAgain': 'Try again',
+        'api.notFound': 'Not found on GitHub.',
+        'api.abuse': 'GitHub\'s abuse detection paused these requests. Wait a minute before trying again.',
+        'api.secondaryRateLimit': 'GitHub secondary rate limit hit. Slow down and try again shortly.',
+        'api.rateLimit': 'API rate limit exceeded. Please try again later.',
+        'api.unauthorized': 'GitHub rejected the access token. It may be expired or revoked.',
+        'api.forbidden': 'GitHub refused access to this resource.',
+        'api.forbiddenDetail': 'GitHub refused access: {detail}',
+        'api.serverError': 'GitHub is having trouble right now (HTTP {status}). Try again in a moment.',
+        'api.failed': 'GitHub request failed (HTTP {status}).',
+        'api.failedDetail': 'GitHub request failed: {detail}',
+        'api.timeout': '{host} did not answer within {seconds} seconds.',
+        'api.offline': 'You are offline and there is no saved copy of this yet.',
+        'api.unreachable': 'Could not reach {host}. Check your connection and try again.',
+        'api.notGitHub': '{url} did not answer like a GitHub API (HTTP {status}).',
+        'api.tokenRejected': 'GitHub rejected this token. It may be expired or revoked.',
+        'api.tokenCheckFailed': 'Token validation failed (HTTP {status}).',
+
+        'profile.avatarAlt': '{name}\'s profile picture',
+        'profile.organization': 'Organization',
+        'profile.verifiedOrganization': 'Verified organization',
+        'profile.noBio': 'No bio available',
+        'profile.notSpecified': 'Not specified',
+        'profile.joined': 'Joined {time}',
+        'profile.joinUnknown': 'Join date unknown',
+        'profile.followers': 'Followers',
+        'profile.following': 'Following',
+        'profile.repositories': 'Repositories',
+        'profile.browseFollowers': 'Browse followers',
+        'profile.browseFollowing': 'Browse following',
+        'profile.cached': 'Served from the local response cache',
+        'profile.refresh': 'Refresh from GitHub',
+        'profile.refreshLabel': 'Refresh profile',
+        'profile.export': 'Export',
+        'profile.exportLabel': 'Export profile data',
+        'profile.exportJson': 'JSON (profile and repositories)',
+        'profile.exportCsv': 'CSV (one row per repository)',
+        'profile.exportMarkdown': 'Markdown summary',
+        'profile.viewOnGitHub': 'View on GitHub',
+        'profile.compare': 'Compare',
+        'profile.watch': 'Watch',
+        'profile.watching': 'Watching',
+        'profile.visited': 'Profiles visited',
+        'cache.offlineTitle': 'You are offline: showing the copy saved on this device',
+        'cache.offline': 'Offline snapshot, saved {time}',
+        'cache.justNow': 'Cached, just now',
+        'cache.minutesOld': { one: 'Cached, {count} minute old', other: 'Cached, {count} minutes old' },
+
+        'panel.showRepos': 'View Repositories',
+        'panel.hideRepos': 'Hide Repositories',
+        'panel.showMembers': 'View Members',
+        'panel.hideMembers': 'Hide Members',
+        'panel.showInsights': 'View Insights',
+        'panel.hideInsights': 'Hide Insights',
+        'panel.showActivity': 'View Activity',
+        'panel.hideActivity': 'Hide Activity',
+        'panel.members': 'Members',
+        'panel.insights': 'Insights',
+        'panel.activity': 'Activity',
+        'panel.olderActivity': 'Show Older Activity',
+        'activity.failed': 'Failed to load public activity.',
+        'activity.rateLimited': 'API rate limit exceeded. Activity will be available once the quota resets.',
+        'activity.heatmapLabel': { one: 'Activity heatmap for the last week', other: 'Activity heatmap for the last {count} weeks' },
+        'activity.eventsOn': { one: '{count} event on {date}', other: '{count} events on {date}' },
+        'activity.loading': 'Loading activity...',
+        'activity.empty': 'No public activity in the last 90 days',
+        'activity.events': 'Events',
+        'activity.activeDays': 'Active days',
+        'activity.pushed': { one: 'Pushed {count} commit to {target}', other: 'Pushed {count} commits to {target}' },
+        'activity.pushedCommits': 'Pushed commits to {target}',
+        'activity.branchIn': '{branch} in {repo}',
+        'activity.pullRequest': '{action} pull request #{number} in {repo}',
+        'activity.reviewed': 'Reviewed pull request #{number} in {repo}',
+        'activity.reviewComment': 'Commented on a review of #{number} in {repo}',
+        'activity.issue': '{action} issue #{number} in {repo}',
+        'activity.issueComment': 'Commented on #{number} in {repo}',
+        'activity.commitComment': 'Commented on a commit in {repo}',
+        'activity.starred': 'Starred {repo}',
+        'activity.forked': 'Forked {repo}',
+        'activity.forkedTo': 'Forked {repo} to {fork}',
+        'activity.createdRepo': 'Created repository {repo}',
+        'activity.created': 'Created {type} {ref} in {repo}',
+        'activity.deleted': 'Deleted {type} {ref} in {repo}',
+        'activity.released': 'Published release {tag} of {repo}',
+        'activity.madePublic': 'Made {repo} public',
+        'activity.member': '{action} {member} to {repo}',
+        'activity.collaborator': 'a collaborator',
+        'activity.wiki': 'Updated the wiki of {repo}',
+        'activity.other': '{type} in {repo}',
+        'activity.titled': '{event}: {title}',
+        'activity.action.opened': 'Opened',
+        'activity.action.closed': 'Closed',
+        'activity.action.reopened': 'Reopened',
+        'activity.action.merged': 'Merged',
+        'activity.action.edited': 'Edited',
+        'activity.action.updated': 'Updated',
+        'activity.action.added': 'Added',
+        'activity.action.removed': 'Removed',
+        'activity.ref.branch': 'branch',
+        'activity.ref.tag': 'tag',
+        'activity.ref.ref': 'ref',
+        'activity.type.PushEvent': 'Push',
+        'activity.type.PullRequestEvent': 'Pull Request',
+        'activity.type.PullRequestReviewEvent': 'Pull Request Review',
+        'activity.type.PullRequestReviewCommentEvent': 'Pull Request Review Comment',
+        'activity.type.IssuesEvent': 'Issues',
+        'activity.type.IssueCommentEvent': 'Issue Comment',
+        'activity.type.CommitCommentEvent': 'Commit Comment',
+        'activity.type.WatchEvent': 'Watch',
+        'activity.type.ForkEvent': 'Fork',
+        'activity.type.CreateEvent': 'Create',
+        'activity.type.DeleteEvent': 'Delete',
+        'activity.type.ReleaseEvent': 'Release',
+        'activity.type.PublicEvent': 'Public',
+        'activity.type.MemberEvent': 'Member',
+        'activity.type.GollumEvent': 'Gollum',
+        'network.mutual': 'Mutual',
+        'network.followsYou': 'Follows you',
+        'network.mutualCount': { one: '{count} mutual follow.', other: '{count} mutual follows.' },
+        'network.mutualPartial': { one: '{count} mutual follow among loaded users; more may appear as both lists load.', other: '{count} mutual follows among loaded users; more may appear as both lists load.' },
+        'network.noFollowers': 'No followers yet',
+        'network.noFollowing': 'Not following anyone',
+        'network.loading': 'Loading...',
+        'network.rateLimited': 'API rate limit exceeded. Scroll again once the quota resets.',
+        'network.failed': 'Failed to load this list.',
+        'network.viewProfile': 'View {login}\'s profile',
+        'network.avatarAlt': '{login}\'s avatar',
+        'members.loading': 'Loading members...',
+        'members.rateLimited': 'API rate limit exceeded. Members will be available once the quota resets.',
+        'members.failed': 'Failed to load organization members.',
+        'members.empty': 'This organization has no public members',
+        'insights.languages': 'Languages',
+        'insights.byRepos': 'By repos',
+        'insights.byBytes': 'By bytes',
+        'insights.mostStarred': 'Most Starred',
+        'insights.activeMonths': 'Most Active Months',
+        'insights.contributions': 'Contributions',
+        'insights.contributionsLabel': 'Contributions over the last year',
+        'insights.contributionsOn': { one: '{count} contribution on {date}', other: '{count} contributions on {date}' },
+        'insights.contributionsTotal': { one: '{count} contribution in the last year.', other: '{count} contributions in the last year.' },
+        'insights.less': 'Less',
+        'insights.more': 'More',
+        'insights.repoCount': { one: '{count} repo', other: '{count} repos' },
+        'insights.primaryLanguage': 'Primary language of each non-fork repository.',
+        'insights.loadingBytes': 'Loading language breakdown...',
+        'insights.requestingBytes': { one: 'Requesting {count} repository (cached responses are free).', other: 'Requesting {count} repositories (cached responses are free).' },
+        'insights.bytesSampled': 'Based on the {sampled} most recently pushed of {total} own repositories.',
+        'insights.bytesAll': { one: 'Based on the only own repository.', other: 'Based on all {count} own repositories.' },
+        'insights.totalStars': 'Total stars',
+        'insights.totalForks': 'Total forks',
+        'insights.ownRepos': 'Own repos',
+        'insights.noStarred': 'No starred repositories yet',
+        'insights.monthCount': '{month} ({count})',
+        'insights.busiestMonths': 'Busiest months by last push: {months}',
+        'insights.noPushes': 'No push activity recorded.',
+        'chart.noData': 'No data available',
+        'chart.bar': 'Bar chart',
+        'chart.column': 'Column chart',
+        'chart.columnTitle': '{label}: {value}',
+
+        'repos.title': 'Repositories',
+        'repos.tabOwned': 'Own',
+        'repos.tabPinned': 'Pinned',
+        'repos.tabStarred': 'Starred',
+        'repos.filterPlaceholder': 'Find a repository...',
+        'repos.filterLabel': 'Filter repositories',
+        'repos.sortLabel': 'Sort repositories',
+        'repos.sortUpdated': 'Recently updated',
+        'repos.sortStars': 'Most stars',
+        'repos.sortForks': 'Most forks',
+        'repos.sortName': 'Name',
+        'repos.languageLabel': 'Filter by language',
+        'repos.allLanguages': 'All languages',
+        'repos.hideForks': 'Hide forks',
+        'repos.hideArchived': 'Hide archived',
+        'repos.count': { one: '{count} repository', other: '{count} repositories' },
+        'repos.countFiltered': '{count} of {total} repositories',
+        'repos.empty': 'No repositories found',
+        'repos.loading': 'Loading repositories...',
+        'repos.loadFailed': 'Repositories could not be loaded. {reason}',
+        'repos.fetchFailed': 'Failed to fetch repositories.',
+        'repos.starredFailed': 'Failed to fetch starred repositories.',
+        'repos.retry': 'Retry',
+        'repos.noPinned': 'No pinned repositories',
+        'repos.noPinnedReadme': 'No pinned repositories (the profile README doesn\'t link to any)',
+        'repos.noStarred': 'No starred repositories',
+        'repos.noMatches': 'No repositories match the current filters',
+        'repos.loadingPinned': 'Loading pinned repositories...',
+        'repos.loadingStarred': 'Loading starred repositories...',
+        'repos.pinnedHint': 'Pinned items need a token, so these are the repositories linked from the profile README.',
+        'repos.starredHint': 'Showing the {count} most recently starred repositories.',
+        'repos.showDetails': 'Show details for {name}',
+        'repos.public': 'Public',
+        'repos.private': 'Private',
+        'repos.pinned': 'Pinned',
+        'repos.fork': 'Fork',
+        'repos.archived': 'Archived',
+        'repos.noDescription': 'No description available',
+        'repos.noLanguage': 'No language',
+        'repos.updated': 'Updated {time}',
+        'repos.previousPage': 'Previous page',
+        'repos.nextPage': 'Next page',
+
+        'compare.placeholder': 'Up to four usernames, e.g. torvalds, gaearon',
+        'compare.inputLabel': 'Usernames to compare',
+        'compare.button': 'Compare',
+        'compare.export': 'Export comparison:',
+        'compare.needAnother': 'Add at least one more username to compare.',
+        'compare.needTwo': 'Enter at least two usernames to compare.',
+        'compare.tooMany': 'You can compare up to {max} profiles at once.',
+        'compare.rateLimited': 'API rate limit exceeded. Please wait for the quota to reset.',
+        'compare.loading': 'Loading profiles...',
+        'compare.failed': '{login}: {reason}',
+        'compare.reposMissing': '{login}: repositories could not be loaded, so repository stats are missing.',
+        'compare.totalStars': 'Total stars',
+        'compare.accountAge': 'Account age',
+        'compare.topLanguages': 'Top languages',
+        'compare.noLanguages': 'None',
+        'compare.remove': 'Remove',
+
+        'discover.keywords': 'Keywords',
+        'discover.keywordsPlaceholder': 'Name, login or email',
+        'discover.accountType': 'Account type',
+        'discover.allAccounts': 'Users and organizations',
+        'discover.usersOnly': 'Users only',
+        'discover.orgsOnly': 'Organizations only',
+        'discover.location': 'Location',
+        'discover.language': 'Language',
+        'discover.followers': 'Followers',
+        'discover.repos': 'Public repos',
+        'discover.joined': 'Joined',
+        'discover.min': 'Min',
+        'discover.max': 'Max',
+        'discover.sort': 'Sort by',
+        'discover.bestMatch': 'Best match',
+        'discover.mostFollowers': 'Most followers',
+        'discover.mostRepos': 'Most repositories',
+        'discover.recentlyJoined': 'Recently joined',
+        'discover.queryPlaceholder': 'Search query (built from the fields above)',
+        'discover.queryLabel': 'Search query',
+        'discover.button': 'Search Users',
+        'discover.needQuery': 'Enter keywords or at least one qualifier to search.',
+        'discover.searching': 'Searching users...',
+        'discover.invalidQuery': 'GitHub could not parse that query. Check the qualifiers and try again.',
+        'discover.rateLimited': 'Search rate limit reached (10 searches per minute without a token). Try again shortly.',
+        'discover.failed': 'User search failed. Please try again.',
+        'discover.found': { one: '{count} user found', other: '{count} users found' },
+        'discover.foundFirst': '{count} users found (showing the first {shown})',
+        'discover.incomplete': '{found}. Results may be incomplete.',
+        'discover.noResults': 'No users match these filters',
+        'discover.user': 'User',
+        'discover.page': 'Page {page} of {pages}',
+
+        'bulk.usernames': 'Usernames',
+        'bulk.placeholder': 'One username per line, or separated by commas or spaces',
+        'bulk.inputLabel': 'Usernames to look up',
+        'bulk.start': 'Look Up',
+        'bulk.stop': 'Stop',
+        'bulk.resume': 'Resume',
+        'bulk.upload': 'Upload .txt or .csv',
+        'bulk.empty': 'Enter or upload at least one username.',
+        'bulk.tooMany': 'You can look up to {max} usernames at once.',
+        'bulk.loadedFile': { one: 'Loaded {count} username from {file}.', other: 'Loaded {count} usernames from {file}.' },
+        'bulk.running': 'Looked up {done} of {total} profiles...',
+        'bulk.pausedIn': { one: 'API rate limit reached. {count} lookup left, resuming automatically in {time}.', other: 'API rate limit reached. {count} lookups left, resuming automatically in {time}.' },
+        'bulk.pausedSoon': { one: 'API rate limit reached. {count} lookup left, resuming automatically shortly.', other: 'API rate limit reached. {count} lookups left, resuming automatically shortly.' },
+        'bulk.stopped': { one: 'Stopped with {count} lookup left.', other: 'Stopped with {count} lookups left.' },
+        'bulk.finished': 'Looked up {done} of {total} profiles.',
+        'bulk.finishedWithFailures': 'Looked up {done} of {total} profiles, {failed} failed.',
+        'bulk.columnName': 'Name',
+        'bulk.columnFollowers': 'Followers',
+        'bulk.columnRepos': 'Repos',
+        'bulk.columnStars': 'Stars',
+        'bulk.columnLocation': 'Location',
+        'bulk.columnCompany': 'Company',
+        'bulk.columnStatus': 'Status',
+        'bulk.queued': 'Queued',
+        'bulk.loading': 'Loading',
+        'bulk.found': 'Found',
+        'bulk.starsMissing': 'Repositories could not be loaded, so stars are missing.',
+        'bulk.invalidUsername': 'Not a valid GitHub username',
+        'bulk.openProfile': 'Open {login}\'s profile',
+
+        'drawer.openOnGitHub': 'Open on GitHub',
+        'drawer.close': 'Close repository details',
+        'drawer.release': 'Latest release',
+        'drawer.languages': 'Languages',
+        'drawer.commits': 'Recent commits',
+        'drawer.loading': 'Loading...',
+        'drawer.rateLimited': 'Rate limit reached.',
+        'drawer.failed': 'Could not load this section.',
+        'drawer.noRelease': 'No published releases.',
+        'drawer.published': 'Published {time}',
+        'drawer.noCommits': 'This repository has no commits yet.',
+        'drawer.noCommitsFound': 'No commits found',
+        'drawer.committed': '{author} committed {time}',
+        'drawer.noReadme': 'This repository has no README.',
+        'drawer.stars': { one: '{value} star', other: '{value} stars' },
+        'drawer.forks': { one: '{value} fork', other: '{value} forks' },
+        'drawer.openIssues': { one: '{value} open issue', other: '{value} open issues' },
+        'drawer.noLicense': 'No license'
+    },
+    ar: {
+        'app.documentTitle': 'البحث عن ملفات GitHub - أداة للمطورين',
+        'app.title': 'البحث عن ملفات GitHub',
+        'app.tagline': 'اكتشف مطورين رائعين ومساهماتهم',
+        'app.footer': '© 2024 البحث عن ملفات GitHub. صُنع بحب ❤️ للمطورين.',
+        'app.online': 'عاد الاتصال!',
+        'app.onlineSnapshot': 'عاد الاتصال! حدّث الصفحة لاستبدال النسخة المحفوظة.',
+        'app.offline': 'أنت غير متصل. الملفات الشخصية التي عرضتها من قبل لا تزال متاحة.',
+        'app.imageMissing': 'الصورة غير متوفرة',
+        'header.language': 'اللغة',
+        'header.watchlist': 'قائمة المتابعة',
+        'header.openWatchlist': 'فتح قائمة المتابعة',
+        'header.settings': 'الإعدادات',
+        'header.openSettings': 'فتح الإعدادات',
+        'header.toggleTheme': 'تبديل المظهر',
+
+        'settings.close': 'إغلاق الإعدادات',
+        'settings.token': 'رمز الوصول الشخصي',
+        'settings.tokenLabel': 'رمز الوصول الشخصي لـ GitHub',
+        'settings.toggleToken': 'إظهار الرمز أو إخفاؤه',
+        'settings.rememberToken': 'تذكّر على هذا الجهاز (يُحفظ في localStorage)',
+        'settings.graphql': 'تحميل الملفات والمستودعات والمساهمات بطلب GraphQL واحد عند تعيين رمز',
+        'settings.saveToken': 'حفظ وتحقق',
+        'settings.removeToken': 'إزالة الرمز',
+        'settings.apiServer': 'خادم API',
+        'settings.apiBaseLabel': 'عنوان API الأساسي لـ GitHub',
+        'settings.saveApiBase': 'حفظ واتصال',
+        'settings.resetApiBase': 'استخدام github.com',
+        'settings.backup': 'نسخة احتياطية',
+        'settings.tokenMissing': 'الصق رمز وصول شخصي أولًا.',
+        'settings.validating': 'جارٍ التحقق من الرمز...',
+        'settings.authenticated': 'تم تسجيل الدخول باسم {login}',
+        'settings.tokenRemoved': 'أُزيل الرمز. تُستخدم الآن طلبات بدون مصادقة.',
+        'settings.noToken': 'لم يُضبط أي رمز: الحد 60 طلبًا في الساعة.',
+        'settings.fineGrained': 'رمز دقيق الصلاحيات (تُدار الصلاحيات على GitHub)',
+        'settings.noScopes': 'بلا نطاقات (البيانات العامة فقط)',
+        'settings.scopes': 'النطاقات',
+        'settings.rateLimit': 'حد المعدل',
+        'settings.requestsPerHour': '{count} طلب/ساعة',
+        'settings.invalidUrl': 'أدخل عنوان URL صالحًا، مثل https://ghe.example.com/api/v3',
+        'settings.connecting': 'جارٍ الاتصال...',
+        'settings.unreachable': 'تعذّر الوصول إلى {url}. تحقق من العنوان ومن أن هذه الصفحة مسموح لها باستدعائه (CORS).',
+        'settings.nowUsing': 'يُستخدم الآن {host}',
+        'settings.enterprise': 'خادم GitHub Enterprise: {url}',
+        'settings.usingGitHub': 'يُستخدم github.com ‏(api.github.com).',
+        'watchlist.close': 'إغلاق قائمة المتابعة',
+        'watchlist.export': 'تصدير قائمة المتابعة:',
+        'watchlist.openChanged': 'فتح قائمة المتابعة (ملفات شخصية تغيّرت: {count})',
+        'watchlist.empty': 'تابع ملفًا شخصيًا لتثبيته هنا مع إحصاءاته عند آخر زيارة لك.',
+        'watchlist.lastSeen': '@{login} · آخر زيارة {time}',
+        'watchlist.newChanges': 'جديد: {count}',
+        'watchlist.publicRepos': 'المستودعات العامة',
+        'watchlist.unwatch': 'إيقاف متابعة {login}',
+        'watchlist.storageFull': 'مساحة التخزين في المتصفح ممتلئة، لذا لا يمكن تسجيل تغييرات الملفات الشخصية المتابَعة. ألغِ متابعة بعض الملفات لتحرير مساحة.',
+        'changes.title': 'ما الجديد',
+        'changes.none': 'لا توجد تغييرات',
+        'changes.since': 'منذ آخر زيارة لك {time}',
+        'changes.dismiss': 'إغلاق ملخص التغييرات',
+        'changes.history': 'سجل اللقطات ({count})',
+        'changes.taken': 'التاريخ',
+        'changes.followersGained': 'المتابِعون: +{count} (من {before} إلى {after})',
+        'changes.followersLost': 'المتابِعون: -{count} (من {before} إلى {after})',
+        'changes.field.name': 'الاسم',
+        'changes.field.bio': 'النبذة',
+        'changes.field.company': 'الشركة',
+        'changes.field.location': 'الموقع',
+        'changes.field.blog': 'الموقع الإلكتروني',
+        'changes.fieldChanged': 'تغيّر {field} إلى «{after}»',
+        'changes.fieldChangedFrom': 'تغيّر {field} إلى «{after}» (كان «{before}»)',
+        'changes.fieldRemoved': 'أُزيل {field} (كان «{before}»)',
+        'changes.newRepos': 'مستودعات جديدة ({count}): {names}',
+        'changes.newStars': 'نجوم جديدة على {repos}',
+        'changes.repoStars': '{name} (+{count})',
+        'changes.andMore': '{items} و{count} غيرها',
+        'import.invalidJson': 'هذا الملف ليس JSON صالحًا.',
+        'import.empty': 'لم يُعثر على أي إدخالات في السجل أو قائمة المتابعة في هذا الملف.',
+        'import.done': 'تم استيراد {history} و{watched}.',
+        'import.historyCount': 'إدخالات السجل: {count}',
+        'import.watchedCount': 'ملفات شخصية جديدة في قائمة المتابعة: {count}',
+
+        'mode.search': 'بحث',
+        'mode.compare': 'مقارنة',
+        'mode.discover': 'استكشاف',
+        'mode.bulk': 'بحث جماعي',
+
+        'search.placeholder': 'أدخل اسم مستخدم GitHub...',
+        'search.inputLabel': 'حقل اسم مستخدم GitHub',
+        'search.buttonLabel': 'البحث عن مستخدم GitHub',
+        'search.button': 'بحث',
+        'search.searching': 'جارٍ البحث...',
+        'search.loading': 'جارٍ البحث في GitHub...',
+        'search.try': 'جرّب:',
+        'search.recent': 'الأخيرة:',
+        'search.clearHistory': 'مسح',
+        'search.removeHistory': 'إزالة {login} من السجل',
+        'search.orgBadge': 'منظمة',
+        'search.empty': 'يرجى إدخال اسم مستخدم GitHub',
+        'search.invalid': 'هذا ليس اسم مستخدم GitHub صالحًا. تتكون أسماء المستخدمين من أحرف وأرقام وشرطات مفردة.',
+        'search.notFound': 'لم يُعثر على المستخدم. يرجى التحقق من اسم المستخدم والمحاولة مرة أخرى.',
+        'search.failed': 'تعذّر جلب الملف الشخصي. يرجى المحاولة مرة أخرى.',
+        'search.queuedIn': '{reason}. بحثك عن "{username}" في قائمة الانتظار وسيُنفَّذ تلقائيًا خلال {time}.',
+        'search.queuedSoon': '{reason}. بحثك عن "{username}" في قائمة الانتظار وسيُنفَّذ تلقائيًا قريبًا.',
+
+        'rateLimit.label': 'حصة API',
+        'rateLimit.remaining': 'الطلبات المتبقية: {remaining} من {limit}',
+        'rateLimit.resetsIn': 'تُستعاد خلال {time}',
+        'rateLimit.resetsAt': 'تُستعاد عند {time}',
+        'rateLimit.retryIn': 'الحد الثانوي: أعد المحاولة خلال {time}',
+        'rateLimit.queued': 'عمليات بحث في الانتظار: {count}',
+        'rateLimit.cancel': 'إلغاء',
+        'rateLimit.exceeded': 'تم تجاوز حد معدل طلبات API',
+        'rateLimit.secondary': 'تم بلوغ حد المعدل الثانوي في GitHub',
+
+        'error.updateToken': 'تحديث الرمز',
+        'error.tryAgain': 'إعادة المحاولة',
+        'api.notFound': 'غير موجود على GitHub.',
+        'api.abuse': 'أوقف نظام كشف إساءة الاستخدام في GitHub هذه الطلبات مؤقتًا. انتظر دقيقة قبل المحاولة مرة أخرى.',
+        'api.secondaryRateLimit': 'تم بلوغ الحد الثانوي لمعدل طلبات GitHub. أبطئ وحاول مرة أخرى بعد قليل.',
+        'api.rateLimit': 'تم تجاوز حد معدل طلبات API. يرجى المحاولة لاحقًا.',
+        'api.unauthorized': 'رفض GitHub رمز الوصول. ربما انتهت صلاحيته أو أُلغي.',
+        'api.forbidden': 'رفض GitHub الوصول إلى هذا المورد.',
+        'api.forbiddenDetail': 'رفض GitHub الوصول: {detail}',
+        'api.serverError': 'يواجه GitHub مشكلة حاليًا (HTTP {status}). حاول مرة أخرى بعد لحظات.',
+        'api.failed': 'فشل طلب GitHub ‏(HTTP {status}).',
+        'api.failedDetail': 'فشل طلب GitHub: {detail}',
+        'api.timeout': 'لم يستجب {host} خلال {seconds} ثانية.',
+        'api.offline': 'أنت غير متصل ولا توجد نسخة محفوظة من هذا بعد.',
+        'api.unreachable': 'تعذّر الوصول إلى {host}. تحقق من اتصالك وحاول مرة أخرى.',
+        'api.notGitHub': 'لم يستجب {url} كواجهة GitHub API ‏(HTTP {status}).',
+        'api.tokenRejected': 'رفض GitHub هذا الرمز. ربما انتهت صلاحيته أو أُلغي.',
+        'api.tokenCheckFailed': 'فشل التحقق من الرمز (HTTP {status}).',
+
+        'profile.avatarAlt': 'صورة الملف الشخصي لـ {name}',
+        'profile.organization': 'منظمة',
+        'profile.verifiedOrganization': 'منظمة موثّقة',
+        'profile.noBio': 'لا توجد نبذة',
+        'profile.notSpecified': 'غير محدد',
+        'profile.joined': 'انضم {time}',
+        'profile.joinUnknown': 'تاريخ الانضمام غير معروف',
+        'profile.followers': 'المتابِعون',
+        'profile.following': 'يتابع',
+        'profile.repositories': 'المستودعات',
+        'profile.browseFollowers': 'تصفح المتابِعين',
+        'profile.browseFollowing': 'تصفح من يتابعهم',
+        'profile.cached': 'من ذاكرة الاستجابات المحلية',
+        'profile.refresh': 'التحديث من GitHub',
+        'profile.refreshLabel': 'تحديث الملف الشخصي',
+        'profile.export': 'تصدير',
+        'profile.exportLabel': 'تصدير بيانات الملف الشخصي',
+        'profile.exportJson': 'JSON (الملف الشخصي والمستودعات)',
+        'profile.exportCsv': 'CSV (صف لكل مستودع)',
+        'profile.exportMarkdown': 'ملخص Markdown',
+        'profile.viewOnGitHub': 'عرض على GitHub',
+        'profile.compare': 'مقارنة',
+        'profile.watch': 'متابعة',
+        'profile.watching': 'تتم المتابعة',
+        'profile.visited': 'الملفات التي تمت زيارتها',
+        'cache.offlineTitle': 'أنت غير متصل: تُعرض النسخة المحفوظة على هذا الجهاز',
+        'cache.offline': 'نسخة غير متصلة، حُفظت {time}',
+        'cache.justNow': 'مخزّنة مؤقتًا، الآن',
+        'cache.minutesOld': 'مخزّنة مؤقتًا منذ {count} دقيقة',
+
+        'panel.showRepos': 'عرض المستودعات',
+        'panel.hideRepos': 'إخفاء المستودعات',
+        'panel.showMembers': 'عرض الأعضاء',
+        'panel.hideMembers': 'إخفاء الأعضاء',
+        'panel.showInsights': 'عرض الإحصاءات',
+        'panel.hideInsights': 'إخفاء الإحصاءات',
+        'panel.showActivity': 'عرض النشاط',
+        'panel.hideActivity': 'إخفاء النشاط',
+        'panel.members': 'الأعضاء',
+        'panel.insights': 'الإحصاءات',
+        'panel.activity': 'النشاط',
+        'panel.olderActivity': 'عرض النشاط الأقدم',
+        'activity.failed': 'تعذّر تحميل النشاط العام.',
+        'activity.rateLimited': 'تم تجاوز حد معدل طلبات API. سيتوفر النشاط بعد استعادة الحصة.',
+        'activity.heatmapLabel': 'خريطة النشاط لآخر {count} أسبوع',
+        'activity.eventsOn': 'الأحداث في {date}: {count}',
+        'activity.loading': 'جارٍ تحميل النشاط...',
+        'activity.empty': 'لا يوجد نشاط عام خلال آخر 90 يومًا',
+        'activity.events': 'الأحداث',
+        'activity.activeDays': 'الأيام النشطة',
+        'activity.pushed': 'دفع إيداعات ({count}) إلى {target}',
+        'activity.pushedCommits': 'دفع إيداعات إلى {target}',
+        'activity.branchIn': '{branch} في {repo}',
+        'activity.pullRequest': '{action} طلب السحب #{number} في {repo}',
+        'activity.reviewed': 'راجع طلب السحب #{number} في {repo}',
+        'activity.reviewComment': 'علّق على مراجعة #{number} في {repo}',
+        'activity.issue': '{action} المشكلة #{number} في {repo}',
+        'activity.issueComment': 'علّق على #{number} في {repo}',
+        'activity.commitComment': 'علّق على إيداع في {repo}',
+        'activity.starred': 'ميّز {repo} بنجمة',
+        'activity.forked': 'فرّع {repo}',
+        'activity.forkedTo': 'فرّع {repo} إلى {fork}',
+        'activity.createdRepo': 'أنشأ المستودع {repo}',
+        'activity.created': 'أنشأ {type} {ref} في {repo}',
+        'activity.deleted': 'حذف {type} {ref} في {repo}',
+        'activity.released': 'نشر الإصدار {tag} من {repo}',
+        'activity.madePublic': 'جعل {repo} عامًا',
+        'activity.member': '{action} {member} إلى {repo}',
+        'activity.collaborator': 'متعاونًا',
+        'activity.wiki': 'حدّث ويكي {repo}',
+        'activity.other': '{type} في {repo}',
+        'activity.titled': '{event}: {title}',
+        'activity.action.opened': 'فتح',
+        'activity.action.closed': 'أغلق',
+        'activity.action.reopened': 'أعاد فتح',
+        'activity.action.merged': 'دمج',
+        'activity.action.edited': 'عدّل',
+        'activity.action.updated': 'حدّث',
+        'activity.action.added': 'أضاف',
+        'activity.action.removed': 'أزال',
+        'activity.ref.branch': 'الفرع',
+        'activity.ref.tag': 'الوسم',
+        'activity.ref.ref': 'المرجع',
+        'activity.type.PushEvent': 'دفع',
+        'activity.type.PullRequestEvent': 'طلب سحب',
+        'activity.type.PullRequestReviewEvent': 'مراجعة طلب سحب',
+        'activity.type.PullRequestReviewCommentEvent': 'تعليق على مراجعة',
+        'activity.type.IssuesEvent': 'المشكلات',
+        'activity.type.IssueCommentEvent': 'تعليق على مشكلة',
+        'activity.type.CommitCommentEvent': 'تعليق على إيداع',
+        'activity.type.WatchEvent': 'تمييز بنجمة',
+        'activity.type.ForkEvent': 'تفرّع',
+        'activity.type.CreateEvent': 'إنشاء',
+        'activity.type.DeleteEvent': 'حذف',
+        'activity.type.ReleaseEvent': 'إصدار',
+        'activity.type.PublicEvent': 'نشر للعامة',
+        'activity.type.MemberEvent': 'متعاون',
+        'activity.type.GollumEvent': 'ويكي',
+        'network.mutual': 'متابعة متبادلة',
+        'network.followsYou': 'يتابعك',
+        'network.mutualCount': 'المتابعات المتبادلة: {count}.',
+        'network.mutualPartial': 'المتابعات المتبادلة بين المستخدمين المحمّلين: {count}؛ قد يظهر المزيد مع تحميل القائمتين.',
+        'network.noFollowers': 'لا يوجد متابِعون بعد',
+        'network.noFollowing': 'لا يتابع أحدًا',
+        'network.loading': 'جارٍ التحميل...',
+        'network.rateLimited': 'تم تجاوز حد معدل طلبات API. مرّر مرة أخرى بعد استعادة الحصة.',
+        'network.failed': 'تعذّر تحميل هذه القائمة.',
+        'network.viewProfile': 'عرض الملف الشخصي لـ {login}',
+        'network.avatarAlt': 'الصورة الرمزية لـ {login}',
+        'members.loading': 'جارٍ تحميل الأعضاء...',
+        'members.rateLimited': 'تم تجاوز حد معدل طلبات API. سيتوفر الأعضاء بعد استعادة الحصة.',
+        'members.failed': 'تعذّر تحميل أعضاء المنظمة.',
+        'members.empty': 'لا يوجد أعضاء عامّون في هذه المنظمة',
+        'insights.languages': 'اللغات',
+        'insights.byRepos': 'حسب المستودعات',
+        'insights.byBytes': 'حسب الحجم',
+        'insights.mostStarred': 'الأكثر نجومًا',
+        'insights.activeMonths': 'الأشهر الأكثر نشاطًا',
+        'insights.contributions': 'المساهمات',
+        'insights.contributionsLabel': 'المساهمات خلال العام الماضي',
+        'insights.contributionsOn': 'المساهمات في {date}: {count}',
+        'insights.contributionsTotal': 'المساهمات خلال العام الماضي: {count}.',
+        'insights.less': 'أقل',
+        'insights.more': 'أكثر',
+        'insights.repoCount': 'المستودعات: {count}',
+        'insights.primaryLanguage': 'اللغة الأساسية لكل مستودع غير متفرّع.',
+        'insights.loadingBytes': 'جارٍ تحميل توزيع اللغات...',
+        'insights.requestingBytes': 'جارٍ طلب {count} مستودع (الردود المخزّنة مؤقتًا مجانية).',
+        'insights.bytesSampled': 'بناءً على أحدث {sampled} مستودعًا دُفع إليها من أصل {total} مستودعًا خاصًا.',
+        'insights.bytesAll': 'بناءً على جميع المستودعات الخاصة ({count}).',
+        'insights.totalStars': 'إجمالي النجوم',
+        'insights.totalForks': 'إجمالي التفرعات',
+        'insights.ownRepos': 'المستودعات الخاصة',
+        'insights.noStarred': 'لا توجد مستودعات حاصلة على نجوم بعد',
+        'insights.monthCount': '{month} ({count})',
+        'insights.busiestMonths': 'أكثر الأشهر نشاطًا حسب آخر دفع: {months}',
+        'insights.noPushes': 'لم يُسجَّل أي نشاط دفع.',
+        'chart.noData': 'لا توجد بيانات',
+        'chart.bar': 'مخطط شريطي',
+        'chart.column': 'مخطط أعمدة',
+        'chart.columnTitle': '{label}: {value}',
+
+        'repos.title': 'المستودعات',
+        'repos.tabOwned': 'المملوكة',
+        'repos.tabPinned': 'المثبّتة',
+        'repos.tabStarred': 'المميّزة بنجمة',
+        'repos.filterPlaceholder': 'ابحث عن مستودع...',
+        'repos.filterLabel': 'تصفية المستودعات',
+        'repos.sortLabel': 'ترتيب المستودعات',
+        'repos.sortUpdated': 'المحدّثة مؤخرًا',
+        'repos.sortStars': 'الأكثر نجومًا',
+        'repos.sortForks': 'الأكثر تفرعًا',
+        'repos.sortName': 'الاسم',
+        'repos.languageLabel': 'التصفية حسب اللغة',
+        'repos.allLanguages': 'كل اللغات',
+        'repos.hideForks': 'إخفاء التفرعات',
+        'repos.hideArchived': 'إخفاء المؤرشفة',
+        'repos.count': {
+            zero: 'لا توجد مستودعات',
+            one: 'مستودع واحد',
+            two: 'مستودعان',
+            few: '{count} مستودعات',
+            many: '{count} مستودعًا',
+            other: '{count} مستودع'
+        },
+        'repos.countFiltered': '{count} من أصل {total} مستودع',
+        'repos.empty': 'لم يُعثر على مستودعات',
+        'repos.loading': 'جارٍ تحميل المستودعات...',
+        'repos.loadFailed': 'تعذّر تحميل المستودعات. {reason}',
+        'repos.fetchFailed': 'تعذّر جلب المستودعات.',
+        'repos.starredFailed': 'تعذّر جلب المستودعات المميّزة بنجمة.',
+        'repos.retry': 'إعادة المحاولة',
+        'repos.noPinned': 'لا توجد مستودعات مثبّتة',
+        'repos.noPinnedReadme': 'لا توجد مستودعات مثبّتة (ملف README الشخصي لا يشير إلى أي مستودع)',
+        'repos.noStarred': 'لا توجد مستودعات مميّزة بنجمة',
+        'repos.noMatches': 'لا توجد مستودعات تطابق عوامل التصفية الحالية',
+        'repos.loadingPinned': 'جارٍ تحميل المستودعات المثبّتة...',
+        'repos.loadingStarred': 'جارٍ تحميل المستودعات المميّزة بنجمة...',
+        'repos.pinnedHint': 'تتطلب العناصر المثبّتة رمز وصول، لذا هذه هي المستودعات المذكورة في ملف README الشخصي.',
+        'repos.starredHint': 'يُعرض آخر {count} مستودع مميّز بنجمة.',
+        'repos.showDetails': 'عرض تفاصيل {name}',
+        'repos.public': 'عام',
+        'repos.private': 'خاص',
+        'repos.pinned': 'مثبّت',
+        'repos.fork': 'تفرّع',
+        'repos.archived': 'مؤرشف',
+        'repos.noDescription': 'لا يوجد وصف',
+        'repos.noLanguage': 'بلا لغة',
+        'repos.updated': 'حُدّث {time}',
+        'repos.previousPage': 'الصفحة السابقة',
+        'repos.nextPage': 'الصفحة التالية',
+
+        'compare.placeholder': 'حتى أربعة أسماء مستخدمين، مثل torvalds, gaearon',
+        'compare.inputLabel': 'أسماء المستخدمين للمقارنة',
+        'compare.button': 'مقارنة',
+        'compare.export': 'تصدير المقارنة:',
+        'compare.needAnother': 'أضف اسم مستخدم واحدًا آخر على الأقل للمقارنة.',
+        'compare.needTwo': 'أدخل اسمي مستخدمين على الأقل للمقارنة.',
+        'compare.tooMany': 'يمكنك مقارنة {max} ملفات شخصية كحد أقصى في المرة الواحدة.',
+        'compare.rateLimited': 'تم تجاوز حد معدل طلبات API. يرجى الانتظار حتى تُستعاد الحصة.',
+        'compare.loading': 'جارٍ تحميل الملفات الشخصية...',
+        'compare.failed': '{login}: {reason}',
+        'compare.reposMissing': '{login}: تعذّر تحميل المستودعات، لذا إحصاءات المستودعات غير متوفرة.',
+        'compare.totalStars': 'إجمالي النجوم',
+        'compare.accountAge': 'عمر الحساب',
+        'compare.topLanguages': 'أبرز اللغات',
+        'compare.noLanguages': 'لا يوجد',
+        'compare.remove': 'إزالة',
+
+        'discover.keywords': 'كلمات مفتاحية',
+        'discover.keywordsPlaceholder': 'الاسم أو اسم الدخول أو البريد الإلكتروني',
+        'discover.accountType': 'نوع الحساب',
+        'discover.allAccounts': 'المستخدمون والمنظمات',
+        'discover.usersOnly': 'المستخدمون فقط',
+        'discover.orgsOnly': 'المنظمات فقط',
+        'discover.location': 'الموقع',
+        'discover.language': 'اللغة',
+        'discover.followers': 'المتابِعون',
+        'discover.repos': 'المستودعات العامة',
+        'discover.joined': 'تاريخ الانضمام',
+        'discover.min': 'الأدنى',
+        'discover.max': 'الأقصى',
+        'discover.sort': 'الترتيب حسب',
+        'discover.bestMatch': 'الأكثر تطابقًا',
+        'discover.mostFollowers': 'الأكثر متابِعين',
+        'discover.mostRepos': 'الأكثر مستودعات',
+        'discover.recentlyJoined': 'المنضمون حديثًا',
+        'discover.queryPlaceholder': 'استعلام البحث (يُبنى من الحقول أعلاه)',
+        'discover.queryLabel': 'استعلام البحث',
+        'discover.button': 'البحث عن مستخدمين',
+        'discover.needQuery': 'أدخل كلمات مفتاحية أو مُحدِّدًا واحدًا على الأقل للبحث.',
+        'discover.searching': 'جارٍ البحث عن المستخدمين...',
+        'discover.invalidQuery': 'تعذّر على GitHub فهم هذا الاستعلام. تحقق من المُحدِّدات وحاول مرة أخرى.',
+        'discover.rateLimited': 'تم بلوغ حد معدل البحث (10 عمليات بحث في الدقيقة بدون رمز). حاول مرة أخرى بعد قليل.',
+        'discover.failed': 'فشل البحث عن المستخدمين. يرجى المحاولة مرة أخرى.',
+        'discover.found': 'المستخدمون الذين عُثر عليهم: {count}',
+        'discover.foundFirst': 'المستخدمون الذين عُثر عليهم: {count} (يُعرض أول {shown})',
+        'discover.incomplete': '{found}. قد تكون النتائج غير مكتملة.',
+        'discover.noResults': 'لا يوجد مستخدمون يطابقون هذه المرشحات',
+        'discover.user': 'مستخدم',
+        'discover.page': 'الصفحة {page} من {pages}',
+
+        'bulk.usernames': 'أسماء المستخدمين',
+        'bulk.placeholder': 'اسم مستخدم في كل سطر، أو مفصولة بفواصل أو مسافات',
+        'bulk.inputLabel': 'أسماء المستخدمين المطلوب البحث عنها',
+        'bulk.start': 'ابحث',
+        'bulk.stop': 'إيقاف',
+        'bulk.resume': 'استئناف',
+        'bulk.upload': 'رفع ملف ‎.txt أو ‎.csv',
+        'bulk.empty': 'أدخل اسم مستخدم واحدًا على الأقل أو ارفع ملفًا.',
+        'bulk.tooMany': 'يمكنك البحث عن {max} اسم مستخدم كحد أقصى في المرة الواحدة.',
+        'bulk.loadedFile': 'أسماء المستخدمين المحمّلة من {file}: {count}.',
+        'bulk.running': 'تم البحث عن {done} من أصل {total} ملف شخصي...',
+        'bulk.pausedIn': 'تم بلوغ حد معدل طلبات API. عمليات البحث المتبقية: {count}، وسيُستأنف تلقائيًا خلال {time}.',
+        'bulk.pausedSoon': 'تم بلوغ حد معدل طلبات API. عمليات البحث المتبقية: {count}، وسيُستأنف تلقائيًا قريبًا.',
+        'bulk.stopped': 'توقف البحث. عمليات البحث المتبقية: {count}.',
+        'bulk.finished': 'تم البحث عن {done} من أصل {total} ملف شخصي.',
+        'bulk.finishedWithFailures': 'تم البحث عن {done} من أصل {total} ملف شخصي، وفشل {failed}.',
+        'bulk.columnName': 'الاسم',
+        'bulk.columnFollowers': 'المتابِعون',
+        'bulk.columnRepos': 'المستودعات',
+        'bulk.columnStars': 'النجوم',
+        'bulk.columnLocation': 'الموقع',
+        'bulk.columnCompany': 'الشركة',
+        'bulk.columnStatus': 'الحالة',
+        'bulk.queued': 'في الانتظار',
+        'bulk.loading': 'جارٍ التحميل',
+        'bulk.found': 'تم العثور عليه',
+        'bulk.starsMissing': 'تعذّر تحميل المستودعات، لذا عدد النجوم غير متوفر.',
+        'bulk.invalidUsername': 'ليس اسم مستخدم GitHub صالحًا',
+        'bulk.openProfile': 'فتح الملف الشخصي لـ {login}',
+
+        'drawer.openOnGitHub': 'فتح على GitHub',
+        'drawer.close': 'إغلاق تفاصيل المستودع',
+        'drawer.release': 'أحدث إصدار',
+        'drawer.languages': 'اللغات',
+        'drawer.commits': 'أحدث الإيداعات',
+        'drawer.loading': 'جارٍ التحميل...',
+        'drawer.rateLimited': 'تم بلوغ حد المعدل.',
+        'drawer.failed': 'تعذّر تحميل هذا القسم.',
+        'drawer.noRelease': 'لا توجد إصدارات منشورة.',
+        'drawer.published': 'نُشر {time}',
+        'drawer.noCommits': 'لا يحتوي هذا المستودع على إيداعات بعد.',
+        'drawer.noCommitsFound': 'لم يُعثر على إيداعات',
+        'drawer.committed': 'أودع {author} {time}',
+        'drawer.noReadme': 'لا يحتوي هذا المستودع على ملف README.',
+        'drawer.stars': 'النجوم: {value}',
+        'drawer.forks': 'التفرعات: {value}',
+        'drawer.openIssues': 'المشكلات المفتوحة: {value}',
+        'drawer.noLicense': 'بلا ترخيص'
+    }
+};
+
+// Largest unit first; anything under a minute reads as "now"
+const RELATIVE_TIME_UNITS = [
+    ['year', 365 * 24 * 60 * 60],
+    ['month', 30 * 24 * 60 * 60],
+    ['week', 7 * 24 * 60 * 60],
+    ['day', 24 * 60 * 60],
+    ['hour', 60 * 60],
+    ['minute', 60]
+];
+
+class I18n {
+    constructor(locale) {
+        this.setLocale(locale);
+    }
+
+    static languages() {
+        return Object.entries(LOCALES).map(([code, { name }]) => ({ code, name }));
+    }
+
+    // First supported language in a list like navigator.languages ("ar-EG" matches "ar")
+    static negotiate(preferred = []) {
+        const match = preferred
+            .map(tag => String(tag).toLowerCase().split('-')[0])
+            .find(code => code in LOCALES);
+        return match || 'en';
+    }
+
+    setLocale(locale) {
+        this.locale = locale in LOCALES ? locale : 'en';
+        this.dir = LOCALES[this.locale].dir;
+        this.pluralRules = new Intl.PluralRules(this.locale);
+        this.numberFormat = new Intl.NumberFormat(this.locale);
+        this.compactFormat = new Intl.NumberFormat(this.locale, { notation: 'compact', maximumFractionDigits: 1 });
+        this.percentFormat = new Intl.NumberFormat(this.locale, { style: 'percent', minimumFractionDigits: 1, maximumFractionDigits: 1 });
+        this.relativeFormat = new Intl.RelativeTimeFormat(this.locale, { numeric: 'auto' });
+    }
+
+    t(key, params = {}) {
+        let message = MESSAGES[this.locale][key] ?? MESSAGES.en[key] ?? key;
+        if (typeof message === 'object') {
+            message = message[this.pluralRules.select(params.count)] ?? message.other;
+        }
+
+        return message.replace(/\{(\w+)\}/g, (placeholder, name) => {
+            if (!(name in params)) return placeholder;
+            const value = params[name];
+            return typeof value === 'number' ? this.numberFormat.format(value) : value;
+        });
+    }
+
+    has(key) {
+        return key in MESSAGES[this.locale] || key in MESSAGES.en;
+    }
+
+    formatNumber(value) {
+        return this.numberFormat.format(value);
+    }
+
+    // 0.457 → "45.7%"
+    formatPercent(value) {
+        return this.percentFormat.format(value);
+    }
+
+    // 18734 → "18.7K" in English, "18.7 ألف" in Arabic
+    formatCompact(value) {
+        return this.compactFormat.format(value);
+    }
+
+    formatDate(date, options = {}) {
+        return new Date(date).toLocaleDateString(this.locale, options);
+    }
+
+    formatDateTime(date, options = {}) {
+        return new Date(date).toLocaleString(this.locale, options);
+    }
+
+    // "2:45 PM"
+    formatTime(date) {
+        return new Date(date).toLocaleTimeString(this.locale, { hour: 'numeric', minute: '2-digit' });
+    }
+
+    // { years: 7, months: 3 } → "7y 3m"; months alone are spelled out ("3 months")
+    formatDuration({ years = 0, months = 0 }) {
+        const format = (value, unit, unitDisplay) =>
+            new Intl.NumberFormat(this.locale, { style: 'unit', unit, unitDisplay }).format(value);
+        if (years === 0) return format(months, 'month', 'long');
+
+        return new Intl.ListFormat(this.locale, { style: 'narrow', type: 'unit' })
+            .format([format(years, 'year', 'narrow'), format(months, 'month', 'narrow')]);
+    }
+
+    // "3 days ago", "yesterday", "in 2 hours"
+    formatRelative(date, now = Date.now()) {
+        const seconds = (new Date(date).getTime() - now) / 1000;
+        const [unit, size] = RELATIVE_TIME_UNITS.find(([, size]) => Math.abs(seconds) >= size) || ['second', 1];
+
+        return unit === 'second'
+            ? this.relativeFormat.format(0, 'second')
+            : this.relativeFormat.format(Math.trunc(seconds / size), unit);
+    }
+
+    // Fill in elements marked with data-i18n (text) and data-i18n-<attribute>
+    translate(root) {
+        root.querySelectorAll('[data-i18n]').forEach(element => {
+            element.textContent = this.t(element.getAttribute('data-i18n'));
+        });
+
+        ['placeholder', 'title', 'aria-label'].forEach(attribute => {
+            root.querySelectorAll(`[data-i18n-${attribute}]`).forEach(element => {
+                element.setAttribute(attribute, this.t(element.getAttribute(`data-i18n-${attribute}`)));
+            });
+        });
+    }
+}
@@ -1,47 +1,440 @@
 // GitHub Profile Search Application
+
+// Markup built with `html` is escaped by default: interpolated values are treated as text unless
+// they are themselves `html` output (or arrays of it), so API strings can never inject markup
+class SafeHTML {
+    constructor(value) {
+        this.value = value;
+    }
+
+    toString() {
+        return this.value;
+    }
+}
+
+function escapeHTML(value) {
+    if (value === null || value === undefined || value === false) return '';
+    return String(value)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&#39;');
+}
+
+function html(strings, ...values) {
+    const render = (value) => {
+        if (value instanceof SafeHTML) return value.value;
+        if (Array.isArray(value)) return value.map(render).join('');
+        return escapeHTML(value);
+    };
+    
+    return new SafeHTML(strings.reduce((out, string, index) =>
+        out + string + (index < values.length ? render(values[index]) : ''), ''));
+}
+
+// Only http(s) and mailto links get through; bare hosts like "example.com" become https:// URLs
+function safeUrl(value) {
+    if (!value) return null;
+    
+    const text = String(value).trim();
+    // A scheme is letters followed by ":", but "host:8080" is a port, not a scheme
+    const hasScheme = /^[a-z][a-z\d+.-]*:(?!\d)/i.test(text);
+    
+    try {
+        const url = new URL(hasScheme ? text : `https://${text.replace(/^\/+/, '')}`);
+        return ['http:', 'https:', 'mailto:'].includes(url.protocol) ? url.href : null;
+    } catch (error) {
+        return null;
+    }
+}
+
+// GraphQL fields mapped onto the REST repository shape by mapGraphQLRepository()
+const REPOSITORY_FIELDS = `
+    fragment RepositoryFields on Repository {
+        name
+        nameWithOwner
+        description
+        url
+        homepageUrl
+        isPrivate
+        isFork
+        isArchived
+        stargazerCount
+        forkCount
+        createdAt
+        updatedAt
+        pushedAt
+        primaryLanguage { name }
+        licenseInfo { spdxId name }
+        defaultBranchRef { name }
+        issues(states: OPEN) { totalCount }
+        pullRequests(states: OPEN) { totalCount }
+        repositoryTopics(first: 20) { nodes { topic { name } } }
+    }
+`;
+
+// Profile, pinned items, repositories and the contributions calendar in one request
+const PROFILE_QUERY = `
+    query Profile($login: String!) {
+        user(login: $login) {
+            databaseId
+            login
+            name
+            bio
+            company
+            location
+            websiteUrl
+            email
+            avatarUrl
+            url
+            createdAt
+            twitterUsername
+            followers { totalCount }
+            following { totalCount }
+            publicRepositories: repositories(privacy: PUBLIC, ownerAffiliations: OWNER) { totalCount }
+            gists(privacy: PUBLIC) { totalCount }
+            pinnedItems(first: 6, types: REPOSITORY) {
+                nodes { ...RepositoryFields }
+            }
+            repositories(first: 100, ownerAffiliations: OWNER, orderBy: { field: UPDATED_AT, direction: DESC }) {
+                pageInfo { hasNextPage endCursor }
+                nodes { ...RepositoryFields }
+            }
+            contributionsCollection {
+                contributionCalendar {
+                    totalContributions
+                    weeks { contributionDays { date contributionCount contributionLevel } }
+                }
+            }
+        }
+    }
+    ${REPOSITORY_FIELDS}
+`;
+
+// Further pages of repositories for accounts with more than 100
+const REPOSITORIES_QUERY = `
+    query Repositories($login: String!, $after: String!) {
+        user(login: $login) {
+            repositories(first: 100, after: $after, ownerAffiliations: OWNER, orderBy: { field: UPDATED_AT, direction: DESC }) {
+                pageInfo { hasNextPage endCursor }
+                nodes { ...RepositoryFields }
+            }
+        }
+    }
+    ${REPOSITORY_FIELDS}
+`;
+
 class GitHubProfileSearch {
-    constructor() {
-        this.apiBase = 'https://api.github.com';
-        this.rateLimit = {
-            remaining: 60,
-            reset: 0
-        };
+    // `root` is the document to render into and `fetch` is handed to the API client,
+    // so tests can drive the app with a jsdom document and a mock GitHub API
+    constructor({ root = document, fetch = null } = {}) {
+        this.root = root;
+        
+        // Interface language: the saved choice, else the best match for the browser's languages
+        this.localeStorageKey = 'github-locale';
+        this.i18n = new I18n(localStorage.getItem(this.localeStorageKey) || I18n.negotiate(navigator.languages || [navigator.language]));
+        
+        // Personal access token (sessionStorage by default, localStorage when remembered)
+        this.tokenStorageKey = 'github-token';
+        this.token = sessionStorage.getItem(this.tokenStorageKey) || localStorage.getItem(this.tokenStorageKey);
+        this.tokenInfo = null;
+        
+        // All REST traffic goes through one client (github.com or a GitHub Enterprise Server)
+        this.apiBaseStorageKey = 'github-api-base';
+        this.api = new GitHubApiClient({
+            baseUrl: localStorage.getItem(this.apiBaseStorageKey),
+            token: this.token,
+            fetch,
+            onRateLimit: () => this.renderRateLimit()
+        });
+        this.rateLimit = this.api.rateLimit;
+        
+        // With a token, profiles load through one GraphQL query unless switched off in settings
+        this.graphqlStorageKey = 'github-graphql';
+        this.graphqlEnabled = localStorage.getItem(this.graphqlStorageKey) !== 'off';
+        this.currentPinned = null;
+        this.currentContributions = null;
+        
+        // Searches deferred until the rate limit window resets
+        this.searchQueue = [];
+        this.processingQueue = false;
+        
+        // Profile comparison
+        this.maxCompareProfiles = 4;
+        this.compareEntries = [];
+        
+        // Bulk lookup runs a few profiles at a time and pauses while the rate limit is exhausted
+        this.bulkConcurrency = 3;
+        this.maxBulkUsernames = 200;
+        this.bulkRows = [];
+        this.bulkSort = { key: null, direction: 'asc' };
+        this.bulkController = null;
+        this.bulkPaused = false;
+        
+        // Insights (language byte totals are sampled from the most recently pushed repos)
+        this.maxLanguageRepos = 30;
+        this.languageMode = 'repos';
+        this.languageBytes = null;
+        this.languageBytesLoading = null;
+        
+        // Activity timeline (the public events API stops at 300 events / 90 days)
+        this.maxEventPages = 3;
+        this.activityDaysPerPage = 14;
+        this.activityDaysShown = this.activityDaysPerPage;
+        this.currentEvents = null;
+        
+        // Typeahead suggestions and advanced user search (search API results stop at 1,000)
+        this.typeaheadDelay = 400;
+        // The search API allows 10 requests a minute without a token and 30 with one, so
+        // typeahead spaces its requests out and leaves the last few for Discover
+        this.typeaheadInterval = { anonymous: 6000, authenticated: 2000 };
+        this.typeaheadReserve = 3;
+        this.typeaheadLastRequest = 0;
+        this.searchRateLimit = { remaining: null, reset: 0 };
+        this.typeaheadResults = [];
+        this.typeaheadIndex = -1;
+        this.discoverPerPage = 20;
+        this.discoverQuery = '';
+        this.discoverPage = 1;
+        
+        // Followers/following explorer and the drill-down trail that led to the current profile
+        this.networkPerPage = 48;
+        this.network = null;
+        this.breadcrumbs = [];
+        
+        // With a token, listed users who follow the signed-in account get a "Follows you" badge
+        this.maxViewerFollowerPages = 3;
+        this.viewerFollowers = null;
+        
+        // Organization members
+        this.membersPerPage = 30;
+        this.orgMembers = null;
+        
+        // Search history and the pinned watchlist of profiles
+        this.historyStorageKey = 'github-search-history';
+        this.watchlistStorageKey = 'github-watchlist';
+        this.maxHistory = 20;
+        this.snapshotPrefix = 'github-snapshots:';
+        this.maxSnapshots = 10;
+        this.watchlistCheckInterval = 60 * 60 * 1000;
+        this.searchHistory = this.readStoredList(this.historyStorageKey, login => typeof login === 'string');
+        this.watchlist = this.readStoredList(this.watchlistStorageKey, entry => !!entry && typeof entry.login === 'string');
+        
+        // Repository browser state
+        this.maxRepoPages = 10;
+        this.repoPageSize = 12;
+        this.currentRepos = [];
+        this.resetRepoFilters();
+        
+        // Pinned repos come from GraphQL or, without a token, from links in the profile README
+        this.repoTab = 'owned';
+        this.maxPinned = 6;
+        this.pinnedSource = null;
+        this.maxStarredPages = 5;
+        this.starredRepos = null;
+        this.loadingRepoTab = null;
         
         this.initializeElements();
         this.bindEvents();
-        this.checkRateLimit();
+        this.applyLocale();
+        this.renderHistory();
+        this.renderWatchlist();
+        this.renderRateLimit();
+        this.fetchRateLimitStatus().then(() => this.checkWatchlist());
+        
+        if (this.token) {
+            this.validateToken(this.token).catch(error => this.renderTokenStatus(this.describeError(error)));
+        }
+        
+        this.mode = 'search';
+        this.applyRoute();
     }
 
     initializeElements() {
         // Search elements
-        this.usernameInput = document.getElementById('usernameInput');
-        this.searchBtn = document.getElementById('searchBtn');
-        this.loadingSpinner = document.getElementById('loadingSpinner');
-        this.errorMessage = document.getElementById('errorMessage');
-        this.errorText = document.getElementById('errorText');
+        this.usernameInput = this.root.getElementById('usernameInput');
+        this.searchBtn = this.root.getElementById('searchBtn');
+        this.loadingSpinner = this.root.getElementById('loadingSpinner');
+        this.errorMessage = this.root.getElementById('errorMessage');
+        this.errorText = this.root.getElementById('errorText');
+        this.errorActionBtn = this.root.getElementById('errorActionBtn');
+        this.userSuggestions = this.root.getElementById('userSuggestions');
+        this.searchHistoryBar = this.root.getElementById('searchHistory');
+        this.historyList = this.root.getElementById('historyList');
+        this.clearHistoryBtn = this.root.getElementById('clearHistoryBtn');
         
         // Profile elements
-        this.profileSection = document.getElementById('profileSection');
-        this.profileImage = document.getElementById('profileImage');
-        this.profileName = document.getElementById('profileName');
-        this.profileUsername = document.getElementById('profileUsername');
-        this.profileBio = document.getElementById('profileBio');
-        this.followersCount = document.getElementById('followersCount');
-        this.followingCount = document.getElementById('followingCount');
-        this.reposCount = document.getElementById('reposCount');
-        this.profileLocation = document.getElementById('profileLocation');
-        this.profileWebsite = document.getElementById('profileWebsite');
-        this.profileJoinDate = document.getElementById('profileJoinDate');
-        this.profileCompany = document.getElementById('profileCompany');
-        this.githubLink = document.getElementById('githubLink');
-        this.viewReposBtn = document.getElementById('viewReposBtn');
+        this.profileSection = this.root.getElementById('profileSection');
+        this.changeSummary = this.root.getElementById('changeSummary');
+        this.partialError = this.root.getElementById('partialError');
+        this.profileImage = this.root.getElementById('profileImage');
+        this.profileName = this.root.getElementById('profileName');
+        this.profileUsername = this.root.getElementById('profileUsername');
+        this.profileBio = this.root.getElementById('profileBio');
+        this.profileReadme = this.root.getElementById('profileReadme');
+        this.profileReadmeTitle = this.root.getElementById('profileReadmeTitle');
+        this.profileReadmeBody = this.root.getElementById('profileReadmeBody');
+        this.profileCard = this.root.querySelector('.profile-card');
+        this.orgBadge = this.root.getElementById('orgBadge');
+        this.followingStat = this.root.getElementById('followingStat');
+        this.companyIcon = this.root.getElementById('companyIcon');
+        this.followersCount = this.root.getElementById('followersCount');
+        this.followingCount = this.root.getElementById('followingCount');
+        this.reposCount = this.root.getElementById('reposCount');
+        this.profileLocation = this.root.getElementById('profileLocation');
+        this.profileWebsite = this.root.getElementById('profileWebsite');
+        this.profileJoinDate = this.root.getElementById('profileJoinDate');
+        this.profileCompany = this.root.getElementById('profileCompany');
+        this.githubLink = this.root.getElementById('githubLink');
+        this.viewReposBtn = this.root.getElementById('viewReposBtn');
+        this.cacheBadge = this.root.getElementById('cacheBadge');
+        this.refreshProfileBtn = this.root.getElementById('refreshProfileBtn');
+        this.exportMenuBtn = this.root.getElementById('exportMenuBtn');
+        this.exportMenu = this.root.getElementById('exportMenu');
         
         // Repositories elements
-        this.reposSection = document.getElementById('reposSection');
-        this.reposList = document.getElementById('reposList');
+        this.reposSection = this.root.getElementById('reposSection');
+        this.reposList = this.root.getElementById('reposList');
+        this.repoTabs = this.root.querySelectorAll('[data-repo-tab]');
+        this.repoTabHint = this.root.getElementById('repoTabHint');
+        
+        // Repository detail drawer
+        this.repoDrawer = this.root.getElementById('repoDrawer');
+        this.closeRepoDrawerBtn = this.root.getElementById('closeRepoDrawerBtn');
+        this.drawerTitle = this.root.getElementById('drawerTitle');
+        this.drawerLink = this.root.getElementById('drawerLink');
+        this.drawerOverview = this.root.getElementById('drawerOverview');
+        this.drawerLanguages = this.root.getElementById('drawerLanguages');
+        this.drawerRelease = this.root.getElementById('drawerRelease');
+        this.drawerCommits = this.root.getElementById('drawerCommits');
+        this.drawerReadme = this.root.getElementById('drawerReadme');
+        this.repoSearchInput = this.root.getElementById('repoSearchInput');
+        this.repoSortSelect = this.root.getElementById('repoSortSelect');
+        this.repoLanguageFilter = this.root.getElementById('repoLanguageFilter');
+        this.hideForksToggle = this.root.getElementById('hideForksToggle');
+        this.hideArchivedToggle = this.root.getElementById('hideArchivedToggle');
+        this.repoResultsCount = this.root.getElementById('repoResultsCount');
+        this.repoPagination = this.root.getElementById('repoPagination');
         
         // Suggestion buttons
-        this.suggestionBtns = document.querySelectorAll('.suggestion-btn');
+        this.suggestionBtns = this.root.querySelectorAll('.suggestion-btn');
+        
+        // Language picker
+        this.languageSelect = this.root.getElementById('languageSelect');
+        
+        // Settings elements
+        this.settingsBtn = this.root.getElementById('settingsBtn');
+        this.settingsPanel = this.root.getElementById('settingsPanel');
+        this.closeSettingsBtn = this.root.getElementById('closeSettingsBtn');
+        this.tokenInput = this.root.getElementById('tokenInput');
+        this.toggleTokenVisibilityBtn = this.root.getElementById('toggleTokenVisibility');
+        this.rememberTokenToggle = this.root.getElementById('rememberTokenToggle');
+        this.graphqlToggle = this.root.getElementById('graphqlToggle');
+        this.saveTokenBtn = this.root.getElementById('saveTokenBtn');
+        this.clearTokenBtn = this.root.getElementById('clearTokenBtn');
+        this.tokenStatus = this.root.getElementById('tokenStatus');
+        this.apiBaseInput = this.root.getElementById('apiBaseInput');
+        this.saveApiBaseBtn = this.root.getElementById('saveApiBaseBtn');
+        this.resetApiBaseBtn = this.root.getElementById('resetApiBaseBtn');
+        this.apiBaseStatus = this.root.getElementById('apiBaseStatus');
+        
+        // Insights elements
+        this.viewInsightsBtn = this.root.getElementById('viewInsightsBtn');
+        this.insightsSection = this.root.getElementById('insightsSection');
+        this.insightsTotals = this.root.getElementById('insightsTotals');
+        this.languageModeToggle = this.root.getElementById('languageModeToggle');
+        this.languageChart = this.root.getElementById('languageChart');
+        this.languageChartNote = this.root.getElementById('languageChartNote');
+        this.topReposList = this.root.getElementById('topReposList');
+        this.activityChart = this.root.getElementById('activityChart');
+        this.activeMonthsSummary = this.root.getElementById('activeMonthsSummary');
+        this.contributionsCard = this.root.getElementById('contributionsCard');
+        this.contributionCalendar = this.root.getElementById('contributionCalendar');
+        this.contributionsSummary = this.root.getElementById('contributionsSummary');
+        
+        // Network explorer elements
+        this.followersStat = this.root.getElementById('followersStat');
+        this.networkSection = this.root.getElementById('networkSection');
+        this.networkTabs = this.root.querySelectorAll('.network-tab[data-network]');
+        this.networkHint = this.root.getElementById('networkHint');
+        this.networkGrid = this.root.getElementById('networkGrid');
+        this.networkSentinel = this.root.getElementById('networkSentinel');
+        this.breadcrumbTrail = this.root.getElementById('breadcrumbTrail');
+        
+        // Organization members elements
+        this.viewMembersBtn = this.root.getElementById('viewMembersBtn');
+        this.membersSection = this.root.getElementById('membersSection');
+        this.membersGrid = this.root.getElementById('membersGrid');
+        this.membersPagination = this.root.getElementById('membersPagination');
+        
+        // Activity elements
+        this.viewActivityBtn = this.root.getElementById('viewActivityBtn');
+        this.activitySection = this.root.getElementById('activitySection');
+        this.activityHeatmap = this.root.getElementById('activityHeatmap');
+        this.activitySummary = this.root.getElementById('activitySummary');
+        this.activityTimeline = this.root.getElementById('activityTimeline');
+        this.moreActivityBtn = this.root.getElementById('moreActivityBtn');
+        
+        // Mode tabs and comparison elements
+        this.modeTabs = this.root.querySelectorAll('.mode-tab');
+        this.searchSection = this.root.querySelector('.search-section');
+        this.compareSection = this.root.getElementById('compareSection');
+        this.compareInput = this.root.getElementById('compareInput');
+        this.compareBtn = this.root.getElementById('compareBtn');
+        this.compareStatus = this.root.getElementById('compareStatus');
+        this.compareResults = this.root.getElementById('compareResults');
+        this.addToCompareBtn = this.root.getElementById('addToCompareBtn');
+        this.compareExport = this.root.getElementById('compareExport');
+        
+        // Bulk lookup elements
+        this.bulkSection = this.root.getElementById('bulkSection');
+        this.bulkInput = this.root.getElementById('bulkInput');
+        this.bulkStartBtn = this.root.getElementById('bulkStartBtn');
+        this.bulkStopBtn = this.root.getElementById('bulkStopBtn');
+        this.bulkResumeBtn = this.root.getElementById('bulkResumeBtn');
+        this.bulkFileBtn = this.root.getElementById('bulkFileBtn');
+        this.bulkFileInput = this.root.getElementById('bulkFileInput');
+        this.bulkStatus = this.root.getElementById('bulkStatus');
+        this.bulkResults = this.root.getElementById('bulkResults');
+        this.watchBtn = this.root.getElementById('watchBtn');
+        
+        // Watchlist elements
+        this.watchlistBtn = this.root.getElementById('watchlistBtn');
+        this.watchlistBadge = this.root.getElementById('watchlistBadge');
+        this.watchlistPanel = this.root.getElementById('watchlistPanel');
+        this.closeWatchlistBtn = this.root.getElementById('closeWatchlistBtn');
+        this.watchlistList = this.root.getElementById('watchlistList');
+        this.watchlistExport = this.root.getElementById('watchlistExport');
+        this.exportDataBtn = this.root.getElementById('exportDataBtn');
+        this.importDataBtn = this.root.getElementById('importDataBtn');
+        this.importDataInput = this.root.getElementById('importDataInput');
+        this.importStatus = this.root.getElementById('importStatus');
+        
+        // Advanced search elements
+        this.discoverSection = this.root.getElementById('discoverSection');
+        this.discoverForm = this.root.getElementById('discoverForm');
+        this.discoverQueryInput = this.root.getElementById('discoverQuery');
+        this.discoverStatus = this.root.getElementById('discoverStatus');
+        this.discoverResults = this.root.getElementById('discoverResults');
+        this.discoverPagination = this.root.getElementById('discoverPagination');
+        
+        // Profile panels that can be opened from the URL (?tab=repos,insights)
+        this.profilePanels = {
+            repos: { section: this.reposSection, toggle: () => this.toggleRepositories() },
+            insights: { section: this.insightsSection, toggle: () => this.toggleInsights() },
+            activity: { section: this.activitySection, toggle: () => this.toggleActivity() },
+            members: { section: this.membersSection, toggle: () => this.toggleMembers() },
+            network: { section: this.networkSection, toggle: () => this.toggleNetwork() }
+        };
+        
+        // Rate limit meter
+        this.rateLimitMeter = this.root.getElementById('rateLimitMeter');
+        this.rateLimitText = this.root.getElementById('rateLimitText');
+        this.rateLimitBar = this.root.getElementById('rateLimitBar');
+        this.rateLimitCountdown = this.root.getElementById('rateLimitCountdown');
+        this.searchQueueInfo = this.root.getElementById('searchQueueInfo');
+        this.cancelQueueBtn = this.root.getElementById('cancelQueueBtn');
     }
 
     bindEvents() {
@@ -55,6 +448,22 @@ class GitHubProfileSearch {
             }
         });
         
+        // Typeahead suggestions
+        this.usernameInput.addEventListener('input', () => {
+            clearTimeout(this.typeaheadTimer);
+            this.typeaheadTimer = setTimeout(() => this.updateTypeahead(), this.typeaheadDelay);
+        });
+        this.usernameInput.addEventListener('keydown', (e) => this.handleTypeaheadKey(e));
+        this.userSuggestions.addEventListener('mousedown', (e) => {
+            // mousedown fires before the input's blur, so the click isn't lost
+            const item = e.target.closest('[data-username]');
+            if (item) {
+                e.preventDefault();
+                this.usernameInput.value = item.getAttribute('data-username');
+                this.handleSearch();
+            }
+        });
+        
         // Input focus effects
         this.usernameInput.addEventListener('focus', () => {
             this.usernameInput.parentElement.classList.add('focused');
@@ -62,6 +471,7 @@ class GitHubProfileSearch {
         
         this.usernameInput.addEventListener('blur', () => {
             this.usernameInput.parentElement.classList.remove('focused');
+            this.hideTypeahead();
         });
         
         // Suggestion buttons
@@ -76,410 +486,4226 @@ class GitHubProfileSearch {
         // View repositories button
         this.viewReposBtn.addEventListener('click', () => this.toggleRepositories());
         
+        // Insights panel
+        this.viewInsightsBtn.addEventListener('click', () => this.toggleInsights());
+        this.languageModeToggle.addEventListener('click', (e) => {
+            const btn = e.target.closest('[data-language-mode]');
+            if (btn) {
+                this.setLanguageMode(btn.getAttribute('data-language-mode'));
+            }
+        });
+        
+        // Organization members panel
+        this.viewMembersBtn.addEventListener('click', () => this.toggleMembers());
+        this.membersPagination.addEventListener('click', (e) => {
+            const btn = e.target.closest('[data-page]');
+            if (btn && !btn.disabled) {
+                this.loadMembers(parseInt(btn.getAttribute('data-page')));
+            }
+        });
+        this.membersGrid.addEventListener('click', (e) => {
+            const member = e.target.closest('[data-username]');
+            if (member) {
+                this.navigateToUser(member.getAttribute('data-username'));
+            }
+        });
+        
+        // Followers/following explorer
+        [this.followersStat, this.followingStat].forEach(stat => {
+            stat.addEventListener('click', () => this.openNetwork(stat.getAttribute('data-network')));
+        });
+        this.networkTabs.forEach(tab => {
+            tab.addEventListener('click', () => this.openNetwork(tab.getAttribute('data-network')));
+        });
+        this.networkGrid.addEventListener('click', (e) => {
+            const user = e.target.closest('[data-username]');
+            if (user) {
+                this.navigateToUser(user.getAttribute('data-username'));
+            }
+        });
+        this.breadcrumbTrail.addEventListener('click', (e) => {
+            const crumb = e.target.closest('[data-crumb]');
+            if (crumb) {
+                const index = parseInt(crumb.getAttribute('data-crumb'));
+                this.usernameInput.value = this.breadcrumbs[index];
+                this.handleSearch({ breadcrumbs: this.breadcrumbs.slice(0, index + 1) });
+            }
+        });
+        
+        // Load the next page when the end of the list scrolls into view
+        this.networkObserver = new IntersectionObserver((entries) => {
+            if (entries.some(entry => entry.isIntersecting) && this.network) {
+                this.loadNetworkPage(this.network.active);
+            }
+        }, { rootMargin: '0px 0px 200px 0px' });
+        this.networkObserver.observe(this.networkSentinel);
+        
+        // Activity panel
+        this.viewActivityBtn.addEventListener('click', () => this.toggleActivity());
+        this.moreActivityBtn.addEventListener('click', () => {
+            this.activityDaysShown += this.activityDaysPerPage;
+            this.renderActivityTimeline();
+        });
+        
+        // Refresh button bypasses the response cache
+        this.refreshProfileBtn.addEventListener('click', () => {
+            if (this.currentProfile) {
+                this.usernameInput.value = this.currentProfile.login;
+                this.handleSearch({ forceRefresh: true });
+            }
+        });
+        
+        // Data export
+        this.exportMenuBtn.addEventListener('click', (e) => {
+            e.stopPropagation();
+            this.toggleExportMenu();
+        });
+        this.exportMenu.addEventListener('click', (e) => {
+            const item = e.target.closest('[data-export]');
+            if (item) {
+                this.exportProfile(item.getAttribute('data-export'));
+                this.toggleExportMenu(false);
+            }
+        });
+        this.root.addEventListener('click', (e) => {
+            if (!this.exportMenu.contains(e.target)) {
+                this.toggleExportMenu(false);
+            }
+        });
+        [this.compareExport, this.watchlistExport].forEach(container => {
+            container.addEventListener('click', (e) => {
+                const item = e.target.closest('[data-export]');
+                if (item) {
+                    this.exportProfileSet(container.getAttribute('data-export-set'), item.getAttribute('data-export'));
+                }
+            });
+        });
+        
+        // Repository detail drawer (the repo name still links straight to GitHub)
+        this.reposList.addEventListener('click', (e) => {
+            const retry = e.target.closest('[data-retry-tab]');
+            if (retry) {
+                this.setRepoTab(retry.getAttribute('data-retry-tab'));
+                return;
+            }
+            
+            const card = e.target.closest('[data-repo]');
+            if (card && !e.target.closest('a')) {
+                this.openRepoDrawer(card.getAttribute('data-repo'));
+            }
+        });
+        this.reposList.addEventListener('keydown', (e) => {
+            const card = e.target.closest('[data-repo]');
+            if (card && e.target === card && (e.key === 'Enter' || e.key === ' ')) {
+                e.preventDefault();
+                this.openRepoDrawer(card.getAttribute('data-repo'));
+            }
+        });
+        this.closeRepoDrawerBtn.addEventListener('click', () => this.closeRepoDrawer());
+        this.repoDrawer.addEventListener('click', (e) => {
+            if (e.target === this.repoDrawer) {
+                this.closeRepoDrawer();
+            }
+        });
+        
+        // Repository browser controls
+        this.repoTabs.forEach(tab => {
+            tab.addEventListener('click', () => this.setRepoTab(tab.getAttribute('data-repo-tab')));
+        });
+        this.repoSearchInput.addEventListener('input', () => {
+            this.updateRepoFilter('query', this.repoSearchInput.value.trim().toLowerCase());
+        });
+        this.repoSortSelect.addEventListener('change', () => {
+            this.updateRepoFilter('sort', this.repoSortSelect.value);
+        });
+        this.repoLanguageFilter.addEventListener('change', () => {
+            this.updateRepoFilter('language', this.repoLanguageFilter.value);
+        });
+        this.hideForksToggle.addEventListener('change', () => {
+            this.updateRepoFilter('hideForks', this.hideForksToggle.checked);
+        });
+        this.hideArchivedToggle.addEventListener('change', () => {
+            this.updateRepoFilter('hideArchived', this.hideArchivedToggle.checked);
+        });
+        this.repoPagination.addEventListener('click', (e) => {
+            const btn = e.target.closest('[data-page]');
+            if (btn && !btn.disabled) {
+                this.repoFilters.page = parseInt(btn.getAttribute('data-page'));
+                this.renderRepoBrowser();
+                this.reposSection.scrollIntoView({ behavior: 'smooth', block: 'start' });
+            }
+        });
+        
+        // Back/forward navigation
+        window.addEventListener('popstate', () => this.applyRoute());
+        
+        // Mode tabs
+        this.modeTabs.forEach(tab => {
+            tab.addEventListener('click', () => this.setMode(tab.getAttribute('data-mode')));
+        });
+        
+        // Comparison
+        this.compareBtn.addEventListener('click', () => this.handleCompare());
+        this.compareInput.addEventListener('keypress', (e) => {
+            if (e.key === 'Enter') {
+                this.handleCompare();
+            }
+        });
+        
+        // Bulk lookup
+        this.bulkStartBtn.addEventListener('click', () => this.handleBulkLookup());
+        this.bulkStopBtn.addEventListener('click', () => this.stopBulkLookup());
+        this.bulkResumeBtn.addEventListener('click', () => this.runBulkQueue());
+        this.bulkFileBtn.addEventListener('click', () => this.bulkFileInput.click());
+        this.bulkFileInput.addEventListener('change', () => {
+            const file = this.bulkFileInput.files[0];
+            if (file) {
+                this.loadBulkFile(file);
+            }
+            this.bulkFileInput.value = '';
+        });
+        this.bulkResults.addEventListener('click', (e) => {
+            const header = e.target.closest('[data-sort]');
+            if (header) {
+                this.sortBulkRows(header.getAttribute('data-sort'));
+                return;
+            }
+            
+            const result = e.target.closest('[data-username]');
+            if (result) {
+                this.setMode('search', { silent: true });
+                this.usernameInput.value = result.getAttribute('data-username');
+                this.handleSearch();
+            }
+        });
+        this.addToCompareBtn.addEventListener('click', () => {
+            if (this.currentProfile) {
+                this.addToComparison(this.currentProfile.login);
+            }
+        });
+        this.compareResults.addEventListener('click', (e) => {
+            const removeBtn = e.target.closest('[data-remove-login]');
+            if (removeBtn) {
+                this.removeFromComparison(removeBtn.getAttribute('data-remove-login'));
+            }
+        });
+        
+        // Advanced search
+        this.discoverForm.addEventListener('input', (e) => {
+            if (e.target !== this.discoverQueryInput) {
+                this.discoverQueryInput.value = this.buildSearchQuery();
+            }
+        });
+        this.discoverForm.addEventListener('submit', (e) => {
+            e.preventDefault();
+            this.handleDiscover(1);
+        });
+        this.discoverPagination.addEventListener('click', (e) => {
+            const btn = e.target.closest('[data-page]');
+            if (btn && !btn.disabled) {
+                this.handleDiscover(parseInt(btn.getAttribute('data-page')), { query: this.discoverQuery });
+            }
+        });
+        this.discoverResults.addEventListener('click', (e) => {
+            const result = e.target.closest('[data-username]');
+            if (result) {
+                this.setMode('search', { silent: true });
+                this.usernameInput.value = result.getAttribute('data-username');
+                this.handleSearch();
+            }
+        });
+        
+        // Search history
+        this.historyList.addEventListener('click', (e) => {
+            const remove = e.target.closest('[data-remove]');
+            const item = e.target.closest('[data-username]');
+            if (remove) {
+                this.removeFromHistory(remove.getAttribute('data-remove'));
+            } else if (item) {
+                this.usernameInput.value = item.getAttribute('data-username');
+                this.handleSearch();
+            }
+        });
+        this.clearHistoryBtn.addEventListener('click', () => this.clearHistory());
+        
+        // Partial failures and their recovery actions
+        this.partialError.addEventListener('click', (e) => {
+            if (e.target.closest('[data-retry-repos]')) {
+                this.retryRepositories();
+            }
+        });
+        this.errorActionBtn.addEventListener('click', () => {
+            if (this.errorAction) {
+                this.errorAction();
+            }
+        });
+        
+        // Watchlist
+        this.changeSummary.addEventListener('click', (e) => {
+            if (e.target.closest('[data-dismiss-changes]')) {
+                this.changeSummary.classList.add('hidden');
+            }
+        });
+        this.watchBtn.addEventListener('click', () => {
+            if (this.currentProfile) {
+                this.toggleWatch(this.currentProfile);
+            }
+        });
+        this.watchlistBtn.addEventListener('click', () => this.openWatchlist());
+        this.closeWatchlistBtn.addEventListener('click', () => this.closeWatchlist());
+        this.watchlistPanel.addEventListener('click', (e) => {
+            if (e.target === this.watchlistPanel) {
+                this.closeWatchlist();
+            }
+        });
+        this.watchlistList.addEventListener('click', (e) => {
+            const remove = e.target.closest('[data-unwatch]');
+            const item = e.target.closest('[data-username]');
+            if (remove) {
+                this.unwatch(remove.getAttribute('data-unwatch'));
+            } else if (item) {
+                this.closeWatchlist();
+                this.setMode('search', { silent: true });
+                this.usernameInput.value = item.getAttribute('data-username');
+                this.handleSearch();
+            }
+        });
+        this.exportDataBtn.addEventListener('click', () => this.exportUserData());
+        this.importDataBtn.addEventListener('click', () => this.importDataInput.click());
+        this.importDataInput.addEventListener('change', () => {
+            const file = this.importDataInput.files[0];
+            if (file) {
+                this.importUserData(file);
+            }
+            this.importDataInput.value = '';
+        });
+        
+        // Language picker
+        this.languageSelect.addEventListener('change', () => this.changeLocale(this.languageSelect.value));
+        
+        // Settings panel
+        this.settingsBtn.addEventListener('click', () => this.openSettings());
+        this.closeSettingsBtn.addEventListener('click', () => this.closeSettings());
+        this.settingsPanel.addEventListener('click', (e) => {
+            if (e.target === this.settingsPanel) {
+                this.closeSettings();
+            }
+        });
+        this.toggleTokenVisibilityBtn.addEventListener('click', () => {
+            const isHidden = this.tokenInput.type === 'password';
+            this.tokenInput.type = isHidden ? 'text' : 'password';
+            this.toggleTokenVisibilityBtn.innerHTML = isHidden ? '<i class="fas fa-eye-slash"></i>' : '<i class="fas fa-eye"></i>';
+        });
+        this.graphqlToggle.addEventListener('change', () => {
+            this.graphqlEnabled = this.graphqlToggle.checked;
+            if (this.graphqlEnabled) {
+                localStorage.removeItem(this.graphqlStorageKey);
+            } else {
+                localStorage.setItem(this.graphqlStorageKey, 'off');
+            }
+        });
+        this.saveTokenBtn.addEventListener('click', () => this.saveToken());
+        this.clearTokenBtn.addEventListener('click', () => this.clearToken());
+        this.saveApiBaseBtn.addEventListener('click', () => this.saveApiBase());
+        this.resetApiBaseBtn.addEventListener('click', () => this.switchApiBase(GitHubApiClient.defaultBaseUrl));
+        this.apiBaseInput.addEventListener('keydown', (e) => {
+            if (e.key === 'Enter') {
+                this.saveApiBase();
+            }
+        });
+        
+        // Queued searches
+        this.cancelQueueBtn.addEventListener('click', () => {
+            this.searchQueue = [];
+            this.renderRateLimit();
+            this.hideError();
+        });
+        
         // Animate elements on scroll
         this.observeElements();
     }
 
-    async handleSearch() {
+    async handleSearch(options = {}) {
         const username = this.usernameInput.value.trim();
         
+        clearTimeout(this.typeaheadTimer);
+        this.hideTypeahead();
+        
         if (!username) {
-            this.showError('Please enter a GitHub username');
+            this.showError(this.t('search.empty'));
+            return;
+        }
+        
+        // Anything else would be read as a different API path (e.g. "octocat/repos")
+        if (!this.isValidUsername(username)) {
+            this.showError(this.t('search.invalid'));
             return;
         }
         
         if (!this.checkRateLimit()) {
-            this.showError('Rate limit exceeded. Please try again later.');
+            this.queueSearch(username, options);
             return;
         }
         
+        // A newer search supersedes this one, so its responses can't overwrite the new profile
+        if (this.searchController) {
+            this.searchController.abort();
+        }
+        const controller = new AbortController();
+        this.searchController = controller;
+        const requestOptions = { ...options, signal: controller.signal };
+        
         this.showLoading();
         this.hideError();
         this.hideProfile();
         
         try {
-            const [profile, repos] = await Promise.all([
-                this.fetchUserProfile(username),
-                this.fetchUserRepositories(username)
-            ]);
+            let { profile, repos, ...details } = await this.fetchProfileData(username, requestOptions);
+            
+            const isOrganization = profile.type === 'Organization';
+            if (isOrganization) {
+                profile = await this.fetchOrganization(profile, requestOptions);
+            }
+            if (controller.signal.aborted) return;
+            
+            // The trail only changes once the profile has loaded; a fresh search starts a new one
+            if (options.breadcrumbs) {
+                this.breadcrumbs = options.breadcrumbs;
+            } else if (!options.fromHistory) {
+                this.breadcrumbs = [];
+            }
             
-            this.displayProfile(profile, repos);
+            this.displayProfile(profile, repos, details);
             this.hideLoading();
+            this.recordSearch(profile.login);
+            if (this.isWatched(profile.login)) {
+                this.trackChanges(profile, repos);
+            }
+            
+            if (options.tabs) {
+                this.setOpenPanels(options.tabs);
+            } else if (isOrganization) {
+                // Organizations open straight into their members and repositories
+                this.setOpenPanels(['repos', 'members']);
+            }
+            this.updateRoute({ push: !options.fromHistory });
             
         } catch (error) {
+            if (error.name === 'AbortError' || controller.signal.aborted) return;
+            
             this.hideLoading();
-            this.handleError(error);
+            if (error instanceof RateLimitError || error instanceof SecondaryRateLimitError || error instanceof AbuseError) {
+                this.queueSearch(username, options);
+            } else {
+                this.handleError(error);
+            }
+        } finally {
+            if (this.searchController === controller) {
+                this.searchController = null;
+            }
         }
     }
 
-    async fetchUserProfile(username) {
-        const response = await fetch(`${this.apiBase}/users/${username}`, {
-            headers: {
-                'Accept': 'application/vnd.github.v3+json'
+    // Profile and repositories, through GraphQL when possible and REST otherwise.
+    // Resolves to { profile, repos, cachedAt } plus pinned repos and contributions from GraphQL.
+    async fetchProfileData(username, options = {}) {
+        if (this.token && this.graphqlEnabled) {
+            try {
+                const result = await this.fetchProfileGraphQL(username, options);
+                // Organizations (and unknown logins) aren't users; REST handles both
+                if (result) return result;
+            } catch (error) {
+                // REST shares these limits, so falling back would only hit them again;
+                // any other GraphQL failure quietly falls back to REST below
+                if (error.name === 'AbortError' || error instanceof SecondaryRateLimitError || error instanceof AbuseError) throw error;
             }
+        }
+        
+        // A profile without its repositories is still worth showing
+        const [profileResult, reposResult] = await Promise.allSettled([
+            this.fetchUserProfile(username, options),
+            this.fetchUserRepositories(username, options)
+        ]);
+        
+        if (profileResult.status === 'rejected') throw profileResult.reason;
+        if (reposResult.status === 'rejected' && reposResult.reason.name === 'AbortError') throw reposResult.reason;
+        
+        return {
+            profile: profileResult.value,
+            repos: reposResult.status === 'fulfilled' ? reposResult.value : [],
+            reposError: reposResult.status === 'rejected' ? reposResult.reason : null,
+            cachedAt: this.api.cachedAt(`/users/${username}`)
+        };
+    }
+
+    async fetchProfileGraphQL(username, options = {}) {
+        let result;
+        try {
+            result = await this.api.graphql(PROFILE_QUERY, { login: username }, options);
+        } catch (error) {
+            if (error.status === 404) return null;
+            throw error;
+        }
+        
+        const { user } = result.data;
+        if (!user) return null;
+        
+        const repos = user.repositories.nodes.map(repo => this.mapGraphQLRepository(repo));
+        let pageInfo = user.repositories.pageInfo;
+        let pages = 1;
+        
+        while (pageInfo.hasNextPage && pages < this.maxRepoPages) {
+            const page = await this.api.graphql(REPOSITORIES_QUERY, { login: username, after: pageInfo.endCursor }, options);
+            const { nodes, pageInfo: next } = page.data.user.repositories;
+            repos.push(...nodes.map(repo => this.mapGraphQLRepository(repo)));
+            pageInfo = next;
+            pages++;
+        }
+        
+        const { contributionCalendar } = user.contributionsCollection;
+        
+        return {
+            profile: {
+                login: user.login,
+                id: user.databaseId,
+                type: 'User',
+                name: user.name,
+                bio: user.bio,
+                company: user.company,
+                location: user.location,
+                blog: user.websiteUrl || '',
+                email: user.email || null,
+                twitter_username: user.twitterUsername,
+                avatar_url: user.avatarUrl,
+                html_url: user.url,
+                created_at: user.createdAt,
+                followers: user.followers.totalCount,
+                following: user.following.totalCount,
+                public_repos: user.publicRepositories.totalCount,
+                public_gists: user.gists.totalCount
+            },
+            repos,
+            // Pinned items can include private repositories the viewer can't see, which come back null
+            pinned: user.pinnedItems.nodes.filter(Boolean).map(repo => this.mapGraphQLRepository(repo)),
+            contributions: {
+                total: contributionCalendar.totalContributions,
+                weeks: contributionCalendar.weeks.map(week => week.contributionDays)
+            },
+            cachedAt: result.cachedAt
+        };
+    }
+
+    // Same fields the REST /repos endpoints return, so every view works with either source
+    mapGraphQLRepository(repo) {
+        return {
+            name: repo.name,
+            full_name: repo.nameWithOwner,
+            description: repo.description,
+            html_url: repo.url,
+            homepage: repo.homepageUrl,
+            private: repo.isPrivate,
+            fork: repo.isFork,
+            archived: repo.isArchived,
+            stargazers_count: repo.stargazerCount,
+            forks_count: repo.forkCount,
+            // REST counts open pull requests as issues too
+            open_issues_count: repo.issues.totalCount + repo.pullRequests.totalCount,
+            created_at: repo.createdAt,
+            updated_at: repo.updatedAt,
+            pushed_at: repo.pushedAt,
+            language: repo.primaryLanguage ? repo.primaryLanguage.name : null,
+            license: repo.licenseInfo ? { spdx_id: repo.licenseInfo.spdxId || 'NOASSERTION', name: repo.licenseInfo.name } : null,
+            default_branch: repo.defaultBranchRef ? repo.defaultBranchRef.name : null,
+            topics: repo.repositoryTopics.nodes.map(node => node.topic.name)
+        };
+    }
+
+    async fetchUserProfile(username, options = {}) {
+        return this.api.get(`/users/${encodeURIComponent(username)}`, options, {
+            notFound: 'search.notFound',
+            failed: 'search.failed'
         });
+    }
+
+    // Merge the org-only fields (description, verification, email) into the profile
+    async fetchOrganization(profile, options = {}) {
+        const response = await this.api.request(`/orgs/${encodeURIComponent(profile.login)}`, options);
         
-        if (!response.ok) {
-            if (response.status === 404) {
-                throw new Error('User not found. Please check the username and try again.');
-            } else if (response.status === 403) {
-                throw new Error('API rate limit exceeded. Please try again later.');
-            } else {
-                throw new Error('Failed to fetch user profile. Please try again.');
-            }
+        // The /users response already has the basics, so show those without the extras
+        if (!response.ok) return profile;
+        
+        return { ...profile, ...response.data };
+    }
+
+    setRepositories(repos) {
+        // Store repos for later display
+        this.currentRepos = repos;
+        this.resetRepoFilters();
+        this.syncRepoControls();
+        if (this.reposSection.style.display === 'block') {
+            this.renderRepoBrowser();
         }
         
-        // Update rate limit info
-        this.updateRateLimit(response.headers);
+        // Insights are recomputed for the new repos
+        this.languageBytes = null;
+        this.languageMode = 'repos';
+        this.syncLanguageModeToggle();
+        if (this.insightsSection.style.display === 'block') {
+            this.renderInsights();
+        }
+    }
+
+    // The profile loaded but its repositories didn't: say so instead of showing an empty list
+    renderPartialError(error) {
+        this.reposError = error || null;
+        this.partialError.classList.toggle('hidden', !error);
+        if (!error) return;
         
-        return await response.json();
+        this.partialError.innerHTML = html`
+            <i class="fas fa-exclamation-circle"></i>
+            <span>${this.t('repos.loadFailed', { reason: this.describeError(error) })}</span>
+            ${error instanceof RateLimitError || error instanceof SecondaryRateLimitError
+                ? ''
+                : html`<button class="link-btn" data-retry-repos>${this.t('repos.retry')}</button>`}
+        `;
     }
 
-    async fetchUserRepositories(username) {
-        const response = await fetch(`${this.apiBase}/users/${username}/repos?sort=updated&per_page=6`, {
-            headers: {
-                'Accept': 'application/vnd.github.v3+json'
+    async retryRepositories() {
+        const login = this.currentProfile.login;
+        this.partialError.innerHTML = html`<i class="fas fa-spinner fa-spin"></i> <span>${this.t('repos.loading')}</span>`;
+        
+        try {
+            const repos = await this.fetchUserRepositories(login, { forceRefresh: true });
+            if (this.currentProfile.login !== login) return;
+            this.setRepositories(repos);
+            this.renderPartialError(null);
+        } catch (error) {
+            if (this.currentProfile.login === login) {
+                this.renderPartialError(error);
             }
+        }
+    }
+
+    async fetchUserRepositories(username, options = {}) {
+        let path = `/users/${encodeURIComponent(username)}/repos?sort=updated&per_page=100`;
+        
+        // /users/{name}/repos never lists private repos, so use /user/repos for the token's owner
+        if (this.tokenInfo && this.tokenInfo.login.toLowerCase() === username.toLowerCase()) {
+            path = '/user/repos?affiliation=owner&sort=updated&per_page=100';
+        }
+        
+        return this.api.paginate(path, { ...options, maxPages: this.maxRepoPages }, {
+            failed: 'repos.fetchFailed'
         });
+    }
+
+    updateCacheBadge(cachedAt) {
+        clearInterval(this.cacheBadgeTimer);
+        this.profileCachedAt = cachedAt;
         
-        if (!response.ok) {
-            console.warn('Failed to fetch repositories');
-            return [];
+        if (!cachedAt) {
+            this.cacheBadge.classList.add('hidden');
+            return;
         }
         
-        return await response.json();
+        // Offline, the cached copy is all there is, so say how old it is
+        const render = () => {
+            const offline = !navigator.onLine;
+            const minutes = Math.floor((Date.now() - cachedAt) / 60000);
+            this.cacheBadge.classList.toggle('offline', offline);
+            this.cacheBadge.title = this.t(offline ? 'cache.offlineTitle' : 'profile.cached');
+            this.cacheBadge.querySelector('i').className = offline ? 'fas fa-box-archive' : 'fas fa-database';
+            this.cacheBadge.querySelector('span').textContent = offline
+                ? this.t('cache.offline', { time: this.formatTimeAgo(cachedAt) })
+                : minutes < 1
+                    ? this.t('cache.justNow')
+                    : this.t('cache.minutesOld', { count: minutes });
+        };
+        
+        render();
+        this.cacheBadge.classList.remove('hidden');
+        this.cacheBadgeTimer = setInterval(render, 60000);
     }
 
-    displayProfile(profile, repos) {
+    // The profile header, kept apart so a language switch can redraw it without refetching
+    renderProfileDetails(profile) {
         // Profile image
-        this.profileImage.src = profile.avatar_url;
-        this.profileImage.alt = `${profile.name || profile.login}'s profile picture`;
+        this.profileImage.src = safeUrl(profile.avatar_url) || '';
+        this.profileImage.alt = this.t('profile.avatarAlt', { name: profile.name || profile.login });
         
         // Basic info
+        const isOrganization = profile.type === 'Organization';
+        this.profileCard.classList.toggle('org-profile', isOrganization);
         this.profileName.textContent = profile.name || profile.login;
         this.profileUsername.textContent = `@${profile.login}`;
-        this.profileBio.textContent = profile.bio || 'No bio available';
+        this.profileBio.textContent = (isOrganization ? profile.description : profile.bio) || profile.bio || this.t('profile.noBio');
+        this.orgBadge.classList.toggle('hidden', !isOrganization);
+        this.orgBadge.classList.toggle('verified', !!profile.is_verified);
+        this.orgBadge.title = this.t(profile.is_verified ? 'profile.verifiedOrganization' : 'profile.organization');
         
         // Stats
         this.followersCount.textContent = this.formatNumber(profile.followers);
         this.followingCount.textContent = this.formatNumber(profile.following);
+        this.followingStat.classList.toggle('hidden', isOrganization);
         this.reposCount.textContent = this.formatNumber(profile.public_repos);
         
-        // Details
-        this.profileLocation.textContent = profile.location || 'Not specified';
-        this.profileWebsite.textContent = profile.blog || 'Not specified';
-        this.profileWebsite.href = profile.blog || '#';
-        this.profileJoinDate.textContent = this.formatJoinDate(profile.created_at);
-        this.profileCompany.textContent = profile.company || 'Not specified';
+        // Details
+        this.profileLocation.textContent = profile.location || this.t('profile.notSpecified');
+        // Blogs are free text: unsafe schemes are shown but not linked
+        const website = safeUrl(profile.blog);
+        this.profileWebsite.textContent = profile.blog || this.t('profile.notSpecified');
+        if (website) {
+            this.profileWebsite.href = website;
+        } else {
+            this.profileWebsite.removeAttribute('href');
+        }
+        this.profileJoinDate.textContent = this.formatJoinDate(profile.created_at);
+        this.profileJoinDate.title = this.formatJoinTitle(profile.created_at);
+        // Organizations have no company, so show their public email instead
+        this.profileCompany.textContent = (isOrganization ? profile.email : profile.company) || this.t('profile.notSpecified');
+        this.companyIcon.className = isOrganization ? 'fas fa-envelope' : 'fas fa-building';
+        
+        // GitHub link
+        this.githubLink.href = safeUrl(`${this.api.webUrl}/${profile.login}`) || '#';
+    }
+
+    displayProfile(profile, repos, details = {}) {
+        const isOrganization = profile.type === 'Organization';
+        this.renderProfileDetails(profile);
+        
+        // Cache status
+        this.currentProfile = profile;
+        this.renderWatchButton();
+        this.updateCacheBadge(details.cachedAt);
+        this.loadProfileReadme(profile);
+        
+        // Only the GraphQL path knows about pinned items and contributions; the
+        // README fallback for pins and the starred list load when their tab is opened
+        this.currentPinned = details.pinned || null;
+        this.pinnedSource = details.pinned ? 'graphql' : null;
+        this.currentContributions = details.contributions || null;
+        this.starredRepos = null;
+        this.repoTab = 'owned';
+        
+        this.setRepositories(repos);
+        this.renderPartialError(details.reposError);
+        
+        // Followers/following lists belong to the previous profile
+        this.network = null;
+        this.renderBreadcrumbs();
+        if (this.networkSection.style.display === 'block') {
+            this.openNetwork('followers');
+        }
+        
+        // Members only exist for organizations
+        this.orgMembers = null;
+        this.viewMembersBtn.classList.toggle('hidden', !isOrganization);
+        if (this.membersSection.style.display === 'block') {
+            if (isOrganization) {
+                this.loadMembers(1);
+            } else {
+                this.toggleMembers();
+            }
+        }
+        
+        // Activity belongs to the previous profile
+        this.currentEvents = null;
+        if (this.activitySection.style.display === 'block') {
+            this.loadActivity();
+        }
+        
+        // Show profile with animation
+        this.showProfile();
+        
+        // Add entrance animations
+        this.animateProfileElements();
+    }
+
+    displayRepositories(repos, emptyMessage = this.t('repos.empty')) {
+        if (!repos || repos.length === 0) {
+            this.reposList.innerHTML = html`<p class="no-repos">${emptyMessage}</p>`;
+            return;
+        }
+        
+        this.reposList.innerHTML = repos.map(repo => html`
+            <div class="repo-card" data-repo="${repo.full_name}" tabindex="0" role="button" aria-label="${this.t('repos.showDetails', { name: repo.name })}">
+                <div class="repo-header">
+                    <a href="${safeUrl(repo.html_url)}" target="_blank" rel="noopener noreferrer" class="repo-name">
+                        ${this.repoDisplayName(repo)}
+                    </a>
+                    <span class="repo-visibility ${repo.private ? 'private' : 'public'}">
+                        ${this.t(repo.private ? 'repos.private' : 'repos.public')}
+                    </span>
+                    ${(this.currentPinned || []).some(pinned => pinned.full_name === repo.full_name) ? html`<span class="repo-tag pinned"><i class="fas fa-thumbtack"></i> ${this.t('repos.pinned')}</span>` : ''}
+                    ${repo.fork ? html`<span class="repo-tag">${this.t('repos.fork')}</span>` : ''}
+                    ${repo.archived ? html`<span class="repo-tag archived">${this.t('repos.archived')}</span>` : ''}
+                </div>
+                <p class="repo-description">${repo.description || this.t('repos.noDescription')}</p>
+                <div class="repo-stats">
+                    <div class="repo-stat">
+                        <i class="fas fa-star"></i>
+                        <span>${this.formatNumber(repo.stargazers_count)}</span>
+                    </div>
+                    <div class="repo-stat">
+                        <i class="fas fa-code-branch"></i>
+                        <span>${this.formatNumber(repo.forks_count)}</span>
+                    </div>
+                    <div class="repo-stat">
+                        <i class="fas fa-circle"></i>
+                        <span>${repo.language || this.t('repos.noLanguage')}</span>
+                    </div>
+                    ${repo.pushed_at || repo.updated_at ? html`
+                        <div class="repo-stat repo-updated" title="${this.i18n.formatDateTime(repo.pushed_at || repo.updated_at, { dateStyle: 'medium', timeStyle: 'short' })}">
+                            <i class="fas fa-history"></i>
+                            <span>${this.t('repos.updated', { time: this.formatTimeAgo(new Date(repo.pushed_at || repo.updated_at).getTime()) })}</span>
+                        </div>
+                    ` : ''}
+                </div>
+            </div>
+        `).join('');
+        
+        // Animate repository cards
+        this.animateRepositoryCards();
+    }
+
+    // Each block of the drawer loads (and fails) on its own so one slow endpoint doesn't hold up the rest
+    openRepoDrawer(fullName) {
+        const repo = this.activeRepos().find(item => item.full_name === fullName);
+        if (!repo) return;
+        
+        this.drawerRepo = fullName;
+        this.drawerTitle.textContent = repo.full_name;
+        this.drawerLink.href = safeUrl(repo.html_url) || '#';
+        this.renderRepoOverview(repo);
+        this.repoDrawer.classList.remove('hidden');
+        this.root.body.classList.add('drawer-open');
+        this.closeRepoDrawerBtn.focus();
+        
+        const base = `/repos/${fullName}`;
+        
+        this.loadDrawerBlock(this.drawerLanguages, `${base}/languages`, {}, (languages) => {
+            const sum = Object.values(languages).reduce((acc, bytes) => acc + bytes, 0);
+            const items = Object.entries(languages)
+                .sort((a, b) => b[1] - a[1])
+                .slice(0, 8)
+                .map(([language, bytes]) => ({
+                    label: language,
+                    value: bytes,
+                    display: this.i18n.formatPercent(bytes / sum),
+                    color: this.languageColor(language)
+                }));
+            this.renderBarChart(this.drawerLanguages, items);
+        });
+        
+        this.loadDrawerBlock(this.drawerRelease, `${base}/releases/latest`, { 404: 'drawer.noRelease' }, (release) => {
+            this.drawerRelease.innerHTML = html`
+                <a href="${safeUrl(release.html_url)}" target="_blank" rel="noopener noreferrer" class="drawer-release">
+                    <i class="fas fa-tag"></i>
+                    <strong>${release.name || release.tag_name}</strong>
+                    <span class="repo-tag">${release.tag_name}</span>
+                </a>
+                <p class="drawer-muted">${this.t('drawer.published', { time: this.formatTimeAgo(new Date(release.published_at).getTime()) })}</p>
+            `;
+        });
+        
+        // An empty repository answers 409 Conflict
+        this.loadDrawerBlock(this.drawerCommits, `${base}/commits?per_page=10`, { 409: 'drawer.noCommits' }, (commits) => {
+            this.drawerCommits.innerHTML = commits.length > 0 ? html`
+                <ul class="commit-list">
+                    ${commits.map(item => html`
+                        <li class="commit-item">
+                            <img src="${safeUrl(item.author ? item.author.avatar_url : `${this.api.webUrl}/identicons/ghost.png`)}" alt="" loading="lazy">
+                            <div class="commit-body">
+                                <a href="${safeUrl(item.html_url)}" target="_blank" rel="noopener noreferrer" class="commit-message">${item.commit.message.split('\n')[0]}</a>
+                                <span class="drawer-muted">${this.t('drawer.committed', {
+                                    author: item.author ? item.author.login : item.commit.author.name,
+                                    time: this.formatTimeAgo(new Date(item.commit.author.date).getTime())
+                                })}</span>
+                            </div>
+                            <code>${item.sha.slice(0, 7)}</code>
+                        </li>
+                    `)}
+                </ul>
+            ` : html`<p class="chart-empty">${this.t('drawer.noCommitsFound')}</p>`;
+        });
+        
+        this.loadDrawerBlock(this.drawerReadme, `${base}/readme`, { 404: 'drawer.noReadme' }, (readme) => {
+            this.drawerReadme.innerHTML = '';
+            this.drawerReadme.appendChild(this.sanitizeHTML(readme, {
+                links: `${repo.html_url}/blob/${repo.default_branch}/`,
+                images: this.api.rawUrl(fullName, repo.default_branch)
+            }));
+        }, { html: true });
+    }
+
+    async loadDrawerBlock(container, url, emptyMessages, render, options = {}) {
+        const fullName = this.drawerRepo;
+        container.innerHTML = html`<p class="drawer-muted"><i class="fas fa-spinner fa-spin"></i> ${this.t('drawer.loading')}</p>`;
+        
+        let response;
+        try {
+            response = await this.api.request(url, options);
+        } catch (error) {
+            response = null;
+        }
+        
+        // The drawer moved on to another repository while this was loading
+        if (this.drawerRepo !== fullName) return;
+        
+        if (response && response.ok) {
+            render(response.data);
+        } else if (response && emptyMessages[response.status]) {
+            container.innerHTML = html`<p class="chart-empty">${this.t(emptyMessages[response.status])}</p>`;
+        } else {
+            container.innerHTML = html`
+                <p class="drawer-error">
+                    <i class="fas fa-exclamation-triangle"></i>
+                    ${this.t(response && response.rateLimit ? 'drawer.rateLimited' : 'drawer.failed')}
+                    <button class="link-btn" data-retry>${this.t('repos.retry')}</button>
+                </p>
+            `;
+            container.querySelector('[data-retry]').addEventListener('click', () => {
+                this.loadDrawerBlock(container, url, emptyMessages, render, options);
+            });
+        }
+    }
+
+    renderRepoOverview(repo) {
+        const topics = repo.topics || [];
+        
+        this.drawerOverview.innerHTML = html`
+            <p class="repo-description">${repo.description || this.t('repos.noDescription')}</p>
+            ${topics.length > 0 ? html`
+                <div class="drawer-topics">
+                    ${topics.map(topic => html`<span class="topic-tag">${topic}</span>`)}
+                </div>
+            ` : ''}
+            <div class="drawer-facts">
+                <span><i class="fas fa-star"></i> ${this.t('drawer.stars', { count: repo.stargazers_count, value: this.formatNumber(repo.stargazers_count) })}</span>
+                <span><i class="fas fa-code-branch"></i> ${this.t('drawer.forks', { count: repo.forks_count, value: this.formatNumber(repo.forks_count) })}</span>
+                <span><i class="fas fa-exclamation-circle"></i> ${this.t('drawer.openIssues', { count: repo.open_issues_count, value: this.formatNumber(repo.open_issues_count) })}</span>
+                <span><i class="fas fa-balance-scale"></i> ${repo.license ? repo.license.spdx_id === 'NOASSERTION' ? repo.license.name : repo.license.spdx_id : this.t('drawer.noLicense')}</span>
+                <span><i class="fas fa-history"></i> ${this.t('repos.updated', { time: this.formatTimeAgo(new Date(repo.pushed_at || repo.updated_at).getTime()) })}</span>
+            </div>
+        `;
+    }
+
+    closeRepoDrawer() {
+        this.drawerRepo = null;
+        this.repoDrawer.classList.add('hidden');
+        this.root.body.classList.remove('drawer-open');
+    }
+
+    // Rebuild untrusted HTML from an allowlist of tags and attributes; relative URLs resolve against `base`
+    sanitizeHTML(markup, base = {}) {
+        const allowedTags = new Set([
+            'a', 'abbr', 'b', 'blockquote', 'br', 'code', 'dd', 'del', 'details', 'div', 'dl', 'dt', 'em',
+            'h1', 'h2', 'h3', 'h4', 'h5', 'h6', 'hr', 'i', 'img', 'ins', 'kbd', 'li', 'ol', 'p', 'picture',
+            'pre', 's', 'source', 'span', 'strong', 'sub', 'summary', 'sup', 'table', 'tbody', 'td', 'tfoot',
+            'th', 'thead', 'tr', 'ul'
+        ]);
+        // Dropped together with everything inside them
+        const droppedTags = new Set(['script', 'style', 'iframe', 'object', 'embed', 'form', 'template', 'noscript', 'svg', 'math']);
+        const allowedAttributes = new Set(['href', 'src', 'srcset', 'alt', 'title', 'width', 'height', 'align', 'colspan', 'rowspan', 'open', 'media']);
+        const resolve = (value, prefix) => {
+            if (value.startsWith('#')) return value;
+            try {
+                const url = new URL(value, prefix || undefined);
+                return ['http:', 'https:', 'mailto:'].includes(url.protocol) ? url.href : null;
+            } catch (error) {
+                return null;
+            }
+        };
+        
+        const source = new DOMParser().parseFromString(markup, 'text/html').body;
+        const fragment = this.root.createDocumentFragment();
+        
+        const copy = (node, parent) => {
+            if (node.nodeType === Node.TEXT_NODE) {
+                parent.appendChild(this.root.createTextNode(node.textContent));
+                return;
+            }
+            if (node.nodeType !== Node.ELEMENT_NODE) return;
+            
+            const tag = node.tagName.toLowerCase();
+            if (droppedTags.has(tag)) return;
+            
+            // Unknown wrappers are unwrapped so their text survives
+            if (!allowedTags.has(tag)) {
+                node.childNodes.forEach(child => copy(child, parent));
+                return;
+            }
+            
+            const element = this.root.createElement(tag);
+            [...node.attributes].forEach(({ name, value }) => {
+                if (!allowedAttributes.has(name)) return;
+                
+                if (name === 'href') {
+                    const href = resolve(value, base.links);
+                    if (href) element.setAttribute('href', href);
+                } else if (name === 'src') {
+                    const src = resolve(value, base.images);
+                    if (src) element.setAttribute('src', src);
+                } else if (name === 'srcset') {
+                    const srcset = value.split(',')
+                        .map(candidate => candidate.trim().split(/\s+/))
+                        .map(([url, size]) => [resolve(url, base.images), size])
+                        .filter(([url]) => url)
+                        .map(parts => parts.filter(Boolean).join(' '))
+                        .join(', ');
+                    if (srcset) element.setAttribute('srcset', srcset);
+                } else {
+                    element.setAttribute(name, value);
+                }
+            });
+            
+            if (tag === 'a' && element.hasAttribute('href') && !element.getAttribute('href').startsWith('#')) {
+                element.setAttribute('target', '_blank');
+                element.setAttribute('rel', 'noopener noreferrer');
+            }
+            if (tag === 'img') {
+                element.setAttribute('loading', 'lazy');
+            }
+            
+            node.childNodes.forEach(child => copy(child, element));
+            parent.appendChild(element);
+        };
+        
+        source.childNodes.forEach(child => copy(child, fragment));
+        return fragment;
+    }
+
+    resetRepoFilters() {
+        this.repoFilters = {
+            query: '',
+            sort: 'updated',
+            language: '',
+            hideForks: false,
+            hideArchived: false,
+            page: 1
+        };
+    }
+
+    updateRepoFilter(key, value) {
+        this.repoFilters[key] = value;
+        this.repoFilters.page = 1;
+        this.renderRepoBrowser();
+    }
+
+    // Reflect the current filter state (and the loaded repos' languages) in the controls
+    syncRepoControls() {
+        const languages = [...new Set(this.activeRepos().map(repo => repo.language).filter(Boolean))].sort();
+        
+        this.repoLanguageFilter.innerHTML = html`<option value="">${this.t('repos.allLanguages')}</option>`;
+        languages.forEach(language => {
+            const option = this.root.createElement('option');
+            option.value = language;
+            option.textContent = language;
+            this.repoLanguageFilter.appendChild(option);
+        });
+        
+        this.repoSearchInput.value = this.repoFilters.query;
+        this.repoSortSelect.value = this.repoFilters.sort;
+        this.repoLanguageFilter.value = this.repoFilters.language;
+        this.hideForksToggle.checked = this.repoFilters.hideForks;
+        this.hideArchivedToggle.checked = this.repoFilters.hideArchived;
+    }
+
+    filterRepositories(repos) {
+        const { query, language, hideForks, hideArchived } = this.repoFilters;
+        
+        return repos.filter(repo => {
+            if (hideForks && repo.fork) return false;
+            if (hideArchived && repo.archived) return false;
+            if (language && repo.language !== language) return false;
+            if (query) {
+                const haystack = [repo.name, repo.description || '', ...(repo.topics || [])].join(' ').toLowerCase();
+                return haystack.includes(query);
+            }
+            return true;
+        });
+    }
+
+    sortRepositories(repos) {
+        const comparators = {
+            stars: (a, b) => b.stargazers_count - a.stargazers_count,
+            forks: (a, b) => b.forks_count - a.forks_count,
+            updated: (a, b) => new Date(b.pushed_at || b.updated_at) - new Date(a.pushed_at || a.updated_at),
+            name: (a, b) => a.name.localeCompare(b.name, undefined, { sensitivity: 'base' })
+        };
+        
+        return [...repos].sort(comparators[this.repoFilters.sort] || comparators.updated);
+    }
+
+    renderRepoBrowser() {
+        this.renderRepoTabs();
+        
+        const repos = this.activeRepos();
+        const matching = this.sortRepositories(this.filterRepositories(repos));
+        const totalPages = Math.max(1, Math.ceil(matching.length / this.repoPageSize));
+        this.repoFilters.page = Math.min(Math.max(1, this.repoFilters.page), totalPages);
+        
+        const start = (this.repoFilters.page - 1) * this.repoPageSize;
+        const pageItems = matching.slice(start, start + this.repoPageSize);
+        
+        const emptyMessages = {
+            owned: 'repos.empty',
+            pinned: this.pinnedSource === 'graphql' ? 'repos.noPinned' : 'repos.noPinnedReadme',
+            starred: 'repos.noStarred'
+        };
+        const emptyMessage = repos.length > 0
+            ? this.t('repos.noMatches')
+            : this.t(emptyMessages[this.repoTab]);
+        this.displayRepositories(pageItems, emptyMessage);
+        
+        this.repoResultsCount.textContent = matching.length === repos.length
+            ? this.t('repos.count', { count: matching.length })
+            : this.t('repos.countFiltered', { count: matching.length, total: repos.length });
+        
+        this.renderRepoPagination(totalPages);
+    }
+
+    renderRepoPagination(totalPages) {
+        const current = this.repoFilters.page;
+        
+        if (totalPages <= 1) {
+            this.repoPagination.innerHTML = '';
+            return;
+        }
+        
+        // Always show first/last pages and a window around the current page
+        const pages = [];
+        for (let page = 1; page <= totalPages; page++) {
+            if (page === 1 || page === totalPages || Math.abs(page - current) <= 1) {
+                pages.push(page);
+            } else if (pages[pages.length - 1] !== '…') {
+                pages.push('…');
+            }
+        }
+        
+        this.repoPagination.innerHTML = html`
+            <button class="page-btn" data-page="${current - 1}" ${current === 1 ? 'disabled' : ''} aria-label="${this.t('repos.previousPage')}">
+                <i class="fas fa-chevron-left"></i>
+            </button>
+            ${pages.map(page => page === '…'
+                ? html`<span class="page-ellipsis">…</span>`
+                : html`<button class="page-btn ${page === current ? 'active' : ''}" data-page="${page}">${page}</button>`
+            )}
+            <button class="page-btn" data-page="${current + 1}" ${current === totalPages ? 'disabled' : ''} aria-label="${this.t('repos.nextPage')}">
+                <i class="fas fa-chevron-right"></i>
+            </button>
+        `;
+    }
+
+    toggleRepositories() {
+        if (this.reposSection.style.display === 'none' || !this.reposSection.style.display) {
+            this.renderRepoBrowser();
+            this.reposSection.style.display = 'block';
+            this.viewReposBtn.innerHTML = html`<i class="fas fa-eye-slash"></i> ${this.t('panel.hideRepos')}`;
+        } else {
+            this.reposSection.style.display = 'none';
+            this.viewReposBtn.innerHTML = html`<i class="fas fa-folder-open"></i> ${this.t('panel.showRepos')}`;
+        }
+        
+        this.updateRoute();
+    }
+
+    // Own repos are always loaded; pinned (without GraphQL) and starred ones on first open
+    activeRepos() {
+        if (this.repoTab === 'pinned') return this.currentPinned || [];
+        if (this.repoTab === 'starred') return this.starredRepos || [];
+        return this.currentRepos || [];
+    }
+
+    async setRepoTab(tab) {
+        const profile = this.currentProfile;
+        this.repoTab = tab;
+        this.resetRepoFilters();
+        
+        const isLoaded = tab === 'owned'
+            || (tab === 'pinned' && this.currentPinned)
+            || (tab === 'starred' && this.starredRepos);
+        if (isLoaded || !profile) {
+            this.syncRepoControls();
+            this.renderRepoBrowser();
+            return;
+        }
+        
+        this.renderRepoTabs();
+        this.reposList.innerHTML = html`<p class="no-repos"><i class="fas fa-spinner fa-spin"></i> ${this.t(tab === 'pinned' ? 'repos.loadingPinned' : 'repos.loadingStarred')}</p>`;
+        this.repoResultsCount.textContent = '';
+        this.repoPagination.innerHTML = '';
+        if (this.loadingRepoTab === tab) return;
+        
+        this.loadingRepoTab = tab;
+        try {
+            if (tab === 'pinned') {
+                const pinned = await this.fetchReadmePinned(profile);
+                if (this.currentProfile !== profile) return;
+                this.currentPinned = pinned;
+                this.pinnedSource = 'readme';
+            } else {
+                const starred = await this.fetchStarredRepositories(profile.login);
+                if (this.currentProfile !== profile) return;
+                this.starredRepos = starred;
+            }
+        } catch (error) {
+            if (this.currentProfile === profile && this.repoTab === tab) {
+                this.reposList.innerHTML = html`
+                    <p class="no-repos">
+                        ${this.describeError(error)}
+                        <button class="link-btn" data-retry-tab="${tab}">${this.t('repos.retry')}</button>
+                    </p>
+                `;
+            }
+            return;
+        } finally {
+            this.loadingRepoTab = null;
+        }
+        
+        // The user may have switched to another tab while this one loaded
+        if (this.repoTab === tab) {
+            this.syncRepoControls();
+            this.renderRepoBrowser();
+        } else {
+            this.renderRepoTabs();
+        }
+    }
+
+    renderRepoTabs() {
+        const isOrganization = !!this.currentProfile && this.currentProfile.type === 'Organization';
+        const isTruncated = !!this.starredRepos && this.starredRepos.length >= this.maxStarredPages * 100;
+        const counts = {
+            owned: this.formatNumber(this.currentRepos.length),
+            pinned: this.currentPinned ? this.currentPinned.length : '',
+            starred: this.starredRepos ? `${this.formatNumber(this.starredRepos.length)}${isTruncated ? '+' : ''}` : ''
+        };
+        
+        this.repoTabs.forEach(tab => {
+            const name = tab.getAttribute('data-repo-tab');
+            tab.classList.toggle('active', name === this.repoTab);
+            tab.setAttribute('aria-selected', name === this.repoTab);
+            tab.querySelector('.tab-count').textContent = counts[name];
+            // Organizations can't star repositories
+            tab.classList.toggle('hidden', name === 'starred' && isOrganization);
+        });
+        
+        if (this.repoTab === 'pinned' && this.pinnedSource === 'readme') {
+            this.repoTabHint.textContent = this.t('repos.pinnedHint');
+        } else if (this.repoTab === 'starred' && isTruncated) {
+            this.repoTabHint.textContent = this.t('repos.starredHint', { count: this.starredRepos.length });
+        } else {
+            this.repoTabHint.textContent = '';
+        }
+    }
+
+    // Newest stars first, as GitHub lists them
+    async fetchStarredRepositories(username) {
+        return this.api.paginate(`/users/${encodeURIComponent(username)}/starred?per_page=100`, { maxPages: this.maxStarredPages }, {
+            failed: 'repos.starredFailed'
+        });
+    }
+
+    // Pinned items are GraphQL-only, so without a token use the repositories the profile
+    // README points at (github-readme-stats pin cards and plain repository links).
+    // This is the same rendered README the profile shows, so it usually comes from the cache.
+    async fetchReadmePinned(profile) {
+        const { path } = this.profileReadmeLocation(profile);
+        
+        let readme;
+        try {
+            readme = await this.api.get(path, { html: true });
+        } catch (error) {
+            if (error instanceof NotFoundError) return [];
+            throw error;
+        }
+        
+        const names = this.findRepositoryLinks(readme, profile.login).slice(0, this.maxPinned);
+        const repos = await Promise.all(names.map(async fullName => {
+            const own = this.currentRepos.find(repo => repo.full_name.toLowerCase() === fullName.toLowerCase());
+            if (own) return own;
+            
+            // Links to deleted or private repositories are skipped
+            const response = await this.api.request(`/repos/${fullName}`);
+            return response.ok ? response.data : null;
+        }));
+        
+        return repos.filter(Boolean);
+    }
+
+    // Users keep their profile README in {login}/{login}, organizations in {org}/.github/profile
+    profileReadmeLocation(profile) {
+        return profile.type === 'Organization'
+            ? { repo: `${profile.login}/.github`, folder: 'profile/', path: `/repos/${encodeURIComponent(profile.login)}/.github/contents/profile/README.md` }
+            : { repo: `${profile.login}/${profile.login}`, folder: '', path: `/repos/${encodeURIComponent(profile.login)}/${encodeURIComponent(profile.login)}/readme` };
+    }
+
+    // GitHub renders the Markdown; relative links and images resolve against the README's folder
+    async loadProfileReadme(profile) {
+        this.profileReadme.classList.add('hidden');
+        this.profileReadmeBody.innerHTML = '';
+        
+        // The README is optional, so it never spends the last of the quota
+        if (!this.checkRateLimit()) return;
+        
+        const { repo, folder, path } = this.profileReadmeLocation(profile);
+        // Aborted with the search when another profile is opened first
+        const signal = this.searchController ? this.searchController.signal : null;
+        let response;
+        try {
+            response = await this.api.request(path, { html: true, signal });
+        } catch (error) {
+            response = null;
+        }
+        
+        // Another profile was opened while this one loaded
+        if (this.currentProfile !== profile) return;
+        
+        // Most accounts have no profile README; a failed load also just leaves the section hidden
+        if (!response || !response.ok) return;
+        
+        this.profileReadmeTitle.textContent = `${repo}/${folder}README.md`;
+        this.profileReadmeBody.appendChild(this.sanitizeHTML(response.data, {
+            links: `${this.api.webUrl}/${repo}/blob/HEAD/${folder}`,
+            images: `${this.api.rawUrl(repo, 'HEAD')}${folder}`
+        }));
+        this.profileReadme.classList.remove('hidden');
+    }
+
+    // "owner/repo" for each repository the text links to, in order of first appearance
+    findRepositoryLinks(text, login) {
+        const host = new URL(this.api.webUrl).host.replace(/\./g, '\\.');
+        const pattern = new RegExp(`[?&]username=([\\w-]+)&(?:amp;)?repo=([\\w.-]+)|(?<![\\w.-])${host}/([\\w-]+)/([\\w.-]+)`, 'gi');
+        const reserved = ['about', 'apps', 'collections', 'features', 'login', 'marketplace', 'orgs', 'pricing', 'settings', 'sponsors', 'topics', 'users'];
+        const seen = new Set([`${login}/${login}`.toLowerCase()]);
+        const names = [];
+        
+        for (const match of text.matchAll(pattern)) {
+            const owner = match[1] || match[3];
+            const repo = (match[2] || match[4]).replace(/\.git$/i, '').replace(/\.+$/, '');
+            const fullName = `${owner}/${repo}`;
+            
+            if (!repo || reserved.includes(owner.toLowerCase()) || seen.has(fullName.toLowerCase())) continue;
+            seen.add(fullName.toLowerCase());
+            names.push(fullName);
+        }
+        
+        return names;
+    }
+
+    // Repos owned by someone else (starred ones, pins from an organization) show their owner too
+    repoDisplayName(repo) {
+        const owner = repo.full_name.split('/')[0];
+        return this.currentProfile && owner.toLowerCase() === this.currentProfile.login.toLowerCase()
+            ? repo.name
+            : repo.full_name;
+    }
+
+    // Switch between the single-profile search and the other app modes
+    setMode(mode, { silent = false } = {}) {
+        this.mode = mode;
+        this.modeTabs.forEach(tab => {
+            const isActive = tab.getAttribute('data-mode') === mode;
+            tab.classList.toggle('active', isActive);
+            tab.setAttribute('aria-selected', isActive);
+        });
+        
+        const isSearch = mode === 'search';
+        this.searchSection.classList.toggle('hidden', !isSearch);
+        this.profileSection.classList.toggle('hidden', !isSearch);
+        this.compareSection.classList.toggle('hidden', mode !== 'compare');
+        this.discoverSection.classList.toggle('hidden', mode !== 'discover');
+        this.bulkSection.classList.toggle('hidden', mode !== 'bulk');
+        if (!isSearch) {
+            this.hideError();
+        }
+        
+        if (!silent) {
+            this.updateRoute({ push: true });
+        }
+    }
+
+    // Reflect the current view in the address bar so it can be reloaded, shared and navigated
+    updateRoute({ push = false } = {}) {
+        const params = new URLSearchParams();
+        
+        if (this.mode === 'compare') {
+            params.set('compare', this.compareEntries.map(entry => entry.profile.login).join(','));
+        } else if (this.mode === 'discover') {
+            params.set('discover', this.discoverQuery);
+            if (this.discoverPage > 1) {
+                params.set('page', this.discoverPage);
+            }
+        } else if (this.mode === 'bulk') {
+            // The list itself can be hundreds of names, so only the mode goes in the URL
+            params.set('mode', 'bulk');
+        } else if (this.currentProfile && this.profileSection.classList.contains('show')) {
+            params.set('user', this.currentProfile.login);
+            const tabs = this.getOpenPanels();
+            if (tabs.length > 0) {
+                params.set('tab', tabs.join(','));
+            }
+        }
+        
+        // Keep comma-separated lists readable in the address bar
+        const query = params.toString().replace(/%2C/g, ',');
+        const url = `${window.location.pathname}${query ? `?${query}` : ''}${window.location.hash}`;
+        
+        if (url === `${window.location.pathname}${window.location.search}${window.location.hash}`) return;
+        history[push ? 'pushState' : 'replaceState'](null, '', url);
+    }
+
+    // Render whatever the current URL describes (initial load and back/forward)
+    applyRoute() {
+        const params = new URLSearchParams(window.location.search);
+        
+        if (params.has('compare')) {
+            const usernames = this.parseUsernameList(params.get('compare'));
+            const loaded = this.compareEntries.map(entry => entry.profile.login.toLowerCase());
+            
+            this.setMode('compare', { silent: true });
+            this.compareInput.value = usernames.join(', ');
+            
+            if (usernames.length < 2) {
+                this.compareEntries = [];
+                this.renderComparison();
+            } else if (usernames.map(username => username.toLowerCase()).join(',') !== loaded.join(',')) {
+                this.handleCompare({ fromHistory: true });
+            }
+            return;
+        }
+        
+        if (params.has('discover')) {
+            const query = params.get('discover');
+            const page = parseInt(params.get('page')) || 1;
+            
+            this.setMode('discover', { silent: true });
+            this.discoverQueryInput.value = query;
+            if (query && (query !== this.discoverQuery || page !== this.discoverPage)) {
+                this.handleDiscover(page, { fromHistory: true, query });
+            }
+            return;
+        }
+        
+        if (params.get('mode') === 'bulk') {
+            this.setMode('bulk', { silent: true });
+            return;
+        }
+        
+        this.setMode('search', { silent: true });
+        
+        const username = params.get('user');
+        const tabs = (params.get('tab') || '').split(',').filter(tab => tab in this.profilePanels);
+        
+        if (!username) {
+            this.usernameInput.value = '';
+            this.hideProfile();
+            this.hideError();
+            return;
+        }
+        
+        const isShowing = this.currentProfile
+            && this.currentProfile.login.toLowerCase() === username.toLowerCase()
+            && this.profileSection.classList.contains('show');
+        
+        if (isShowing) {
+            this.setOpenPanels(tabs);
+        } else {
+            this.usernameInput.value = username;
+            this.handleSearch({ fromHistory: true, tabs });
+        }
+    }
+
+    async updateTypeahead() {
+        const query = this.usernameInput.value.trim();
+        
+        if (query.length < 2 || this.root.activeElement !== this.usernameInput) {
+            this.hideTypeahead();
+            return;
+        }
+        
+        // Back off while the search quota is nearly spent or a secondary limit is in force
+        const { remaining, reset } = this.searchRateLimit;
+        if ((remaining !== null && remaining <= this.typeaheadReserve && Date.now() < reset * 1000) || this.rateLimit.retryAfter > Date.now()) {
+            this.hideTypeahead();
+            return;
+        }
+        
+        // At most one request per interval; whatever has been typed by then goes next
+        const interval = this.token ? this.typeaheadInterval.authenticated : this.typeaheadInterval.anonymous;
+        const wait = this.typeaheadLastRequest + interval - Date.now();
+        if (wait > 0) {
+            clearTimeout(this.typeaheadTimer);
+            this.typeaheadTimer = setTimeout(() => this.updateTypeahead(), wait);
+            return;
+        }
+        this.typeaheadLastRequest = Date.now();
+        
+        const response = await this.api.request(
+            `/search/users?q=${encodeURIComponent(`${query} in:login`)}&per_page=6`
+        ).catch(() => null);
+        if (response) {
+            this.trackSearchRateLimit(response.headers);
+        }
+        
+        // Drop responses for text the user has since changed
+        if (query !== this.usernameInput.value.trim() || this.root.activeElement !== this.usernameInput) return;
+        
+        if (!response || !response.ok || response.data.items.length === 0) {
+            this.hideTypeahead();
+            return;
+        }
+        
+        this.typeaheadResults = response.data.items;
+        this.typeaheadIndex = -1;
+        this.renderTypeahead();
+    }
+
+    // The search API has its own quota, which the core meter doesn't show
+    trackSearchRateLimit(headers) {
+        if (headers.get('X-RateLimit-Resource') !== 'search') return;
+        
+        this.searchRateLimit = {
+            remaining: parseInt(headers.get('X-RateLimit-Remaining') || '0'),
+            reset: parseInt(headers.get('X-RateLimit-Reset') || '0')
+        };
+    }
+
+    renderTypeahead() {
+        this.userSuggestions.innerHTML = this.typeaheadResults.map((user, index) => html`
+            <li class="user-suggestion ${index === this.typeaheadIndex ? 'active' : ''}" data-username="${user.login}" role="option" aria-selected="${index === this.typeaheadIndex}">
+                <img src="${safeUrl(`${user.avatar_url}&s=48`)}" alt="" loading="lazy">
+                <span>${user.login}</span>
+                ${user.type === 'Organization' ? html`<em>${this.t('search.orgBadge')}</em>` : ''}
+            </li>
+        `).join('');
+        this.userSuggestions.classList.remove('hidden');
+        this.usernameInput.setAttribute('aria-expanded', 'true');
+    }
+
+    hideTypeahead() {
+        this.typeaheadResults = [];
+        this.typeaheadIndex = -1;
+        this.userSuggestions.classList.add('hidden');
+        this.usernameInput.setAttribute('aria-expanded', 'false');
+    }
+
+    handleTypeaheadKey(e) {
+        const count = this.typeaheadResults.length;
+        if (count === 0) return;
+        
+        if (e.key === 'ArrowDown' || e.key === 'ArrowUp') {
+            e.preventDefault();
+            const step = e.key === 'ArrowDown' ? 1 : -1;
+            this.typeaheadIndex = (this.typeaheadIndex + step + count) % count;
+            this.renderTypeahead();
+        } else if (e.key === 'Enter' && this.typeaheadIndex >= 0) {
+            // The keypress handler runs the search with the chosen login
+            this.usernameInput.value = this.typeaheadResults[this.typeaheadIndex].login;
+        } else if (e.key === 'Escape') {
+            e.stopPropagation();
+            this.hideTypeahead();
+        }
+    }
+
+    // Turn the advanced search form into /search/users qualifiers
+    buildSearchQuery() {
+        const form = this.discoverForm.elements;
+        const terms = [];
+        const range = (name, min, max) => {
+            if (min && max) return `${name}:${min}..${max}`;
+            if (min) return `${name}:>=${min}`;
+            if (max) return `${name}:<=${max}`;
+            return null;
+        };
+        const quote = (value) => /\s/.test(value) ? `"${value}"` : value;
+        
+        if (form.keywords.value.trim()) terms.push(form.keywords.value.trim());
+        if (form.accountType.value) terms.push(`type:${form.accountType.value}`);
+        if (form.location.value.trim()) terms.push(`location:${quote(form.location.value.trim())}`);
+        if (form.language.value.trim()) terms.push(`language:${quote(form.language.value.trim())}`);
+        
+        terms.push(
+            range('followers', form.followersMin.value, form.followersMax.value),
+            range('repos', form.reposMin.value, form.reposMax.value),
+            range('created', form.createdAfter.value, form.createdBefore.value)
+        );
+        
+        return terms.filter(Boolean).join(' ');
+    }
+
+    async handleDiscover(page = 1, options = {}) {
+        // Paging keeps the submitted query, even if the box has been edited since
+        const query = options.query || this.discoverQueryInput.value.trim() || this.buildSearchQuery();
+        
+        if (!query) {
+            this.discoverStatus.textContent = this.t('discover.needQuery');
+            return;
+        }
+        
+        const sort = this.discoverForm.elements.sort.value;
+        const url = `/search/users?q=${encodeURIComponent(query)}&per_page=${this.discoverPerPage}&page=${page}${sort ? `&sort=${sort}&order=desc` : ''}`;
+        
+        this.discoverStatus.innerHTML = html`<i class="fas fa-spinner fa-spin"></i> ${this.t('discover.searching')}`;
+        
+        const response = await this.api.request(url).catch(() => null);
+        if (response) {
+            this.trackSearchRateLimit(response.headers);
+        }
+        
+        if (!response || !response.ok) {
+            this.discoverStatus.textContent = this.t(response && response.status === 422
+                ? 'discover.invalidQuery'
+                : response && (response.rateLimit || response.status === 403)
+                    ? 'discover.rateLimited'
+                    : 'discover.failed');
+            return;
+        }
+        
+        this.discoverQuery = query;
+        this.discoverPage = page;
+        this.discoverQueryInput.value = query;
+        this.renderDiscoverResults(response.data);
+        this.updateRoute({ push: !options.fromHistory });
+    }
+
+    renderDiscoverResults({ total_count: total, items, incomplete_results: incomplete }) {
+        // The search API only ever returns the first 1,000 matches
+        const reachable = Math.min(total, 1000);
+        const lastPage = Math.max(1, Math.ceil(reachable / this.discoverPerPage));
+        const page = this.discoverPage;
+        
+        const found = total > reachable
+            ? this.t('discover.foundFirst', { count: total, shown: reachable })
+            : this.t('discover.found', { count: total });
+        this.discoverStatus.textContent = incomplete ? this.t('discover.incomplete', { found }) : found;
+        
+        this.discoverResults.innerHTML = items.length > 0
+            ? items.map(user => html`
+                <button class="discover-result" data-username="${user.login}">
+                    <img src="${safeUrl(`${user.avatar_url}&s=96`)}" alt="${this.t('network.avatarAlt', { login: user.login })}" loading="lazy">
+                    <span class="discover-login">${user.login}</span>
+                    <span class="repo-tag">${this.t(user.type === 'Organization' ? 'profile.organization' : 'discover.user')}</span>
+                    <i class="fas fa-chevron-right"></i>
+                </button>
+            `).join('')
+            : html`<p class="chart-empty">${this.t('discover.noResults')}</p>`;
+        
+        this.discoverPagination.innerHTML = lastPage > 1 ? html`
+            <button class="page-btn" data-page="${page - 1}" ${page === 1 ? 'disabled' : ''} aria-label="${this.t('repos.previousPage')}">
+                <i class="fas fa-chevron-left"></i>
+            </button>
+            <span class="page-info">${this.t('discover.page', { page, pages: lastPage })}</span>
+            <button class="page-btn" data-page="${page + 1}" ${page >= lastPage ? 'disabled' : ''} aria-label="${this.t('repos.nextPage')}">
+                <i class="fas fa-chevron-right"></i>
+            </button>
+        ` : '';
+    }
+
+    getOpenPanels() {
+        return Object.keys(this.profilePanels)
+            .filter(name => this.profilePanels[name].section.style.display === 'block');
+    }
+
+    setOpenPanels(tabs) {
+        Object.entries(this.profilePanels).forEach(([name, panel]) => {
+            const isOpen = panel.section.style.display === 'block';
+            if (isOpen !== tabs.includes(name)) {
+                panel.toggle();
+            }
+        });
+    }
+
+    parseUsernameList(text) {
+        const seen = new Set();
+        
+        return text.split(/[\s,]+/)
+            .map(username => username.trim().replace(/^@/, ''))
+            .filter(username => {
+                const key = username.toLowerCase();
+                if (!username || seen.has(key)) return false;
+                seen.add(key);
+                return true;
+            });
+    }
+
+    addToComparison(login) {
+        const usernames = this.parseUsernameList(this.compareInput.value);
+        if (!usernames.some(username => username.toLowerCase() === login.toLowerCase())) {
+            usernames.push(login);
+        }
+        
+        this.compareInput.value = usernames.slice(-this.maxCompareProfiles).join(', ');
+        this.setMode('compare', { silent: usernames.length >= 2 });
+        
+        if (usernames.length >= 2) {
+            this.handleCompare();
+        } else {
+            this.compareStatus.textContent = this.t('compare.needAnother');
+            this.compareInput.focus();
+        }
+    }
+
+    removeFromComparison(login) {
+        this.compareEntries = this.compareEntries.filter(entry => entry.profile.login !== login);
+        this.compareInput.value = this.compareEntries.map(entry => entry.profile.login).join(', ');
+        this.updateRoute();
+        this.renderComparison();
+    }
+
+    async handleCompare(options = {}) {
+        const usernames = this.parseUsernameList(this.compareInput.value);
+        
+        if (usernames.length < 2) {
+            this.compareStatus.textContent = this.t('compare.needTwo');
+            return;
+        }
+        
+        if (usernames.length > this.maxCompareProfiles) {
+            this.compareStatus.textContent = this.t('compare.tooMany', { max: this.maxCompareProfiles });
+            return;
+        }
+        
+        if (!this.checkRateLimit()) {
+            this.compareStatus.textContent = this.t('compare.rateLimited');
+            return;
+        }
+        
+        this.compareBtn.disabled = true;
+        this.compareStatus.innerHTML = html`<i class="fas fa-spinner fa-spin"></i> ${this.t('compare.loading')}`;
+        
+        const results = await Promise.allSettled(usernames.map(async username => {
+            const { profile, repos, reposError } = await this.fetchProfileData(username);
+            return { profile, repos, reposError, stats: this.summarizeRepositories(repos) };
+        }));
+        
+        this.compareBtn.disabled = false;
+        this.compareEntries = results
+            .filter(result => result.status === 'fulfilled')
+            .map(result => result.value);
+        
+        const failures = results
+            .map((result, index) => result.status === 'rejected'
+                ? this.t('compare.failed', { login: usernames[index], reason: this.describeError(result.reason) })
+                : result.value.reposError
+                    ? this.t('compare.reposMissing', { login: usernames[index] })
+                    : null)
+            .filter(Boolean);
+        this.compareStatus.textContent = failures.join(' ');
+        
+        this.compareInput.value = this.compareEntries.map(entry => entry.profile.login).join(', ');
+        this.updateRoute({ push: !options.fromHistory });
+        this.renderComparison();
+    }
+
+    // Aggregate numbers that only exist across a user's repositories
+    summarizeRepositories(repos) {
+        const ownRepos = repos.filter(repo => !repo.fork);
+        const languageCounts = {};
+        
+        ownRepos.forEach(repo => {
+            if (repo.language) {
+                languageCounts[repo.language] = (languageCounts[repo.language] || 0) + 1;
+            }
+        });
+        
+        return {
+            totalStars: ownRepos.reduce((sum, repo) => sum + repo.stargazers_count, 0),
+            totalForks: ownRepos.reduce((sum, repo) => sum + repo.forks_count, 0),
+            languages: Object.entries(languageCounts)
+                .sort((a, b) => b[1] - a[1])
+                .map(([language, count]) => ({ language, count }))
+        };
+    }
+
+    renderComparison() {
+        this.compareExport.classList.toggle('hidden', this.compareEntries.length === 0);
+        
+        if (this.compareEntries.length === 0) {
+            this.compareResults.innerHTML = '';
+            return;
+        }
+        
+        const now = Date.now();
+        const rows = [
+            { label: this.t('profile.followers'), icon: 'fa-users', value: entry => entry.profile.followers },
+            { label: this.t('profile.following'), icon: 'fa-user-plus', value: entry => entry.profile.following },
+            { label: this.t('discover.repos'), icon: 'fa-code-branch', value: entry => entry.profile.public_repos },
+            { label: this.t('compare.totalStars'), icon: 'fa-star', value: entry => entry.stats.totalStars },
+            {
+                label: this.t('compare.accountAge'),
+                icon: 'fa-calendar',
+                value: entry => now - new Date(entry.profile.created_at).getTime(),
+                format: (value, entry) => this.formatAccountAge(entry.profile.created_at)
+            },
+            {
+                label: this.t('compare.topLanguages'),
+                icon: 'fa-code',
+                format: (value, entry) => entry.stats.languages.slice(0, 3).map(item => item.language).join(', ') || this.t('compare.noLanguages')
+            }
+        ];
+        
+        const headerCells = this.compareEntries.map(({ profile }) => html`
+            <th>
+                <div class="compare-user">
+                    <img src="${safeUrl(profile.avatar_url)}" alt="${this.t('network.avatarAlt', { login: profile.login })}">
+                    <strong>${profile.name || profile.login}</strong>
+                    <span>@${profile.login}</span>
+                    <button class="link-btn" data-remove-login="${profile.login}">${this.t('compare.remove')}</button>
+                </div>
+            </th>
+        `);
+        
+        const bodyRows = rows.map(row => {
+            const values = this.compareEntries.map(entry => row.value ? row.value(entry) : null);
+            const best = row.value ? Math.max(...values) : null;
+            // Only highlight a leader when there is an actual difference
+            const hasLeader = row.value && values.some(value => value !== best);
+            
+            const cells = this.compareEntries.map((entry, index) => {
+                const display = row.format ? row.format(values[index], entry) : this.formatNumber(values[index]);
+                const isLeader = hasLeader && values[index] === best;
+                return html`<td class="${isLeader ? 'leader' : ''}">${isLeader ? html`<i class="fas fa-crown"></i> ` : ''}${display}</td>`;
+            });
+            
+            return html`<tr><th scope="row"><i class="fas ${row.icon}"></i> ${row.label}</th>${cells}</tr>`;
+        });
+        
+        this.compareResults.innerHTML = html`
+            <div class="compare-table-wrapper">
+                <table class="compare-table">
+                    <thead><tr><th></th>${headerCells}</tr></thead>
+                    <tbody>${bodyRows}</tbody>
+                </table>
+            </div>
+        `;
+    }
+
+    async handleBulkLookup() {
+        const usernames = this.parseUsernameList(this.bulkInput.value);
+        
+        if (usernames.length === 0) {
+            this.bulkStatus.textContent = this.t('bulk.empty');
+            return;
+        }
+        
+        if (usernames.length > this.maxBulkUsernames) {
+            this.bulkStatus.textContent = this.t('bulk.tooMany', { max: this.maxBulkUsernames });
+            return;
+        }
+        
+        this.stopBulkLookup();
+        
+        // Malformed entries get their error straight away instead of costing a request
+        this.bulkRows = usernames.map((username, index) => {
+            const isValid = this.isValidUsername(username);
+            return {
+                index,
+                username,
+                status: isValid ? 'queued' : 'error',
+                error: isValid ? null : 'bulk.invalidUsername',
+                profile: null,
+                stars: null
+            };
+        });
+        this.bulkSort = { key: null, direction: 'asc' };
+        
+        await this.runBulkQueue();
+    }
+
+    // GitHub logins: up to 39 letters, digits and single hyphens, not starting or ending with one
+    isValidUsername(username) {
+        return /^[a-z\d](?:[a-z\d]|-(?=[a-z\d])){0,38}$/i.test(username);
+    }
+
+    // Work through the queued rows a few at a time. Workers stop as soon as the quota runs
+    // out; their rows stay queued until the window resets (tickRateLimit) or Resume is pressed.
+    async runBulkQueue() {
+        if (this.bulkController) return;
+        
+        const controller = new AbortController();
+        this.bulkController = controller;
+        this.bulkPaused = false;
+        this.renderBulkResults();
+        
+        const isRateLimited = error => error instanceof RateLimitError
+            || error instanceof SecondaryRateLimitError
+            || error instanceof AbuseError;
+        // Set by the first rate-limited response; the meter alone can lag behind responses still in flight
+        let rateLimited = false;
+        
+        const worker = async () => {
+            while (!controller.signal.aborted && !rateLimited && this.checkRateLimit()) {
+                const row = this.bulkRows.find(item => item.status === 'queued');
+                if (!row) return;
+                
+                row.status = 'loading';
+                this.renderBulkResults();
+                
+                try {
+                    const { profile, repos, reposError } = await this.fetchProfileData(row.username, { signal: controller.signal });
+                    
+                    // Without the repositories the star count would be wrong, so try the row again later
+                    if (controller.signal.aborted || isRateLimited(reposError)) {
+                        rateLimited = rateLimited || isRateLimited(reposError);
+                        row.status = 'queued';
+                        continue;
+                    }
+                    
+                    row.profile = profile;
+                    row.stars = reposError ? null : this.summarizeRepositories(repos).totalStars;
+                    row.error = reposError ? 'bulk.starsMissing' : null;
+                    row.status = 'done';
+                } catch (error) {
+                    if (controller.signal.aborted || isRateLimited(error)) {
+                        rateLimited = rateLimited || isRateLimited(error);
+                        row.status = 'queued';
+                        continue;
+                    }
+                    
+                    row.status = 'error';
+                    row.error = error;
+                }
+                
+                this.renderBulkResults();
+            }
+        };
+        
+        await Promise.all(Array.from({ length: this.bulkConcurrency }, worker));
+        
+        this.bulkController = null;
+        this.bulkPaused = !controller.signal.aborted && this.bulkRows.some(row => row.status === 'queued');
+        if (this.bulkPaused) {
+            // Starts the countdown that resumes the lookup once the window resets
+            this.renderRateLimit();
+        }
+        this.renderBulkResults();
+    }
+
+    stopBulkLookup() {
+        this.bulkPaused = false;
+        if (this.bulkController) {
+            this.bulkController.abort();
+        }
+    }
+
+    async loadBulkFile(file) {
+        const text = await file.text();
+        const isCSV = /\.csv$/i.test(file.name) || file.type === 'text/csv';
+        const usernames = isCSV ? this.parseCSVUsernames(text) : this.parseUsernameList(text);
+        
+        this.bulkInput.value = usernames.join('\n');
+        this.bulkStatus.textContent = this.t('bulk.loadedFile', { count: usernames.length, file: file.name });
+    }
+
+    // Use the username/login column when the file has a header row, and the first column otherwise
+    parseCSVUsernames(text) {
+        const rows = text.split(/\r?\n/)
+            .map(line => this.splitCSVLine(line))
+            .filter(cells => cells.some(Boolean));
+        if (rows.length === 0) return [];
+        
+        const column = rows[0].findIndex(cell => /^(username|login|handle|github)$/i.test(cell));
+        const values = column >= 0
+            ? rows.slice(1).map(cells => cells[column] || '')
+            : rows.map(cells => cells[0]);
+        
+        return this.parseUsernameList(values.join('\n'));
+    }
+
+    splitCSVLine(line) {
+        const cells = [];
+        let cell = '';
+        let quoted = false;
+        
+        for (let i = 0; i < line.length; i++) {
+            const char = line[i];
+            if (char === '"' && quoted && line[i + 1] === '"') {
+                cell += '"';
+                i++;
+            } else if (char === '"') {
+                quoted = !quoted;
+            } else if ((char === ',' || char === ';' || char === '\t') && !quoted) {
+                cells.push(cell.trim());
+                cell = '';
+            } else {
+                cell += char;
+            }
+        }
+        cells.push(cell.trim());
+        
+        return cells;
+    }
+
+    bulkColumns() {
+        const statusOrder = ['done', 'loading', 'queued', 'error'];
+        
+        return [
+            { key: 'name', label: this.t('bulk.columnName'), value: row => row.profile ? row.profile.name || row.profile.login : row.username },
+            { key: 'followers', label: this.t('bulk.columnFollowers'), numeric: true, value: row => row.profile && row.profile.followers },
+            { key: 'repos', label: this.t('bulk.columnRepos'), numeric: true, value: row => row.profile && row.profile.public_repos },
+            { key: 'stars', label: this.t('bulk.columnStars'), numeric: true, value: row => row.stars },
+            { key: 'location', label: this.t('bulk.columnLocation'), value: row => row.profile && row.profile.location },
+            { key: 'company', label: this.t('bulk.columnCompany'), value: row => row.profile && row.profile.company },
+            { key: 'status', label: this.t('bulk.columnStatus'), numeric: true, value: row => statusOrder.indexOf(row.status) }
+        ];
+    }
+
+    // Numbers sort largest first on the first click, text A to Z; a second click reverses
+    sortBulkRows(key) {
+        const column = this.bulkColumns().find(item => item.key === key);
+        if (!column) return;
+        
+        if (this.bulkSort.key === key) {
+            this.bulkSort.direction = this.bulkSort.direction === 'asc' ? 'desc' : 'asc';
+        } else {
+            this.bulkSort = { key, direction: column.numeric && key !== 'status' ? 'desc' : 'asc' };
+        }
+        this.renderBulkResults();
+    }
+
+    // Rows without a value always go last; ties keep the order the usernames were entered in
+    sortedBulkRows() {
+        const column = this.bulkColumns().find(item => item.key === this.bulkSort.key);
+        if (!column) return this.bulkRows;
+        
+        const direction = this.bulkSort.direction === 'asc' ? 1 : -1;
+        const isEmpty = value => value === null || value === undefined || value === '';
+        
+        return [...this.bulkRows].sort((a, b) => {
+            const first = column.value(a);
+            const second = column.value(b);
+            if (isEmpty(first) || isEmpty(second)) {
+                return isEmpty(first) - isEmpty(second) || a.index - b.index;
+            }
+            
+            const order = column.numeric
+                ? first - second
+                : String(first).localeCompare(String(second), undefined, { sensitivity: 'base' });
+            return order * direction || a.index - b.index;
+        });
+    }
+
+    renderBulkResults() {
+        const isRunning = !!this.bulkController;
+        const count = status => this.bulkRows.filter(row => row.status === status).length;
+        const queued = count('queued') + count('loading');
+        const finished = count('done') + count('error');
+        
+        this.bulkStartBtn.disabled = isRunning;
+        this.bulkStopBtn.classList.toggle('hidden', !isRunning);
+        this.bulkResumeBtn.classList.toggle('hidden', isRunning || queued === 0);
+        
+        if (isRunning) {
+            this.bulkStatus.innerHTML = html`<i class="fas fa-spinner fa-spin"></i> ${this.t('bulk.running', { done: finished, total: this.bulkRows.length })}`;
+        } else if (this.bulkPaused) {
+            const waitUntil = Math.max(this.rateLimit.reset * 1000, this.rateLimit.retryAfter);
+            this.bulkStatus.textContent = waitUntil > Date.now()
+                ? this.t('bulk.pausedIn', { count: queued, time: this.formatCountdown(waitUntil - Date.now()) })
+                : this.t('bulk.pausedSoon', { count: queued });
+        } else if (queued > 0) {
+            this.bulkStatus.textContent = this.t('bulk.stopped', { count: queued });
+        } else if (this.bulkRows.length > 0) {
+            const failed = count('error');
+            const done = count('done');
+            const total = this.bulkRows.length;
+            this.bulkStatus.textContent = failed > 0
+                ? this.t('bulk.finishedWithFailures', { done, total, failed })
+                : this.t('bulk.finished', { done, total });
+        }
+        
+        if (this.bulkRows.length === 0) {
+            this.bulkResults.innerHTML = '';
+            return;
+        }
+        
+        const columns = this.bulkColumns();
+        const headerCells = columns.map(column => {
+            const isSorted = this.bulkSort.key === column.key;
+            const icon = !isSorted ? 'fa-sort' : this.bulkSort.direction === 'asc' ? 'fa-sort-up' : 'fa-sort-down';
+            return html`
+                <th scope="col" aria-sort="${isSorted ? `${this.bulkSort.direction}ending` : 'none'}">
+                    <button class="bulk-sort" data-sort="${column.key}">${column.label} <i class="fas ${icon}"></i></button>
+                </th>
+            `;
+        });
+        
+        const number = value => value === null || value === undefined ? '—' : this.formatNumber(value);
+        const bodyRows = this.sortedBulkRows().map(row => {
+            const { profile } = row;
+            const user = profile
+                ? html`
+                    <button class="bulk-user" data-username="${profile.login}" title="${this.t('bulk.openProfile', { login: profile.login })}">
+                        <img src="${safeUrl(profile.avatar_url)}" alt="" loading="lazy">
+                        <span>${profile.name || profile.login}<small>@${profile.login}</small></span>
+                    </button>
+                `
+                : html`<span class="bulk-user">${row.username}</span>`;
+            
+            return html`
+                <tr class="bulk-row ${row.status}">
+                    <td>${user}</td>
+                    <td>${profile ? number(profile.followers) : '—'}</td>
+                    <td>${profile ? number(profile.public_repos) : '—'}</td>
+                    <td>${number(row.stars)}</td>
+                    <td>${(profile && profile.location) || '—'}</td>
+                    <td>${(profile && profile.company) || '—'}</td>
+                    <td class="bulk-status">${this.bulkStatusLabel(row)}</td>
+                </tr>
+            `;
+        });
+        
+        this.bulkResults.innerHTML = html`
+            <div class="compare-table-wrapper">
+                <table class="compare-table bulk-table">
+                    <thead><tr>${headerCells}</tr></thead>
+                    <tbody>${bodyRows}</tbody>
+                </table>
+            </div>
+        `;
+    }
+
+    bulkStatusLabel(row) {
+        if (row.status === 'queued') {
+            return html`<i class="fas fa-clock"></i> ${this.t('bulk.queued')}`;
+        } else if (row.status === 'loading') {
+            return html`<i class="fas fa-spinner fa-spin"></i> ${this.t('bulk.loading')}`;
+        }
+        
+        // Errors are kept as message keys or API errors so a language change can redraw them
+        const error = typeof row.error === 'string' ? this.t(row.error) : row.error && this.describeError(row.error);
+        if (row.status === 'error') {
+            return html`<i class="fas fa-exclamation-circle"></i> ${error}`;
+        } else if (error) {
+            return html`<i class="fas fa-exclamation-triangle"></i> ${error}`;
+        }
+        return html`<i class="fas fa-check"></i> ${this.t('bulk.found')}`;
+    }
+
+    toggleInsights() {
+        if (this.insightsSection.style.display === 'none' || !this.insightsSection.style.display) {
+            this.renderInsights();
+            this.insightsSection.style.display = 'block';
+            this.viewInsightsBtn.innerHTML = html`<i class="fas fa-eye-slash"></i> ${this.t('panel.hideInsights')}`;
+        } else {
+            this.insightsSection.style.display = 'none';
+            this.viewInsightsBtn.innerHTML = html`<i class="fas fa-chart-pie"></i> ${this.t('panel.showInsights')}`;
+        }
+        
+        this.updateRoute();
+    }
+
+    renderInsights() {
+        const repos = this.currentRepos || [];
+        const stats = this.summarizeRepositories(repos);
+        const ownRepos = repos.filter(repo => !repo.fork);
+        
+        const totals = [
+            { icon: 'fa-star', label: this.t('insights.totalStars'), value: stats.totalStars },
+            { icon: 'fa-code-branch', label: this.t('insights.totalForks'), value: stats.totalForks },
+            { icon: 'fa-folder', label: this.t('insights.ownRepos'), value: ownRepos.length },
+            { icon: 'fa-code', label: this.t('insights.languages'), value: stats.languages.length }
+        ];
+        this.insightsTotals.innerHTML = totals.map(item => html`
+            <div class="stat">
+                <i class="fas ${item.icon}"></i>
+                <span>${this.formatNumber(item.value)}</span>
+                <label>${item.label}</label>
+            </div>
+        `).join('');
+        
+        const topRepos = [...ownRepos]
+            .sort((a, b) => b.stargazers_count - a.stargazers_count)
+            .slice(0, 5)
+            .filter(repo => repo.stargazers_count > 0);
+        this.topReposList.innerHTML = topRepos.length > 0
+            ? topRepos.map(repo => html`
+                <li>
+                    <a href="${safeUrl(repo.html_url)}" target="_blank" rel="noopener noreferrer">${repo.name}</a>
+                    <span><i class="fas fa-star"></i> ${this.formatNumber(repo.stargazers_count)}</span>
+                </li>
+            `).join('')
+            : html`<li class="chart-empty">${this.t('insights.noStarred')}</li>`;
+        
+        this.renderLanguageChart(stats);
+        this.renderActivityChart(repos);
+        this.renderContributions();
+    }
+
+    // The last year of contributions, as on the GitHub profile page (GraphQL only)
+    renderContributions() {
+        const contributions = this.currentContributions;
+        this.contributionsCard.classList.toggle('hidden', !contributions);
+        if (!contributions) return;
+        
+        const cell = 10;
+        const gap = 2;
+        const labelWidth = 28;
+        const headerHeight = 16;
+        const levels = { NONE: 0, FIRST_QUARTILE: 1, SECOND_QUARTILE: 2, THIRD_QUARTILE: 3, FOURTH_QUARTILE: 4 };
+        
+        const cells = [];
+        const monthLabels = [];
+        let lastMonth = -1;
+        
+        contributions.weeks.forEach((days, week) => {
+            days.forEach(day => {
+                // Dates are plain YYYY-MM-DD, so read them as local days
+                const date = new Date(`${day.date}T00:00:00`);
+                
+                if (date.getDay() === 0 && date.getMonth() !== lastMonth) {
+                    lastMonth = date.getMonth();
+                    monthLabels.push(html`<text x="${labelWidth + week * (cell + gap)}" y="10" class="chart-label">${this.i18n.formatDate(date, { month: 'short' })}</text>`);
+                }
+                
+                cells.push(html`
+                    <rect x="${labelWidth + week * (cell + gap)}" y="${headerHeight + date.getDay() * (cell + gap)}" width="${cell}" height="${cell}" rx="2" class="heatmap-cell level-${levels[day.contributionLevel] || 0}">
+                        <title>${this.t('insights.contributionsOn', { count: day.contributionCount, date: this.i18n.formatDate(date, { month: 'short', day: 'numeric', year: 'numeric' }) })}</title>
+                    </rect>
+                `);
+            });
+        });
+        
+        const dayLabels = this.heatmapDayNames().map((label, index) =>
+            html`<text x="0" y="${headerHeight + (index * 2 + 1) * (cell + gap) + cell - 1}" class="chart-label">${label}</text>`
+        );
+        
+        const width = labelWidth + contributions.weeks.length * (cell + gap);
+        const height = headerHeight + 7 * (cell + gap);
+        
+        this.contributionCalendar.innerHTML = html`
+            <svg viewBox="0 0 ${width} ${height}" role="img" aria-label="${this.t('insights.contributionsLabel')}">
+                ${monthLabels}
+                ${dayLabels}
+                ${cells}
+            </svg>
+            <div class="heatmap-legend">
+                <span>${this.t('insights.less')}</span>
+                ${[0, 1, 2, 3, 4].map(level => html`<span class="heatmap-swatch level-${level}"></span>`)}
+                <span>${this.t('insights.more')}</span>
+            </div>
+        `;
+        this.contributionsSummary.textContent = this.t('insights.contributionsTotal', { count: contributions.total });
+    }
+
+    // Row labels for Monday, Wednesday and Friday (5 January 1970 was a Monday)
+    heatmapDayNames() {
+        return [5, 7, 9].map(day => this.i18n.formatDate(new Date(1970, 0, day), { weekday: 'short' }));
+    }
+
+    setLanguageMode(mode) {
+        this.languageMode = mode;
+        this.syncLanguageModeToggle();
+        
+        if (mode === 'bytes' && !this.languageBytes) {
+            this.loadLanguageBytes();
+        } else {
+            this.renderLanguageChart(this.summarizeRepositories(this.currentRepos || []));
+        }
+    }
+
+    syncLanguageModeToggle() {
+        this.languageModeToggle.querySelectorAll('[data-language-mode]').forEach(btn => {
+            btn.classList.toggle('active', btn.getAttribute('data-language-mode') === this.languageMode);
+        });
+    }
+
+    renderLanguageChart(stats) {
+        if (this.languageMode === 'bytes' && this.languageBytes) {
+            const { totals, sampled, total } = this.languageBytes;
+            const sum = Object.values(totals).reduce((acc, bytes) => acc + bytes, 0);
+            const items = Object.entries(totals)
+                .sort((a, b) => b[1] - a[1])
+                .slice(0, 8)
+                .map(([language, bytes]) => ({
+                    label: language,
+                    value: bytes,
+                    display: this.i18n.formatPercent(bytes / sum),
+                    color: this.languageColor(language)
+                }));
+            
+            this.renderBarChart(this.languageChart, items);
+            this.languageChartNote.textContent = sampled < total
+                ? this.t('insights.bytesSampled', { sampled, total })
+                : this.t('insights.bytesAll', { count: total });
+            return;
+        }
+        
+        const items = stats.languages.slice(0, 8).map(({ language, count }) => ({
+            label: language,
+            value: count,
+            display: this.t('insights.repoCount', { count }),
+            color: this.languageColor(language)
+        }));
+        
+        this.renderBarChart(this.languageChart, items);
+        this.languageChartNote.textContent = this.t('insights.primaryLanguage');
+    }
+
+    // Sum /repos/{owner}/{repo}/languages over the most recently pushed own repos
+    async loadLanguageBytes() {
+        const login = this.currentProfile.login;
+        const ownRepos = (this.currentRepos || []).filter(repo => !repo.fork);
+        const sample = [...ownRepos]
+            .sort((a, b) => new Date(b.pushed_at) - new Date(a.pushed_at))
+            .slice(0, this.maxLanguageRepos);
+        const totals = {};
+        let sampled = 0;
+        
+        this.languageChart.innerHTML = html`<p class="chart-empty"><i class="fas fa-spinner fa-spin"></i> ${this.t('insights.loadingBytes')}</p>`;
+        this.languageChartNote.textContent = this.t('insights.requestingBytes', { count: sample.length });
+        
+        // Clicking "By bytes" again while this profile's sample loads joins the run in flight
+        if (this.languageBytesLoading === login) return;
+        this.languageBytesLoading = login;
+        
+        try {
+            // Small batches keep the burst well below GitHub's secondary limits
+            for (let i = 0; i < sample.length; i += 5) {
+                const batch = sample.slice(i, i + 5);
+                const responses = await Promise.all(batch.map(repo =>
+                    this.api.request(`/repos/${repo.full_name}/languages`).catch(() => null)
+                ));
+                
+                let stop = false;
+                responses.forEach(response => {
+                    if (response && response.ok) {
+                        Object.entries(response.data).forEach(([language, bytes]) => {
+                            totals[language] = (totals[language] || 0) + bytes;
+                        });
+                        sampled++;
+                    } else if (response && response.rateLimit) {
+                        stop = true;
+                    }
+                });
+                
+                if (stop || !this.currentProfile || this.currentProfile.login !== login) break;
+            }
+        } finally {
+            if (this.languageBytesLoading === login) {
+                this.languageBytesLoading = null;
+            }
+        }
+        
+        // Ignore results for a profile the user has already navigated away from
+        if (!this.currentProfile || this.currentProfile.login !== login) return;
+        
+        this.languageBytes = { totals, sampled, total: ownRepos.length };
+        if (this.languageMode === 'bytes') {
+            this.renderLanguageChart();
+        }
+    }
+
+    renderActivityChart(repos) {
+        const counts = {};
+        repos.forEach(repo => {
+            if (repo.pushed_at) {
+                const month = repo.pushed_at.slice(0, 7);
+                counts[month] = (counts[month] || 0) + 1;
+            }
+        });
+        
+        // Last twelve calendar months, oldest first
+        const now = new Date();
+        const items = [];
+        for (let offset = 11; offset >= 0; offset--) {
+            const date = new Date(now.getFullYear(), now.getMonth() - offset, 1);
+            const key = `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, '0')}`;
+            items.push({
+                label: this.i18n.formatDate(date, { month: 'short' }),
+                title: this.i18n.formatDate(date, { month: 'long', year: 'numeric' }),
+                value: counts[key] || 0
+            });
+        }
+        
+        this.renderColumnChart(this.activityChart, items);
+        
+        const topMonths = Object.entries(counts)
+            .sort((a, b) => b[1] - a[1] || b[0].localeCompare(a[0]))
+            .slice(0, 3)
+            .map(([month, count]) => {
+                const [year, monthIndex] = month.split('-').map(Number);
+                const label = this.i18n.formatDate(new Date(year, monthIndex - 1, 1), { month: 'long', year: 'numeric' });
+                return this.t('insights.monthCount', { month: label, count });
+            });
+        
+        this.activeMonthsSummary.textContent = topMonths.length > 0
+            ? this.t('insights.busiestMonths', { months: topMonths.join(', ') })
+            : this.t('insights.noPushes');
+    }
+
+    toggleNetwork() {
+        if (this.networkSection.style.display === 'block') {
+            this.networkSection.style.display = 'none';
+            this.updateRoute();
+        } else {
+            this.openNetwork(this.network ? this.network.active : 'followers');
+        }
+    }
+
+    openNetwork(list) {
+        const login = this.currentProfile.login;
+        
+        if (!this.network || this.network.login !== login) {
+            this.network = {
+                login,
+                active: list,
+                lists: {
+                    followers: { users: [], next: `/users/${encodeURIComponent(login)}/followers?per_page=${this.networkPerPage}`, loading: false, error: null },
+                    following: { users: [], next: `/users/${encodeURIComponent(login)}/following?per_page=${this.networkPerPage}`, loading: false, error: null }
+                }
+            };
+        }
+        
+        this.network.active = list;
+        this.networkTabs.forEach(tab => {
+            tab.classList.toggle('active', tab.getAttribute('data-network') === list);
+        });
+        this.networkTabs[1].classList.toggle('hidden', this.currentProfile.type === 'Organization');
+        
+        const wasOpen = this.networkSection.style.display === 'block';
+        this.networkSection.style.display = 'block';
+        if (!wasOpen) {
+            this.networkSection.scrollIntoView({ behavior: 'smooth', block: 'start' });
+            this.updateRoute();
+        }
+        
+        this.renderNetwork();
+        this.loadViewerFollowers();
+        
+        // Indicators compare both lists, so make sure each has its first page
+        ['followers', 'following'].forEach(name => {
+            const state = this.network.lists[name];
+            if (state.users.length === 0 && state.next && (name === list || this.currentProfile.type !== 'Organization')) {
+                this.loadNetworkPage(name);
+            }
+        });
+    }
+
+    async loadNetworkPage(list) {
+        const network = this.network;
+        const state = network.lists[list];
+        if (state.loading || !state.next) return;
+        
+        state.loading = true;
+        state.error = null;
+        this.renderNetwork();
+        
+        const response = await this.api.request(state.next).catch(() => null);
+        state.loading = false;
+        if (this.network !== network) return;
+        
+        if (response && response.ok) {
+            state.users.push(...response.data);
+            state.next = this.api.parseLinkHeader(response.headers.get('Link')).next;
+        } else {
+            state.error = this.t(response && response.rateLimit ? 'network.rateLimited' : 'network.failed');
+        }
+        
+        this.renderNetwork();
+        
+        // Re-observing reports the sentinel's current state, so short lists keep filling the screen
+        if (list === network.active && state.next && !state.error) {
+            this.networkObserver.unobserve(this.networkSentinel);
+            this.networkObserver.observe(this.networkSentinel);
+        }
+    }
+
+    renderNetwork() {
+        const { active, lists } = this.network;
+        const state = lists[active];
+        const other = lists[active === 'followers' ? 'following' : 'followers'];
+        const otherLogins = new Set(other.users.map(user => user.login.toLowerCase()));
+        const followsViewer = login => !!this.viewerFollowers && this.viewerFollowers.logins.has(login.toLowerCase());
+        
+        this.networkTabs[0].querySelector('.tab-count').textContent = this.formatNumber(this.currentProfile.followers);
+        this.networkTabs[1].querySelector('.tab-count').textContent = this.formatNumber(this.currentProfile.following);
+        
+        if (state.users.length === 0 && !state.loading) {
+            this.networkGrid.innerHTML = html`<p class="chart-empty">${state.error || this.t(active === 'followers' ? 'network.noFollowers' : 'network.noFollowing')}</p>`;
+        } else {
+            this.networkGrid.innerHTML = state.users.map(user => {
+                // Mutual: the profile and this user follow each other
+                const isMutual = otherLogins.has(user.login.toLowerCase());
+                return html`
+                    <button class="member-card ${isMutual ? 'mutual' : ''}" data-username="${user.login}" title="${this.t('network.viewProfile', { login: user.login })}">
+                        <img src="${safeUrl(`${user.avatar_url}&s=96`)}" alt="${this.t('network.avatarAlt', { login: user.login })}" loading="lazy">
+                        <span>${user.login}</span>
+                        ${isMutual ? html`<em class="network-badge"><i class="fas fa-exchange-alt"></i> ${this.t('network.mutual')}</em>` : ''}
+                        ${followsViewer(user.login) ? html`<em class="network-badge follows-you"><i class="fas fa-user-check"></i> ${this.t('network.followsYou')}</em>` : ''}
+                    </button>
+                `;
+            }).join('');
+            
+            if (state.loading) {
+                this.networkGrid.insertAdjacentHTML('beforeend', html`<p class="chart-empty network-loading"><i class="fas fa-spinner fa-spin"></i> ${this.t('network.loading')}</p>`);
+            } else if (state.error) {
+                this.networkGrid.insertAdjacentHTML('beforeend', html`<p class="chart-empty network-loading">${state.error}</p>`);
+            }
+        }
+        
+        // Indicators can only be as complete as the other list we have loaded
+        const mutualCount = state.users.filter(user => otherLogins.has(user.login.toLowerCase())).length;
+        this.networkHint.textContent = this.t(other.next ? 'network.mutualPartial' : 'network.mutualCount', { count: mutualCount });
+        this.networkSentinel.classList.toggle('hidden', !state.next);
+    }
+
+    // Followers of the signed-in account (first few pages), fetched once per token
+    async loadViewerFollowers() {
+        const viewer = this.tokenInfo && this.tokenInfo.login;
+        if (!viewer || this.loadingViewerFollowers || !this.checkRateLimit()) return;
+        if (this.viewerFollowers && this.viewerFollowers.login === viewer) return;
+        
+        this.loadingViewerFollowers = true;
+        const logins = new Set();
+        let next = '/user/followers?per_page=100';
+        
+        try {
+            for (let page = 0; next && page < this.maxViewerFollowerPages; page++) {
+                const response = await this.api.request(next);
+                if (!response.ok) return;
+                response.data.forEach(user => logins.add(user.login.toLowerCase()));
+                next = this.api.parseLinkHeader(response.headers.get('Link')).next;
+            }
+        } catch (error) {
+            return;
+        } finally {
+            this.loadingViewerFollowers = false;
+        }
+        
+        // The token may have changed while the pages loaded
+        if (!this.tokenInfo || this.tokenInfo.login !== viewer) return;
+        this.viewerFollowers = { login: viewer, logins };
+        if (this.network && this.networkSection.style.display === 'block') {
+            this.renderNetwork();
+        }
+    }
+
+    // Open another user's profile while remembering how we got there
+    navigateToUser(login) {
+        const trail = this.breadcrumbs.length === 0 && this.currentProfile
+            ? [this.currentProfile.login]
+            : this.breadcrumbs;
+        
+        const existing = trail.findIndex(crumb => crumb.toLowerCase() === login.toLowerCase());
+        const breadcrumbs = existing >= 0
+            ? trail.slice(0, existing + 1)
+            : [...trail, login];
+        
+        this.usernameInput.value = login;
+        this.handleSearch({ breadcrumbs });
+    }
+
+    renderBreadcrumbs() {
+        if (this.breadcrumbs.length < 2) {
+            this.breadcrumbTrail.innerHTML = '';
+            this.breadcrumbTrail.classList.add('hidden');
+            return;
+        }
+        
+        const last = this.breadcrumbs.length - 1;
+        this.breadcrumbTrail.innerHTML = this.breadcrumbs.map((login, index) => index === last
+            ? html`<span class="crumb current" aria-current="page">${login}</span>`
+            : html`<button class="crumb" data-crumb="${index}">${login}</button><i class="fas fa-chevron-right"></i>`
+        ).join('');
+        this.breadcrumbTrail.classList.remove('hidden');
+    }
+
+    toggleMembers() {
+        const isOpen = this.membersSection.style.display === 'block';
+        
+        if (!isOpen && this.currentProfile && this.currentProfile.type === 'Organization') {
+            this.membersSection.style.display = 'block';
+            this.viewMembersBtn.innerHTML = html`<i class="fas fa-eye-slash"></i> ${this.t('panel.hideMembers')}`;
+            if (this.orgMembers) {
+                this.renderMembers();
+            } else {
+                this.loadMembers(1);
+            }
+        } else if (isOpen) {
+            this.membersSection.style.display = 'none';
+            this.viewMembersBtn.innerHTML = html`<i class="fas fa-user-friends"></i> ${this.t('panel.showMembers')}`;
+        }
+        
+        this.updateRoute();
+    }
+
+    async loadMembers(page) {
+        const login = this.currentProfile.login;
+        
+        this.membersGrid.innerHTML = html`<p class="chart-empty"><i class="fas fa-spinner fa-spin"></i> ${this.t('members.loading')}</p>`;
+        
+        const response = await this.api.request(`/orgs/${encodeURIComponent(login)}/members?per_page=${this.membersPerPage}&page=${page}`)
+            .catch(() => null);
+        if (this.currentProfile.login !== login) return;
+        
+        if (!response || !response.ok) {
+            const message = this.t(response && response.rateLimit ? 'members.rateLimited' : 'members.failed');
+            this.membersGrid.innerHTML = html`<p class="chart-empty"><i class="fas fa-exclamation-triangle"></i> ${message}</p>`;
+            this.membersPagination.innerHTML = '';
+            return;
+        }
+        
+        // The last link tells us how many pages there are; without one we are on it
+        const links = this.api.parseLinkHeader(response.headers.get('Link'));
+        const lastMatch = links.last && links.last.match(/[?&]page=(\d+)/);
+        const lastPage = lastMatch ? parseInt(lastMatch[1]) : (links.next ? page + 1 : page);
+        
+        this.orgMembers = { login, page, lastPage, members: response.data };
+        this.renderMembers();
+    }
+
+    renderMembers() {
+        const { page, lastPage, members } = this.orgMembers;
+        
+        this.membersGrid.innerHTML = members.length > 0
+            ? members.map(member => html`
+                <button class="member-card" data-username="${member.login}" title="${this.t('network.viewProfile', { login: member.login })}">
+                    <img src="${safeUrl(`${member.avatar_url}&s=96`)}" alt="${this.t('network.avatarAlt', { login: member.login })}" loading="lazy">
+                    <span>${member.login}</span>
+                </button>
+            `).join('')
+            : html`<p class="chart-empty">${this.t('members.empty')}</p>`;
+        
+        this.membersPagination.innerHTML = lastPage > 1 ? html`
+            <button class="page-btn" data-page="${page - 1}" ${page === 1 ? 'disabled' : ''} aria-label="${this.t('repos.previousPage')}">
+                <i class="fas fa-chevron-left"></i>
+            </button>
+            <span class="page-info">${this.t('discover.page', { page, pages: lastPage })}</span>
+            <button class="page-btn" data-page="${page + 1}" ${page === lastPage ? 'disabled' : ''} aria-label="${this.t('repos.nextPage')}">
+                <i class="fas fa-chevron-right"></i>
+            </button>
+        ` : '';
+    }
+
+    toggleActivity() {
+        if (this.activitySection.style.display === 'none' || !this.activitySection.style.display) {
+            this.activitySection.style.display = 'block';
+            this.viewActivityBtn.innerHTML = html`<i class="fas fa-eye-slash"></i> ${this.t('panel.hideActivity')}`;
+            if (this.currentEvents) {
+                this.renderActivity();
+            } else {
+                this.loadActivity();
+            }
+        } else {
+            this.activitySection.style.display = 'none';
+            this.viewActivityBtn.innerHTML = html`<i class="fas fa-stream"></i> ${this.t('panel.showActivity')}`;
+        }
+        
+        this.updateRoute();
+    }
+
+    async fetchUserEvents(username) {
+        // Anything already collected is still worth showing if a later page fails
+        return this.api.paginate(`/users/${encodeURIComponent(username)}/events/public?per_page=100`, { maxPages: this.maxEventPages }, {
+            notFound: 'activity.failed',
+            rateLimit: 'activity.rateLimited',
+            failed: 'activity.failed'
+        });
+    }
+
+    async loadActivity() {
+        const login = this.currentProfile.login;
+        
+        this.activityHeatmap.innerHTML = '';
+        this.activitySummary.innerHTML = '';
+        this.activityTimeline.innerHTML = html`<p class="chart-empty"><i class="fas fa-spinner fa-spin"></i> ${this.t('activity.loading')}</p>`;
+        this.moreActivityBtn.classList.add('hidden');
+        
+        try {
+            const events = await this.fetchUserEvents(login);
+            if (this.currentProfile.login !== login) return;
+            
+            this.currentEvents = events;
+            this.renderActivity();
+        } catch (error) {
+            if (this.currentProfile.login !== login) return;
+            this.activityTimeline.innerHTML = html`<p class="chart-empty"><i class="fas fa-exclamation-triangle"></i> ${this.describeError(error)}</p>`;
+        }
+    }
+
+    renderActivity() {
+        const events = this.currentEvents;
+        const countsByDay = {};
+        const countsByType = {};
+        
+        events.forEach(event => {
+            const day = this.localDateKey(new Date(event.created_at));
+            countsByDay[day] = (countsByDay[day] || 0) + 1;
+            countsByType[event.type] = (countsByType[event.type] || 0) + 1;
+        });
+        
+        this.renderHeatmap(countsByDay);
+        
+        const topTypes = Object.entries(countsByType)
+            .sort((a, b) => b[1] - a[1])
+            .slice(0, 4)
+            .map(([type, count]) => html`
+                <div class="activity-type">
+                    <i class="fas ${this.describeEvent({ type, payload: {}, repo: { name: '' } }).icon}"></i>
+                    <span>${this.formatNumber(count)}</span>
+                    <label>${this.tOr(`activity.type.${type}`, type.replace(/Event$/, '').replace(/([a-z])([A-Z])/g, '$1 $2'))}</label>
+                </div>
+            `);
+        
+        this.activitySummary.innerHTML = html`
+            <div class="stat">
+                <i class="fas fa-bolt"></i>
+                <span>${this.formatNumber(events.length)}</span>
+                <label>${this.t('activity.events')}</label>
+            </div>
+            <div class="stat">
+                <i class="fas fa-calendar-check"></i>
+                <span>${this.formatNumber(Object.keys(countsByDay).length)}</span>
+                <label>${this.t('activity.activeDays')}</label>
+            </div>
+            ${topTypes}
+        `;
+        
+        this.activityDaysShown = this.activityDaysPerPage;
+        this.renderActivityTimeline();
+    }
+
+    renderActivityTimeline() {
+        const events = this.currentEvents;
+        
+        if (events.length === 0) {
+            this.activityTimeline.innerHTML = html`<p class="chart-empty">${this.t('activity.empty')}</p>`;
+            this.moreActivityBtn.classList.add('hidden');
+            return;
+        }
+        
+        // Events arrive newest first, so consecutive grouping keeps days in order
+        const days = [];
+        events.forEach(event => {
+            const date = new Date(event.created_at);
+            const key = this.localDateKey(date);
+            if (days.length === 0 || days[days.length - 1].key !== key) {
+                days.push({ key, date, events: [] });
+            }
+            days[days.length - 1].events.push(event);
+        });
+        
+        this.activityTimeline.innerHTML = days.slice(0, this.activityDaysShown).map(day => html`
+            <div class="timeline-day">
+                <h4 class="timeline-date">${this.i18n.formatDate(day.date, { weekday: 'short', month: 'short', day: 'numeric', year: 'numeric' })}</h4>
+                <ul class="timeline-events">
+                    ${day.events.map(event => {
+                        const { icon, markup } = this.describeEvent(event);
+                        const time = this.i18n.formatTime(event.created_at);
+                        return html`
+                            <li class="timeline-event">
+                                <i class="fas ${icon}"></i>
+                                <span class="timeline-text">${markup}</span>
+                                <time datetime="${event.created_at}">${time}</time>
+                            </li>
+                        `;
+                    })}
+                </ul>
+            </div>
+        `).join('');
+        
+        this.moreActivityBtn.classList.toggle('hidden', days.length <= this.activityDaysShown);
+    }
+
+    // Human-readable summary for an event from the public events API; `markup` is safe to render
+    describeEvent(event) {
+        const payload = event.payload || {};
+        const repo = html`<a href="${safeUrl(`${this.api.webUrl}/${event.repo.name}`)}" target="_blank" rel="noopener noreferrer">${event.repo.name}</a>`;
+        const branch = (payload.ref || '').replace(/^refs\/heads\//, '');
+        const pr = payload.pull_request || {};
+        const issue = payload.issue || {};
+        // Issue and pull request numbers are identifiers, so they aren't formatted as numbers
+        const number = value => String(value);
+        const action = (value, fallback) => this.tOr(`activity.action.${value || fallback}`, this.capitalize(value || fallback));
+        const refType = this.tOr(`activity.ref.${payload.ref_type || 'ref'}`, payload.ref_type);
+        const ref = html`<code>${payload.ref || ''}</code>`;
+        const titled = (markup, title) => title ? this.tHTML('activity.titled', { event: markup, title }) : markup;
+        
+        switch (event.type) {
+            case 'PushEvent': {
+                const commits = payload.size || (payload.commits || []).length;
+                const target = branch ? this.tHTML('activity.branchIn', { branch: html`<code>${branch}</code>`, repo }) : repo;
+                return { icon: 'fa-code-commit', markup: commits ? this.tHTML('activity.pushed', { count: commits, target }) : this.tHTML('activity.pushedCommits', { target }) };
+            }
+            case 'PullRequestEvent': {
+                const verb = payload.action === 'closed' && pr.merged ? action('merged') : action(payload.action, 'updated');
+                return { icon: 'fa-code-pull-request', markup: titled(this.tHTML('activity.pullRequest', { action: verb, number: number(payload.number || pr.number), repo }), pr.title) };
+            }
+            case 'PullRequestReviewEvent':
+                return { icon: 'fa-eye', markup: this.tHTML('activity.reviewed', { number: number(pr.number), repo }) };
+            case 'PullRequestReviewCommentEvent':
+                return { icon: 'fa-comments', markup: this.tHTML('activity.reviewComment', { number: number(pr.number), repo }) };
+            case 'IssuesEvent':
+                return { icon: 'fa-circle-dot', markup: titled(this.tHTML('activity.issue', { action: action(payload.action, 'updated'), number: number(issue.number), repo }), issue.title) };
+            case 'IssueCommentEvent':
+                return { icon: 'fa-comment', markup: this.tHTML('activity.issueComment', { number: number(issue.number), repo }) };
+            case 'CommitCommentEvent':
+                return { icon: 'fa-comment-dots', markup: this.tHTML('activity.commitComment', { repo }) };
+            case 'WatchEvent':
+                return { icon: 'fa-star', markup: this.tHTML('activity.starred', { repo }) };
+            case 'ForkEvent':
+                return { icon: 'fa-code-branch', markup: payload.forkee ? this.tHTML('activity.forkedTo', { repo, fork: payload.forkee.full_name }) : this.tHTML('activity.forked', { repo }) };
+            case 'CreateEvent':
+                return payload.ref_type === 'repository'
+                    ? { icon: 'fa-plus', markup: this.tHTML('activity.createdRepo', { repo }) }
+                    : { icon: 'fa-plus', markup: this.tHTML('activity.created', { type: refType, ref, repo }) };
+            case 'DeleteEvent':
+                return { icon: 'fa-trash-alt', markup: this.tHTML('activity.deleted', { type: refType, ref, repo }) };
+            case 'ReleaseEvent':
+                return { icon: 'fa-tag', markup: this.tHTML('activity.released', { tag: payload.release ? payload.release.tag_name : '', repo }) };
+            case 'PublicEvent':
+                return { icon: 'fa-globe', markup: this.tHTML('activity.madePublic', { repo }) };
+            case 'MemberEvent':
+                return { icon: 'fa-user-plus', markup: this.tHTML('activity.member', { action: action(payload.action, 'added'), member: payload.member ? payload.member.login : this.t('activity.collaborator'), repo }) };
+            case 'GollumEvent':
+                return { icon: 'fa-book', markup: this.tHTML('activity.wiki', { repo }) };
+            default:
+                return { icon: 'fa-circle', markup: this.tHTML('activity.other', { type: event.type.replace(/Event$/, ''), repo }) };
+        }
+    }
+
+    // Calendar heatmap of events per day, one column per week
+    renderHeatmap(countsByDay) {
+        const weeks = 13;
+        const cell = 12;
+        const gap = 3;
+        const labelWidth = 28;
+        const headerHeight = 16;
+        const max = Math.max(1, ...Object.values(countsByDay));
+        
+        // Start on the Sunday that makes the final column contain today
+        const today = new Date();
+        const start = new Date(today.getFullYear(), today.getMonth(), today.getDate() - today.getDay() - (weeks - 1) * 7);
+        
+        const cells = [];
+        const monthLabels = [];
+        let lastMonth = -1;
+        
+        for (let week = 0; week < weeks; week++) {
+            for (let day = 0; day < 7; day++) {
+                const date = new Date(start.getFullYear(), start.getMonth(), start.getDate() + week * 7 + day);
+                if (date > today) continue;
+                
+                if (day === 0 && date.getMonth() !== lastMonth) {
+                    lastMonth = date.getMonth();
+                    monthLabels.push(html`<text x="${labelWidth + week * (cell + gap)}" y="10" class="chart-label">${this.i18n.formatDate(date, { month: 'short' })}</text>`);
+                }
+                
+                const count = countsByDay[this.localDateKey(date)] || 0;
+                const level = count === 0 ? 0 : Math.min(4, Math.ceil((count / max) * 4));
+                cells.push(html`
+                    <rect x="${labelWidth + week * (cell + gap)}" y="${headerHeight + day * (cell + gap)}" width="${cell}" height="${cell}" rx="2" class="heatmap-cell level-${level}">
+                        <title>${this.t('activity.eventsOn', { count, date: this.i18n.formatDate(date, { month: 'short', day: 'numeric', year: 'numeric' }) })}</title>
+                    </rect>
+                `);
+            }
+        }
+        
+        const dayLabels = this.heatmapDayNames().map((label, index) =>
+            html`<text x="0" y="${headerHeight + (index * 2 + 1) * (cell + gap) + cell - 2}" class="chart-label">${label}</text>`
+        );
+        
+        const width = labelWidth + weeks * (cell + gap);
+        const height = headerHeight + 7 * (cell + gap);
+        
+        this.activityHeatmap.innerHTML = html`
+            <svg viewBox="0 0 ${width} ${height}" role="img" aria-label="${this.t('activity.heatmapLabel', { count: weeks })}">
+                ${monthLabels}
+                ${dayLabels}
+                ${cells}
+            </svg>
+            <div class="heatmap-legend">
+                <span>${this.t('insights.less')}</span>
+                ${[0, 1, 2, 3, 4].map(level => html`<span class="heatmap-swatch level-${level}"></span>`)}
+                <span>${this.t('insights.more')}</span>
+            </div>
+        `;
+    }
+
+    // Horizontal bar chart as inline SVG; items are { label, value, display, color }
+    renderBarChart(container, items) {
+        if (items.length === 0) {
+            container.innerHTML = html`<p class="chart-empty">${this.t('chart.noData')}</p>`;
+            return;
+        }
+        
+        const rowHeight = 28;
+        const labelWidth = 120;
+        const valueWidth = 70;
+        const width = 400;
+        const barArea = width - labelWidth - valueWidth;
+        const max = Math.max(...items.map(item => item.value));
+        
+        const rows = items.map((item, index) => {
+            const y = index * rowHeight;
+            const barWidth = Math.max(2, (item.value / max) * barArea);
+            return html`
+                <g transform="translate(0, ${y})">
+                    <text x="0" y="18" class="chart-label">${item.label}</text>
+                    <rect x="${labelWidth}" y="6" width="${barWidth}" height="16" rx="4" fill="${item.color}"></rect>
+                    <text x="${labelWidth + barWidth + 8}" y="18" class="chart-value">${item.display}</text>
+                </g>
+            `;
+        });
+        
+        container.innerHTML = html`
+            <svg viewBox="0 0 ${width} ${items.length * rowHeight}" role="img" aria-label="${this.t('chart.bar')}">
+                ${rows}
+            </svg>
+        `;
+    }
+
+    // Vertical column chart as inline SVG; items are { label, title, value }
+    renderColumnChart(container, items) {
+        const width = 480;
+        const height = 160;
+        const labelHeight = 20;
+        const columnWidth = width / items.length;
+        const max = Math.max(1, ...items.map(item => item.value));
+        
+        const columns = items.map((item, index) => {
+            const barHeight = (item.value / max) * (height - labelHeight - 16);
+            const x = index * columnWidth;
+            const y = height - labelHeight - barHeight;
+            return html`
+                <g>
+                    <title>${this.t('chart.columnTitle', { label: item.title, value: item.value })}</title>
+                    <rect x="${x + columnWidth * 0.2}" y="${y}" width="${columnWidth * 0.6}" height="${Math.max(barHeight, 1)}" rx="3" class="chart-column"></rect>
+                    ${item.value > 0 ? html`<text x="${x + columnWidth / 2}" y="${y - 4}" text-anchor="middle" class="chart-value">${this.formatNumber(item.value)}</text>` : ''}
+                    <text x="${x + columnWidth / 2}" y="${height - 4}" text-anchor="middle" class="chart-label">${item.label}</text>
+                </g>
+            `;
+        });
+        
+        container.innerHTML = html`
+            <svg viewBox="0 0 ${width} ${height}" role="img" aria-label="${this.t('chart.column')}">
+                ${columns}
+            </svg>
+        `;
+    }
+
+    languageColor(language) {
+        const colors = {
+            'JavaScript': '#f1e05a',
+            'TypeScript': '#3178c6',
+            'Python': '#3572A5',
+            'Java': '#b07219',
+            'Go': '#00ADD8',
+            'Rust': '#dea584',
+            'C': '#555555',
+            'C++': '#f34b7d',
+            'C#': '#178600',
+            'Ruby': '#701516',
+            'PHP': '#4F5D95',
+            'Shell': '#89e051',
+            'HTML': '#e34c26',
+            'CSS': '#563d7c',
+            'Swift': '#F05138',
+            'Kotlin': '#A97BFF',
+            'Dart': '#00B4AB',
+            'Vue': '#41b883',
+            'Jupyter Notebook': '#DA5B0B',
+            'Objective-C': '#438eff'
+        };
+        
+        if (colors[language]) return colors[language];
+        
+        // Stable fallback hue derived from the name
+        let hash = 0;
+        for (let i = 0; i < language.length; i++) {
+            hash = (hash * 31 + language.charCodeAt(i)) % 360;
+        }
+        return `hsl(${hash}, 60%, 55%)`;
+    }
+
+    showLoading() {
+        this.loadingSpinner.classList.add('show');
+        this.searchBtn.disabled = true;
+        this.searchBtn.innerHTML = html`<i class="fas fa-spinner fa-spin"></i> ${this.t('search.searching')}`;
+    }
+
+    hideLoading() {
+        this.loadingSpinner.classList.remove('show');
+        this.searchBtn.disabled = false;
+        this.searchBtn.innerHTML = html`<span class="btn-text">${this.t('search.button')}</span><i class="fas fa-arrow-right btn-icon"></i>`;
+    }
+
+    showError(message) {
+        this.errorText.textContent = message;
+        this.errorAction = null;
+        this.errorActionBtn.classList.add('hidden');
+        this.errorMessage.classList.add('show');
+        this.errorMessage.scrollIntoView({ behavior: 'smooth', block: 'center' });
+    }
+
+    hideError() {
+        this.errorMessage.classList.remove('show');
+    }
+
+    showProfile() {
+        this.profileSection.classList.add('show');
+        this.profileSection.scrollIntoView({ behavior: 'smooth', block: 'start' });
+    }
+
+    hideProfile() {
+        this.profileSection.classList.remove('show');
+        this.changeSummary.classList.add('hidden');
+    }
+
+    handleError(error) {
+        console.error('Error:', error);
+        this.showError(this.describeError(error));
+        
+        // Offer the one thing that might fix it
+        if (error instanceof AuthError) {
+            this.setErrorAction(this.t('error.updateToken'), () => this.openSettings());
+        } else if (error.retryable) {
+            this.setErrorAction(this.t('error.tryAgain'), () => this.handleSearch());
+        }
+    }
+
+    // API errors name a message key (see GitHubApiError); anything else only has its English message
+    describeError(error) {
+        return error instanceof GitHubApiError && error.code ? this.t(error.code, error.params) : error.message;
+    }
+
+    setErrorAction(label, action) {
+        this.errorAction = action;
+        this.errorActionBtn.textContent = label;
+        this.errorActionBtn.classList.remove('hidden');
+    }
+
+    t(key, params) {
+        return this.i18n.t(key, params);
+    }
+
+    // t() for markup: string params are escaped and html`` params are kept, as in html``
+    tHTML(key, params = {}) {
+        const rendered = Object.fromEntries(Object.entries(params).map(([name, value]) =>
+            [name, typeof value === 'number' ? value : html`${value}`.value]
+        ));
+        return new SafeHTML(this.t(key, rendered));
+    }
+
+    // Messages for values that come from the API (event types, actions), which may be new to the catalogs
+    tOr(key, fallback) {
+        return this.i18n.has(key) ? this.t(key) : fallback;
+    }
+
+    // Language and direction of the document, the static markup and the picker
+    applyLocale() {
+        this.root.documentElement.lang = this.i18n.locale;
+        this.root.documentElement.dir = this.i18n.dir;
+        this.i18n.translate(this.root);
+        
+        this.languageSelect.innerHTML = html`${I18n.languages().map(({ code, name }) => html`
+            <option value="${code}" lang="${code}">${name}</option>
+        `)}`;
+        this.languageSelect.value = this.i18n.locale;
+    }
+
+    changeLocale(locale) {
+        this.i18n.setLocale(locale);
+        localStorage.setItem(this.localeStorageKey, this.i18n.locale);
+        this.applyLocale();
+        
+        // Redraw what script built in the old language from what is already loaded, so
+        // nothing is refetched and the change summary isn't diffed a second time
+        this.renderRateLimit();
+        this.renderHistory();
+        this.renderWatchlist();
+        this.renderTokenStatus();
+        this.renderApiBaseStatus();
+        if (this.bulkRows.length > 0) {
+            this.renderBulkResults();
+        }
+        if (this.compareEntries.length > 0) {
+            this.renderComparison();
+        }
+        if (this.currentProfile && this.profileSection.classList.contains('show')) {
+            this.redrawProfile();
+        }
+    }
+
+    redrawProfile() {
+        this.renderProfileDetails(this.currentProfile);
+        this.renderWatchButton();
+        this.updateCacheBadge(this.profileCachedAt);
+        this.renderPartialError(this.reposError);
+        this.renderBreadcrumbs();
+        this.syncRepoControls();
+        if (this.changeSummaryState && !this.changeSummary.classList.contains('hidden')) {
+            const { changes, previous } = this.changeSummaryState;
+            this.renderChangeSummary(changes, previous, this.getSnapshots(this.currentProfile.login));
+        }
+        
+        if (this.reposSection.style.display === 'block') {
+            this.renderRepoBrowser();
+        }
+        if (this.insightsSection.style.display === 'block') {
+            this.renderInsights();
+        }
+        if (this.networkSection.style.display === 'block' && this.network) {
+            this.renderNetwork();
+        }
+        if (this.membersSection.style.display === 'block' && this.orgMembers) {
+            this.renderMembers();
+        }
+        if (this.activitySection.style.display === 'block' && this.currentEvents) {
+            this.renderActivity();
+        }
+    }
+
+    formatNumber(num) {
+        return this.i18n.formatCompact(Number(num) || 0);
+    }
+
+    formatCountdown(ms) {
+        const totalSeconds = Math.max(0, Math.ceil(ms / 1000));
+        const hours = Math.floor(totalSeconds / 3600);
+        const minutes = Math.floor((totalSeconds % 3600) / 60);
+        const seconds = String(totalSeconds % 60).padStart(2, '0');
+        
+        return hours > 0
+            ? `${hours}:${String(minutes).padStart(2, '0')}:${seconds}`
+            : `${minutes}:${seconds}`;
+    }
+
+    capitalize(text) {
+        return text.charAt(0).toUpperCase() + text.slice(1);
+    }
+
+    // YYYY-MM-DD in the viewer's timezone
+    localDateKey(date) {
+        return `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, '0')}-${String(date.getDate()).padStart(2, '0')}`;
+    }
+
+    formatAccountAge(dateString) {
+        const created = new Date(dateString);
+        const now = new Date();
+        const months = (now.getFullYear() - created.getFullYear()) * 12 + (now.getMonth() - created.getMonth());
+        
+        return this.i18n.formatDuration({ years: Math.floor(months / 12), months: months % 12 });
+    }
+
+    formatJoinDate(dateString) {
+        const date = new Date(dateString);
+        if (!dateString || Number.isNaN(date.getTime())) {
+            return this.t('profile.joinUnknown');
+        }
+        return this.t('profile.joined', { time: this.i18n.formatRelative(date) });
+    }
+
+    // The exact join day, for the tooltip next to "Joined 7 years ago"
+    formatJoinTitle(dateString) {
+        const date = new Date(dateString);
+        if (!dateString || Number.isNaN(date.getTime())) return '';
+        
+        // created_at is UTC; someone who joined at midnight on the 1st shouldn't show the previous month
+        return this.i18n.formatDate(date, { year: 'numeric', month: 'long', day: 'numeric', timeZone: 'UTC' });
+    }
+
+    // Refresh the quota from /rate_limit, which does not count against it
+    async fetchRateLimitStatus() {
+        // If this fails the meter keeps its last known values until the next response updates them
+        await this.api.fetchRateLimit().catch(() => {});
+    }
+
+    renderRateLimit() {
+        const { limit, remaining } = this.rateLimit;
+        const percent = limit > 0 ? Math.min(100, (remaining / limit) * 100) : 0;
+        
+        this.rateLimitBar.style.width = `${percent}%`;
+        this.rateLimitMeter.classList.toggle('low', percent <= 20);
+        this.rateLimitMeter.classList.toggle('exhausted', !this.checkRateLimit());
+        this.rateLimitText.textContent = this.t('rateLimit.remaining', { remaining, limit });
+        
+        this.renderRateLimitCountdown();
+        
+        const queued = this.searchQueue.length;
+        this.searchQueueInfo.classList.toggle('hidden', queued === 0);
+        this.searchQueueInfo.querySelector('span').textContent = this.t('rateLimit.queued', { count: queued });
+        
+        // Tick every second only while requests are blocked; with quota left the reset time is enough
+        if (!this.checkRateLimit() && !this.rateLimitTimer) {
+            this.rateLimitTimer = setInterval(() => this.tickRateLimit(), 1000);
+        }
+    }
+
+    renderRateLimitCountdown() {
+        const now = Date.now();
+        
+        if (this.rateLimit.retryAfter > now) {
+            this.rateLimitCountdown.textContent = this.t('rateLimit.retryIn', { time: this.formatCountdown(this.rateLimit.retryAfter - now) });
+        } else if (this.rateLimit.reset * 1000 > now && this.rateLimit.remaining <= 0) {
+            this.rateLimitCountdown.textContent = this.t('rateLimit.resetsIn', { time: this.formatCountdown(this.rateLimit.reset * 1000 - now) });
+        } else if (this.rateLimit.reset * 1000 > now) {
+            this.rateLimitCountdown.textContent = this.t('rateLimit.resetsAt', { time: this.i18n.formatTime(this.rateLimit.reset * 1000) });
+        } else {
+            this.rateLimitCountdown.textContent = '';
+        }
+    }
+
+    async tickRateLimit() {
+        this.renderRateLimitCountdown();
+        
+        if (!this.checkRateLimit()) return;
+        
+        // The window has reset (or a token brought new quota): stop ticking, pick up the fresh quota and run deferred searches
+        clearInterval(this.rateLimitTimer);
+        this.rateLimitTimer = null;
+        this.rateLimit.retryAfter = 0;
+        if (this.rateLimit.remaining <= 0) {
+            this.rateLimit.remaining = this.rateLimit.limit;
+        }
+        
+        await this.fetchRateLimitStatus();
+        this.renderRateLimit();
+        this.processSearchQueue();
+        if (this.bulkPaused) {
+            this.runBulkQueue();
+        }
+    }
+
+    queueSearch(username, options = {}) {
+        if (!this.searchQueue.some(item => item.username.toLowerCase() === username.toLowerCase())) {
+            this.searchQueue.push({ username, options });
+        }
+        this.renderRateLimit();
+        
+        const waitUntil = Math.max(this.rateLimit.reset * 1000, this.rateLimit.retryAfter);
+        const reason = this.t(this.rateLimit.retryAfter > Date.now() ? 'rateLimit.secondary' : 'rateLimit.exceeded');
+        this.showError(waitUntil > Date.now()
+            ? this.t('search.queuedIn', { reason, username, time: this.formatCountdown(waitUntil - Date.now()) })
+            : this.t('search.queuedSoon', { reason, username }));
+    }
+
+    async processSearchQueue() {
+        if (this.processingQueue) return;
+        this.processingQueue = true;
+        
+        // Only drain what was queued before we started, so re-queued searches wait for the next window
+        let pending = this.searchQueue.length;
+        while (pending > 0 && this.searchQueue.length > 0 && this.checkRateLimit()) {
+            const { username, options } = this.searchQueue.shift();
+            pending--;
+            this.renderRateLimit();
+            this.usernameInput.value = username;
+            await this.handleSearch(options);
+        }
+        
+        this.processingQueue = false;
+    }
+
+    checkRateLimit() {
+        if (this.rateLimit.retryAfter > Date.now()) {
+            return false;
+        }
+        
+        if (this.rateLimit.remaining <= 0) {
+            const resetTime = new Date(this.rateLimit.reset * 1000);
+            const now = new Date();
+            if (now < resetTime) {
+                return false;
+            }
+        }
+        return true;
+    }
+
+    animateProfileElements() {
+        const elements = [
+            '.profile-header',
+            '.profile-details',
+            '.profile-actions'
+        ];
+        
+        elements.forEach((selector, index) => {
+            const element = this.root.querySelector(selector);
+            if (element) {
+                setTimeout(() => {
+                    element.style.opacity = '0';
+                    element.style.transform = 'translateY(20px)';
+                    element.style.transition = 'all 0.6s ease-out';
+                    
+                    requestAnimationFrame(() => {
+                        element.style.opacity = '1';
+                        element.style.transform = 'translateY(0)';
+                    });
+                }, index * 200);
+            }
+        });
+    }
+
+    animateRepositoryCards() {
+        const cards = this.root.querySelectorAll('.repo-card');
+        cards.forEach((card, index) => {
+            card.style.opacity = '0';
+            card.style.transform = 'translateY(20px)';
+            card.style.transition = 'all 0.4s ease-out';
+            
+            setTimeout(() => {
+                card.style.opacity = '1';
+                card.style.transform = 'translateY(0)';
+            }, index * 100);
+        });
+    }
+
+    observeElements() {
+        const observer = new IntersectionObserver((entries) => {
+            entries.forEach(entry => {
+                if (entry.isIntersecting) {
+                    entry.target.classList.add('animate-in');
+                }
+            });
+        }, {
+            threshold: 0.1,
+            rootMargin: '0px 0px -50px 0px'
+        });
+
+        // Observe elements for scroll animations
+        const elementsToObserve = this.root.querySelectorAll('.profile-card, .repo-card');
+        elementsToObserve.forEach(el => observer.observe(el));
+    }
+
+    // Utility method to add typing effect
+    addTypingEffect(element, text, speed = 50) {
+        element.textContent = '';
+        let i = 0;
+        
+        const typeWriter = () => {
+            if (i < text.length) {
+                element.textContent += text.charAt(i);
+                i++;
+                setTimeout(typeWriter, speed);
+            }
+        };
+        
+        typeWriter();
+    }
+
+    // Method to add search suggestions dynamically
+    addSearchSuggestions() {
+        const popularUsers = [
+            'torvalds', 'gaearon', 'sindresorhus', 'addyosmani', 
+            'jashkenas', 'substack', 'paulirish', 'mdo'
+        ];
+        
+        const suggestionsContainer = this.root.querySelector('.search-suggestions');
+        const existingSuggestions = suggestionsContainer.querySelectorAll('.suggestion-btn');
+        
+        // Remove existing suggestions except the first 3
+        existingSuggestions.forEach((btn, index) => {
+            if (index >= 3) {
+                btn.remove();
+            }
+        });
+        
+        // Add more suggestions
+        popularUsers.slice(3, 6).forEach(username => {
+            const btn = this.root.createElement('button');
+            btn.className = 'suggestion-btn';
+            btn.setAttribute('data-username', username);
+            btn.textContent = username;
+            btn.addEventListener('click', () => {
+                this.usernameInput.value = username;
+                this.handleSearch();
+            });
+            suggestionsContainer.appendChild(btn);
+        });
+    }
+
+    // Entries failing `isValid` (hand-edited or written by an older version) are dropped
+    readStoredList(key, isValid = () => true) {
+        try {
+            const value = JSON.parse(localStorage.getItem(key));
+            return Array.isArray(value) ? value.filter(isValid) : [];
+        } catch (error) {
+            return [];
+        }
+    }
+
+    // Successful searches move to the front of the history
+    recordSearch(login) {
+        this.searchHistory = [
+            login,
+            ...this.searchHistory.filter(entry => entry.toLowerCase() !== login.toLowerCase())
+        ].slice(0, this.maxHistory);
+        localStorage.setItem(this.historyStorageKey, JSON.stringify(this.searchHistory));
+        this.renderHistory();
+    }
+
+    removeFromHistory(login) {
+        this.searchHistory = this.searchHistory.filter(entry => entry !== login);
+        localStorage.setItem(this.historyStorageKey, JSON.stringify(this.searchHistory));
+        this.renderHistory();
+    }
+
+    clearHistory() {
+        this.searchHistory = [];
+        localStorage.removeItem(this.historyStorageKey);
+        this.renderHistory();
+    }
+
+    renderHistory() {
+        this.searchHistoryBar.classList.toggle('hidden', this.searchHistory.length === 0);
+        this.historyList.innerHTML = this.searchHistory.map(login => html`
+            <span class="history-chip">
+                <button class="suggestion-btn history-btn" data-username="${login}">${login}</button>
+                <button class="history-remove" data-remove="${login}" aria-label="${this.t('search.removeHistory', { login })}">
+                    <i class="fas fa-times"></i>
+                </button>
+            </span>
+        `).join('');
+    }
+
+    isWatched(login) {
+        return this.watchlist.some(entry => entry.login.toLowerCase() === login.toLowerCase());
+    }
+
+    toggleWatch(profile) {
+        if (this.isWatched(profile.login)) {
+            this.unwatch(profile.login);
+        } else {
+            this.watch(profile);
+            this.saveSnapshot(profile.login, this.createSnapshot(profile, this.currentRepos));
+            this.showNotification(`Added ${profile.login} to your watchlist`, 'success');
+        }
+    }
+
+    // Add a profile to the watchlist, or refresh the stats it was last seen with
+    watch(profile) {
+        const existing = this.watchlist.find(entry => entry.login.toLowerCase() === profile.login.toLowerCase());
+        const entry = {
+            login: profile.login,
+            name: profile.name,
+            type: profile.type,
+            avatar_url: profile.avatar_url,
+            followers: profile.followers,
+            following: profile.following,
+            public_repos: profile.public_repos,
+            public_gists: profile.public_gists,
+            addedAt: existing ? existing.addedAt : Date.now(),
+            lastSeen: Date.now(),
+            lastChecked: Date.now(),
+            pendingChanges: 0
+        };
+        
+        this.watchlist = existing
+            ? this.watchlist.map(item => item === existing ? entry : item)
+            : [...this.watchlist, entry];
+        this.saveWatchlist();
+    }
+
+    unwatch(login) {
+        this.watchlist = this.watchlist.filter(entry => entry.login.toLowerCase() !== login.toLowerCase());
+        localStorage.removeItem(this.snapshotPrefix + login.toLowerCase());
+        this.saveWatchlist();
+        if (this.currentProfile && this.currentProfile.login.toLowerCase() === login.toLowerCase()) {
+            this.changeSummary.classList.add('hidden');
+        }
+    }
+
+    saveWatchlist() {
+        localStorage.setItem(this.watchlistStorageKey, JSON.stringify(this.watchlist));
+        this.renderWatchlist();
+        this.renderWatchButton();
+    }
+
+    renderWatchButton() {
+        const watched = !!this.currentProfile && this.isWatched(this.currentProfile.login);
+        this.watchBtn.classList.toggle('watching', watched);
+        this.watchBtn.innerHTML = watched
+            ? html`<i class="fas fa-star"></i> ${this.t('profile.watching')}`
+            : html`<i class="far fa-star"></i> ${this.t('profile.watch')}`;
+    }
+
+    openWatchlist() {
+        this.importStatus.textContent = '';
+        this.watchlistPanel.classList.remove('hidden');
+        this.closeWatchlistBtn.focus();
+    }
+
+    closeWatchlist() {
+        this.watchlistPanel.classList.add('hidden');
+    }
+
+    renderWatchlist() {
+        const changed = this.watchlist.filter(entry => entry.pendingChanges > 0).length;
+        this.watchlistExport.classList.toggle('hidden', this.watchlist.length === 0);
+        this.watchlistBadge.textContent = changed;
+        this.watchlistBadge.classList.toggle('hidden', changed === 0);
+        this.watchlistBtn.setAttribute('aria-label', changed > 0
+            ? this.t('watchlist.openChanged', { count: changed })
+            : this.t('header.openWatchlist'));
+        
+        if (this.watchlist.length === 0) {
+            this.watchlistList.innerHTML = html`<p class="chart-empty">${this.t('watchlist.empty')}</p>`;
+            return;
+        }
+        
+        this.watchlistList.innerHTML = this.watchlist.map(entry => html`
+            <div class="watchlist-item">
+                <button class="watchlist-open" data-username="${entry.login}">
+                    <img src="${safeUrl(entry.avatar_url)}" alt="${this.t('network.avatarAlt', { login: entry.login })}" loading="lazy">
+                    <span class="watchlist-name">
+                        <strong>${entry.name || entry.login}</strong>
+                        <small>${this.t('watchlist.lastSeen', { login: entry.login, time: this.formatTimeAgo(entry.lastSeen) })}</small>
+                    </span>
+                    ${entry.pendingChanges > 0 ? html`<span class="change-count">${this.t('watchlist.newChanges', { count: entry.pendingChanges })}</span>` : ''}
+                    <span class="watchlist-stats">
+                        <span title="${this.t('profile.followers')}"><i class="fas fa-users"></i> ${this.formatNumber(entry.followers)}</span>
+                        <span title="${this.t('watchlist.publicRepos')}"><i class="fas fa-book"></i> ${this.formatNumber(entry.public_repos)}</span>
+                    </span>
+                </button>
+                <button class="history-remove" data-unwatch="${entry.login}" aria-label="${this.t('watchlist.unwatch', { login: entry.login })}">
+                    <i class="fas fa-times"></i>
+                </button>
+            </div>
+        `).join('');
+    }
+
+    // Only the fields worth diffing are kept, with repos reduced to name => stars
+    createSnapshot(profile, repos) {
+        return {
+            takenAt: Date.now(),
+            profile: {
+                name: profile.name,
+                bio: profile.bio,
+                company: profile.company,
+                location: profile.location,
+                blog: profile.blog,
+                followers: profile.followers,
+                following: profile.following,
+                public_repos: profile.public_repos
+            },
+            repos: Object.fromEntries(repos.map(repo => [repo.name, repo.stargazers_count]))
+        };
+    }
+
+    getSnapshots(login) {
+        return this.readStoredList(this.snapshotPrefix + login.toLowerCase());
+    }
+
+    saveSnapshot(login, snapshot) {
+        this.writeSnapshots(login, [...this.getSnapshots(login), snapshot].slice(-this.maxSnapshots));
+    }
+
+    // A look that found nothing new moves the latest snapshot forward instead of adding a copy
+    refreshSnapshot(login) {
+        const snapshots = this.getSnapshots(login);
+        if (snapshots.length === 0) return;
+        
+        snapshots[snapshots.length - 1].takenAt = Date.now();
+        this.writeSnapshots(login, snapshots);
+    }
+
+    writeSnapshots(login, snapshots) {
+        try {
+            localStorage.setItem(this.snapshotPrefix + login.toLowerCase(), JSON.stringify(snapshots));
+            this.snapshotStorageFull = false;
+        } catch (error) {
+            // Storage is full: say so once rather than on every look at a watched profile
+            if (!this.snapshotStorageFull) {
+                this.snapshotStorageFull = true;
+                this.showNotification(this.t('watchlist.storageFull'), 'warning');
+            }
+        }
+    }
+
+    // Compare two snapshots; repo changes are skipped when either side has no repo data
+    diffSnapshots(previous, current) {
+        const changes = [];
+        const before = previous.profile;
+        const after = current.profile;
+        
+        if (after.followers !== before.followers) {
+            changes.push({ type: 'followers', icon: 'fa-users', before: before.followers, after: after.followers });
+        }
+        
+        ['name', 'bio', 'company', 'location', 'blog'].forEach(field => {
+            if ((before[field] || '') !== (after[field] || '')) {
+                changes.push({ type: 'field', icon: 'fa-pen', field, before: before[field], after: after[field] });
+            }
+        });
+        
+        if (Object.keys(previous.repos).length === 0 || Object.keys(current.repos).length === 0) {
+            return changes;
+        }
+        
+        const newRepos = Object.keys(current.repos).filter(name => !(name in previous.repos));
+        if (newRepos.length > 0) {
+            changes.push({ type: 'repos', icon: 'fa-book', names: newRepos });
+        }
+        
+        const starred = Object.keys(current.repos)
+            .filter(name => name in previous.repos && current.repos[name] > previous.repos[name])
+            .map(name => ({ name, delta: current.repos[name] - previous.repos[name] }))
+            .sort((a, b) => b.delta - a.delta);
+        if (starred.length > 0) {
+            changes.push({ type: 'stars', icon: 'fa-star', repos: starred });
+        }
+        
+        return changes;
+    }
+
+    // Changes are kept as data and only worded when shown, so they follow the current language
+    describeChange(change) {
+        const list = items => items.length > 5
+            ? this.t('changes.andMore', { items: items.slice(0, 5).join(', '), count: items.length - 5 })
+            : items.join(', ');
+        
+        switch (change.type) {
+            case 'followers':
+                return this.t(change.after > change.before ? 'changes.followersGained' : 'changes.followersLost', {
+                    count: Math.abs(change.after - change.before),
+                    before: change.before,
+                    after: change.after
+                });
+            case 'field': {
+                const field = this.t(`changes.field.${change.field}`);
+                if (!change.after) return this.t('changes.fieldRemoved', { field, before: change.before });
+                return this.t(change.before ? 'changes.fieldChangedFrom' : 'changes.fieldChanged', { field, before: change.before, after: change.after });
+            }
+            case 'repos':
+                return this.t('changes.newRepos', { count: change.names.length, names: list(change.names) });
+            default:
+                return this.t('changes.newStars', {
+                    repos: list(change.repos.map(repo => this.t('changes.repoStars', { name: repo.name, count: repo.delta })))
+                });
+        }
+    }
+
+    // Diff a watched profile against its last snapshot, then record the new state
+    trackChanges(profile, repos) {
+        const snapshots = this.getSnapshots(profile.login);
+        const previous = snapshots[snapshots.length - 1];
+        const current = this.createSnapshot(profile, repos);
+        const changes = previous ? this.diffSnapshots(previous, current) : [];
+        // Background checks store no repos, so the first full look after one fills them in
+        const missingRepos = previous && Object.keys(previous.repos).length === 0 && repos.length > 0;
+        
+        if (!previous || changes.length > 0 || missingRepos) {
+            this.saveSnapshot(profile.login, current);
+        } else {
+            this.refreshSnapshot(profile.login);
+        }
+        
+        this.watch(profile);
+        this.renderChangeSummary(changes, previous, this.getSnapshots(profile.login));
+    }
+
+    renderChangeSummary(changes, previous, snapshots) {
+        this.changeSummaryState = { changes, previous };
+        if (!previous) {
+            this.changeSummary.classList.add('hidden');
+            return;
+        }
+        
+        this.changeSummary.innerHTML = html`
+            <div class="change-header">
+                <i class="fas fa-bell"></i>
+                <strong>${this.t(changes.length > 0 ? 'changes.title' : 'changes.none')}</strong>
+                <span>${this.t('changes.since', { time: this.formatTimeAgo(previous.takenAt) })}</span>
+                <button class="toolbar-btn" data-dismiss-changes aria-label="${this.t('changes.dismiss')}">
+                    <i class="fas fa-times"></i>
+                </button>
+            </div>
+            ${changes.length > 0 ? html`
+                <ul class="change-list">
+                    ${changes.map(change => html`<li><i class="fas ${change.icon}"></i> ${this.describeChange(change)}</li>`)}
+                </ul>
+            ` : ''}
+            <details class="snapshot-history">
+                <summary>${this.t('changes.history', { count: snapshots.length })}</summary>
+                <table>
+                    <thead>
+                        <tr><th>${this.t('changes.taken')}</th><th>${this.t('profile.followers')}</th><th>${this.t('profile.following')}</th><th>${this.t('profile.repositories')}</th></tr>
+                    </thead>
+                    <tbody>
+                        ${snapshots.slice().reverse().map(snapshot => html`
+                            <tr>
+                                <td>${this.i18n.formatDateTime(snapshot.takenAt, { dateStyle: 'medium', timeStyle: 'short' })}</td>
+                                <td>${this.i18n.formatNumber(snapshot.profile.followers)}</td>
+                                <td>${this.i18n.formatNumber(snapshot.profile.following)}</td>
+                                <td>${this.i18n.formatNumber(snapshot.profile.public_repos)}</td>
+                            </tr>
+                        `)}
+                    </tbody>
+                </table>
+            </details>
+        `;
+        this.changeSummary.classList.toggle('has-changes', changes.length > 0);
+        this.changeSummary.classList.remove('hidden');
+    }
+
+    // Cheaply check watched profiles (profile only, no repos) and flag the ones that changed
+    async checkWatchlist() {
+        const due = this.watchlist.filter(entry => Date.now() - (entry.lastChecked || 0) > this.watchlistCheckInterval);
+        
+        for (const entry of due) {
+            // Leave headroom so the user's own searches aren't starved
+            if (this.rateLimit.remaining <= 10) break;
+            
+            const snapshots = this.getSnapshots(entry.login);
+            const previous = snapshots[snapshots.length - 1];
+            const response = await this.api.request(`/users/${encodeURIComponent(entry.login)}`).catch(() => null);
+            // Failed lookups count as checks too, or a deleted profile would be fetched on every load
+            entry.lastChecked = Date.now();
+            if (!response || !response.ok) continue;
+            
+            const current = this.createSnapshot(response.data, []);
+            if (!previous) {
+                // Nothing to compare against yet, so this becomes the baseline
+                this.saveSnapshot(entry.login, current);
+                continue;
+            }
+            
+            entry.pendingChanges = this.diffSnapshots(previous, current).length;
+            if (entry.pendingChanges === 0) {
+                this.refreshSnapshot(entry.login);
+            }
+        }
+        
+        if (due.length > 0) {
+            localStorage.setItem(this.watchlistStorageKey, JSON.stringify(this.watchlist));
+            this.renderWatchlist();
+        }
+    }
+
+    formatTimeAgo(timestamp) {
+        return this.i18n.formatRelative(timestamp);
+    }
+
+    // Download history and watchlist as a JSON backup
+    exportUserData() {
+        const data = {
+            version: 1,
+            exportedAt: new Date().toISOString(),
+            history: this.searchHistory,
+            watchlist: this.watchlist,
+            snapshots: Object.fromEntries(this.watchlist.map(entry => [entry.login, this.getSnapshots(entry.login)]))
+        };
+        this.downloadFile(`github-profile-search-${this.exportDate()}.json`, JSON.stringify(data, null, 2), 'application/json');
+    }
+
+    // Merge a JSON backup into the current history and watchlist
+    async importUserData(file) {
+        let data;
+        try {
+            data = JSON.parse(await file.text());
+        } catch (error) {
+            this.importStatus.textContent = this.t('import.invalidJson');
+            return;
+        }
+        
+        const history = Array.isArray(data && data.history)
+            ? data.history.filter(login => typeof login === 'string')
+            : [];
+        const watchlist = Array.isArray(data && data.watchlist)
+            ? data.watchlist.map(entry => this.normalizeWatchEntry(entry)).filter(Boolean)
+            : [];
+        
+        if (history.length === 0 && watchlist.length === 0) {
+            this.importStatus.textContent = this.t('import.empty');
+            return;
+        }
+        
+        const knownHistory = new Set(this.searchHistory.map(login => login.toLowerCase()));
+        const newHistory = history.filter(login => !knownHistory.has(login.toLowerCase()));
+        this.searchHistory = [...this.searchHistory, ...newHistory].slice(0, this.maxHistory);
+        localStorage.setItem(this.historyStorageKey, JSON.stringify(this.searchHistory));
+        this.renderHistory();
         
-        // GitHub link
-        this.githubLink.href = profile.html_url;
+        // Keep whichever copy of a watched profile was seen most recently
+        let added = 0;
+        watchlist.forEach(entry => {
+            const existing = this.watchlist.find(item => item.login.toLowerCase() === entry.login.toLowerCase());
+            if (!existing) {
+                this.watchlist.push(entry);
+                added++;
+                
+                const stored = data.snapshots && data.snapshots[entry.login];
+                const snapshots = Array.isArray(stored)
+                    ? stored.map(snapshot => this.normalizeSnapshot(snapshot)).filter(Boolean)
+                    : [];
+                if (snapshots.length > 0) {
+                    localStorage.setItem(this.snapshotPrefix + entry.login.toLowerCase(), JSON.stringify(snapshots.slice(-this.maxSnapshots)));
+                }
+            } else if ((entry.lastSeen || 0) > (existing.lastSeen || 0)) {
+                this.watchlist[this.watchlist.indexOf(existing)] = entry;
+            }
+        });
+        this.saveWatchlist();
         
-        // Store repos for later display
-        this.currentRepos = repos;
+        this.importStatus.textContent = this.t('import.done', {
+            history: this.t('import.historyCount', { count: newHistory.length }),
+            watched: this.t('import.watchedCount', { count: added })
+        });
+    }
+
+    // Rebuild an imported watchlist entry from the fields watch() stores, or null if it can't be used
+    normalizeWatchEntry(entry) {
+        if (!entry || typeof entry.login !== 'string' || !this.isValidUsername(entry.login)) return null;
         
-        // Show profile with animation
-        this.showProfile();
+        const text = value => typeof value === 'string' ? value : null;
+        const count = value => Number.isInteger(value) && value >= 0 ? value : 0;
+        const time = (value, fallback) => Number.isFinite(value) ? value : fallback;
+        const addedAt = time(entry.addedAt, Date.now());
         
-        // Add entrance animations
-        this.animateProfileElements();
+        return {
+            login: entry.login,
+            name: text(entry.name),
+            type: entry.type === 'Organization' ? 'Organization' : 'User',
+            avatar_url: text(entry.avatar_url) || `https://github.com/${entry.login}.png`,
+            followers: count(entry.followers),
+            following: count(entry.following),
+            public_repos: count(entry.public_repos),
+            public_gists: count(entry.public_gists),
+            addedAt,
+            lastSeen: time(entry.lastSeen, addedAt),
+            // Never checked, so the next watchlist check picks it up
+            lastChecked: time(entry.lastChecked, 0),
+            pendingChanges: count(entry.pendingChanges)
+        };
     }
 
-    displayRepositories(repos) {
-        if (!repos || repos.length === 0) {
-            this.reposList.innerHTML = '<p class="no-repos">No repositories found</p>';
-            return;
-        }
+    // Rebuild an imported snapshot in the shape createSnapshot() makes, or null if it doesn't fit
+    normalizeSnapshot(snapshot) {
+        const isObject = value => !!value && typeof value === 'object' && !Array.isArray(value);
+        const isCount = value => Number.isInteger(value) && value >= 0;
         
-        this.reposList.innerHTML = repos.map(repo => `
-            <div class="repo-card">
-                <div class="repo-header">
-                    <a href="${repo.html_url}" target="_blank" class="repo-name">
-                        ${repo.name}
-                    </a>
-                    <span class="repo-visibility ${repo.private ? 'private' : 'public'}">
-                        ${repo.private ? 'Private' : 'Public'}
-                    </span>
-                </div>
-                <p class="repo-description">${repo.description || 'No description available'}</p>
-                <div class="repo-stats">
-                    <div class="repo-stat">
-                        <i class="fas fa-star"></i>
-                        <span>${this.formatNumber(repo.stargazers_count)}</span>
-                    </div>
-                    <div class="repo-stat">
-                        <i class="fas fa-code-branch"></i>
-                        <span>${this.formatNumber(repo.forks_count)}</span>
-                    </div>
-                    <div class="repo-stat">
-                        <i class="fas fa-circle"></i>
-                        <span>${repo.language || 'No language'}</span>
-                    </div>
-                </div>
-            </div>
-        `).join('');
+        if (!isObject(snapshot) || !Number.isFinite(snapshot.takenAt)) return null;
+        if (!isObject(snapshot.profile) || !isObject(snapshot.repos)) return null;
         
-        // Animate repository cards
-        this.animateRepositoryCards();
+        const profile = snapshot.profile;
+        if (!['followers', 'following', 'public_repos'].every(field => isCount(profile[field]))) return null;
+        if (!Object.values(snapshot.repos).every(isCount)) return null;
+        
+        const text = value => typeof value === 'string' ? value : null;
+        return {
+            takenAt: snapshot.takenAt,
+            profile: {
+                name: text(profile.name),
+                bio: text(profile.bio),
+                company: text(profile.company),
+                location: text(profile.location),
+                blog: text(profile.blog),
+                followers: profile.followers,
+                following: profile.following,
+                public_repos: profile.public_repos
+            },
+            repos: { ...snapshot.repos }
+        };
     }
 
-    toggleRepositories() {
-        if (this.reposSection.style.display === 'none' || !this.reposSection.style.display) {
-            this.displayRepositories(this.currentRepos);
-            this.reposSection.style.display = 'block';
-            this.viewReposBtn.innerHTML = '<i class="fas fa-eye-slash"></i> Hide Repositories';
-        } else {
-            this.reposSection.style.display = 'none';
-            this.viewReposBtn.innerHTML = '<i class="fas fa-folder-open"></i> View Repositories';
+    toggleExportMenu(open = this.exportMenu.classList.contains('hidden')) {
+        this.exportMenu.classList.toggle('hidden', !open);
+        this.exportMenuBtn.setAttribute('aria-expanded', open);
+    }
+
+    // Download the current profile with its full repository list
+    exportProfile(format) {
+        const profile = this.currentProfile;
+        if (!profile) return;
+        
+        const filename = `${profile.login}-${this.exportDate()}`;
+        
+        if (format === 'json') {
+            const data = { exportedAt: new Date().toISOString(), profile, repositories: this.currentRepos };
+            this.downloadFile(`${filename}.json`, JSON.stringify(data, null, 2), 'application/json');
+        } else if (format === 'csv') {
+            this.downloadFile(`${filename}-repositories.csv`, this.toCSV(this.repoExportColumns(), this.currentRepos), 'text/csv');
+        } else if (format === 'markdown') {
+            this.downloadFile(`${filename}.md`, this.profileToMarkdown(profile, this.currentRepos), 'text/markdown');
         }
     }
 
-    showLoading() {
-        this.loadingSpinner.classList.add('show');
-        this.searchBtn.disabled = true;
-        this.searchBtn.innerHTML = '<i class="fas fa-spinner fa-spin"></i> Searching...';
+    // Download every profile in the comparison or the watchlist
+    exportProfileSet(set, format) {
+        const isCompare = set === 'compare';
+        const rows = isCompare
+            ? this.compareEntries.map(({ profile, stats }) => ({
+                ...profile,
+                total_stars: stats.totalStars,
+                total_forks: stats.totalForks,
+                top_language: stats.languages.length > 0 ? stats.languages[0].language : ''
+            }))
+            : this.watchlist.map(entry => ({ ...entry, last_seen: new Date(entry.lastSeen).toISOString() }));
+        if (rows.length === 0) return;
+        
+        const columns = [
+            { label: 'login', value: row => row.login },
+            { label: 'name', value: row => row.name },
+            { label: 'type', value: row => row.type },
+            { label: 'followers', value: row => row.followers },
+            { label: 'following', value: row => row.following },
+            { label: 'public_repos', value: row => row.public_repos },
+            ...(isCompare ? [
+                { label: 'total_stars', value: row => row.total_stars },
+                { label: 'total_forks', value: row => row.total_forks },
+                { label: 'top_language', value: row => row.top_language },
+                { label: 'created_at', value: row => row.created_at }
+            ] : [
+                { label: 'last_seen', value: row => row.last_seen }
+            ])
+        ];
+        const filename = `${isCompare ? 'comparison' : 'watchlist'}-${this.exportDate()}`;
+        
+        if (format === 'json') {
+            const data = isCompare
+                ? this.compareEntries.map(({ profile, stats, repos }) => ({ profile, stats, repositories: repos }))
+                : this.watchlist;
+            this.downloadFile(`${filename}.json`, JSON.stringify({ exportedAt: new Date().toISOString(), profiles: data }, null, 2), 'application/json');
+        } else if (format === 'csv') {
+            this.downloadFile(`${filename}.csv`, this.toCSV(columns, rows), 'text/csv');
+        } else if (format === 'markdown') {
+            const title = isCompare ? 'GitHub profile comparison' : 'GitHub watchlist';
+            this.downloadFile(`${filename}.md`, `# ${title}\n\n${this.toMarkdownTable(columns, rows)}\n`, 'text/markdown');
+        }
     }
 
-    hideLoading() {
-        this.loadingSpinner.classList.remove('show');
-        this.searchBtn.disabled = false;
-        this.searchBtn.innerHTML = '<span class="btn-text">Search</span><i class="fas fa-arrow-right btn-icon"></i>';
+    repoExportColumns() {
+        return [
+            { label: 'name', value: repo => repo.name },
+            { label: 'full_name', value: repo => repo.full_name },
+            { label: 'description', value: repo => repo.description },
+            { label: 'language', value: repo => repo.language },
+            { label: 'stars', value: repo => repo.stargazers_count },
+            { label: 'forks', value: repo => repo.forks_count },
+            { label: 'open_issues', value: repo => repo.open_issues_count },
+            { label: 'fork', value: repo => repo.fork },
+            { label: 'archived', value: repo => repo.archived },
+            { label: 'created_at', value: repo => repo.created_at },
+            { label: 'updated_at', value: repo => repo.updated_at },
+            { label: 'pushed_at', value: repo => repo.pushed_at },
+            { label: 'url', value: repo => repo.html_url }
+        ];
     }
 
-    showError(message) {
-        this.errorText.textContent = message;
-        this.errorMessage.classList.add('show');
-        this.errorMessage.scrollIntoView({ behavior: 'smooth', block: 'center' });
+    profileToMarkdown(profile, repos) {
+        const stats = this.summarizeRepositories(repos);
+        const topRepos = repos
+            .filter(repo => !repo.fork)
+            .sort((a, b) => b.stargazers_count - a.stargazers_count)
+            .slice(0, 10);
+        // The summary is written in English whatever the interface language
+        const details = [
+            ['Followers', profile.followers.toLocaleString('en-US')],
+            ['Following', profile.following.toLocaleString('en-US')],
+            ['Public repositories', profile.public_repos.toLocaleString('en-US')],
+            ['Total stars', stats.totalStars.toLocaleString('en-US')],
+            ['Location', profile.location],
+            [profile.type === 'Organization' ? 'Email' : 'Company', profile.type === 'Organization' ? profile.email : profile.company],
+            ['Website', profile.blog],
+            ['Joined', profile.created_at && new Date(profile.created_at).toLocaleDateString('en-US', { year: 'numeric', month: 'long', timeZone: 'UTC' })],
+            ['Profile', `${this.api.webUrl}/${profile.login}`]
+        ].filter(([, value]) => value);
+        
+        const lines = [
+            `# ${profile.name || profile.login} (@${profile.login})`,
+            '',
+            ...(profile.bio ? [`> ${profile.bio.replace(/\s*\n\s*/g, ' ')}`, ''] : []),
+            this.toMarkdownTable(
+                [{ label: 'Stat', value: row => row[0] }, { label: 'Value', value: row => row[1] }],
+                details
+            ),
+            ''
+        ];
+        
+        if (topRepos.length > 0) {
+            lines.push('## Top repositories', '', this.toMarkdownTable([
+                { label: 'Repository', value: repo => `[${repo.name}](${repo.html_url})` },
+                { label: 'Description', value: repo => repo.description },
+                { label: 'Language', value: repo => repo.language },
+                { label: 'Stars', value: repo => repo.stargazers_count },
+                { label: 'Forks', value: repo => repo.forks_count },
+                { label: 'Updated', value: repo => repo.updated_at.slice(0, 10) }
+            ], topRepos), '');
+        }
+        
+        if (stats.languages.length > 0) {
+            lines.push('## Languages', '', ...stats.languages.map(({ language, count }) =>
+                `- ${language}: ${count} repositor${count === 1 ? 'y' : 'ies'}`
+            ), '');
+        }
+        
+        return lines.join('\n');
     }
 
-    hideError() {
-        this.errorMessage.classList.remove('show');
+    // RFC 4180 quoting; cells starting with a formula character are prefixed so spreadsheets show them as text
+    toCSV(columns, rows) {
+        const cell = (value) => {
+            let text = value === null || value === undefined ? '' : String(value);
+            if (/^[=+\-@]/.test(text)) {
+                text = `'${text}`;
+            }
+            return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+        };
+        
+        return [
+            columns.map(column => cell(column.label)).join(','),
+            ...rows.map(row => columns.map(column => cell(column.value(row))).join(','))
+        ].join('\r\n');
     }
 
-    showProfile() {
-        this.profileSection.classList.add('show');
-        this.profileSection.scrollIntoView({ behavior: 'smooth', block: 'start' });
+    toMarkdownTable(columns, rows) {
+        const cell = (value) => value === null || value === undefined
+            ? ''
+            : String(value).replace(/\|/g, '\\|').replace(/\s*\n\s*/g, ' ');
+        
+        return [
+            `| ${columns.map(column => column.label).join(' | ')} |`,
+            `| ${columns.map(() => '---').join(' | ')} |`,
+            ...rows.map(row => `| ${columns.map(column => cell(column.value(row))).join(' | ')} |`)
+        ].join('\n');
     }
 
-    hideProfile() {
-        this.profileSection.classList.remove('show');
+    exportDate() {
+        return new Date().toISOString().slice(0, 10);
     }
 
-    handleError(error) {
-        console.error('Error:', error);
-        this.showError(error.message);
+    downloadFile(filename, content, type) {
+        const blob = new Blob([content], { type: `${type};charset=utf-8` });
+        const link = this.root.createElement('a');
+        
+        link.href = URL.createObjectURL(blob);
+        link.download = filename;
+        // Firefox ignores clicks on detached links, and revoking straight away can cancel the download
+        this.root.body.appendChild(link);
+        link.click();
+        link.remove();
+        setTimeout(() => URL.revokeObjectURL(link.href));
     }
 
-    formatNumber(num) {
-        if (num >= 1000000) {
-            return (num / 1000000).toFixed(1) + 'M';
-        } else if (num >= 1000) {
-            return (num / 1000).toFixed(1) + 'K';
-        }
-        return num.toString();
+    openSettings() {
+        this.tokenInput.value = this.token || '';
+        this.rememberTokenToggle.checked = !!localStorage.getItem(this.tokenStorageKey);
+        this.graphqlToggle.checked = this.graphqlEnabled;
+        this.renderTokenStatus();
+        this.apiBaseInput.value = this.api.isEnterprise ? this.api.baseUrl : '';
+        this.renderApiBaseStatus();
+        this.settingsPanel.classList.remove('hidden');
+        this.tokenInput.focus();
     }
 
-    formatJoinDate(dateString) {
-        const date = new Date(dateString);
-        return `Joined ${date.toLocaleDateString('en-US', { 
-            year: 'numeric', 
-            month: 'long' 
-        })}`;
+    closeSettings() {
+        this.settingsPanel.classList.add('hidden');
+        this.tokenInput.type = 'password';
     }
 
-    updateRateLimit(headers) {
-        this.rateLimit.remaining = parseInt(headers.get('X-RateLimit-Remaining') || '0');
-        this.rateLimit.reset = parseInt(headers.get('X-RateLimit-Reset') || '0');
+    // Check a token against /user and record who it belongs to and what it can do
+    async validateToken(token) {
+        const { user, scopes } = await this.api.validateToken(token);
+        
+        this.tokenInfo = {
+            login: user.login,
+            scopes,
+            limit: this.rateLimit.limit
+        };
+        this.renderTokenStatus();
+        
+        return this.tokenInfo;
     }
 
-    checkRateLimit() {
-        if (this.rateLimit.remaining <= 0) {
-            const resetTime = new Date(this.rateLimit.reset * 1000);
-            const now = new Date();
-            if (now < resetTime) {
-                return false;
-            }
+    async saveToken() {
+        const token = this.tokenInput.value.trim();
+        
+        if (!token) {
+            this.renderTokenStatus(this.t('settings.tokenMissing'));
+            return;
+        }
+        
+        this.saveTokenBtn.disabled = true;
+        this.tokenStatus.className = 'token-status';
+        this.tokenStatus.innerHTML = html`<i class="fas fa-spinner fa-spin"></i> ${this.t('settings.validating')}`;
+        
+        try {
+            await this.validateToken(token);
+            this.storeToken(token, this.rememberTokenToggle.checked);
+            this.fetchRateLimitStatus();
+            this.showNotification(this.t('settings.authenticated', { login: this.tokenInfo.login }), 'success');
+        } catch (error) {
+            this.renderTokenStatus(this.describeError(error));
+        } finally {
+            this.saveTokenBtn.disabled = false;
         }
-        return true;
     }
 
-    animateProfileElements() {
-        const elements = [
-            '.profile-header',
-            '.profile-details',
-            '.profile-actions'
-        ];
+    storeToken(token, remember) {
+        sessionStorage.removeItem(this.tokenStorageKey);
+        localStorage.removeItem(this.tokenStorageKey);
         
-        elements.forEach((selector, index) => {
-            const element = document.querySelector(selector);
-            if (element) {
-                setTimeout(() => {
-                    element.style.opacity = '0';
-                    element.style.transform = 'translateY(20px)';
-                    element.style.transition = 'all 0.6s ease-out';
-                    
-                    requestAnimationFrame(() => {
-                        element.style.opacity = '1';
-                        element.style.transform = 'translateY(0)';
-                    });
-                }, index * 200);
-            }
-        });
+        if (token) {
+            (remember ? localStorage : sessionStorage).setItem(this.tokenStorageKey, token);
+        }
+        
+        // Cached responses may contain data only the previous credentials could see
+        if (token !== this.token) {
+            this.api.clearCache();
+        }
+        this.token = token;
+        this.api.token = token;
     }
 
-    animateRepositoryCards() {
-        const cards = document.querySelectorAll('.repo-card');
-        cards.forEach((card, index) => {
-            card.style.opacity = '0';
-            card.style.transform = 'translateY(20px)';
-            card.style.transition = 'all 0.4s ease-out';
-            
-            setTimeout(() => {
-                card.style.opacity = '1';
-                card.style.transform = 'translateY(0)';
-            }, index * 100);
-        });
+    clearToken() {
+        this.storeToken(null, false);
+        this.tokenInfo = null;
+        this.viewerFollowers = null;
+        this.rateLimit.limit = 60;
+        this.tokenInput.value = '';
+        this.renderTokenStatus();
+        this.fetchRateLimitStatus();
+        this.showNotification(this.t('settings.tokenRemoved'), 'info');
     }
 
-    observeElements() {
-        const observer = new IntersectionObserver((entries) => {
-            entries.forEach(entry => {
-                if (entry.isIntersecting) {
-                    entry.target.classList.add('animate-in');
-                }
-            });
-        }, {
-            threshold: 0.1,
-            rootMargin: '0px 0px -50px 0px'
-        });
-
-        // Observe elements for scroll animations
-        const elementsToObserve = document.querySelectorAll('.profile-card, .repo-card');
-        elementsToObserve.forEach(el => observer.observe(el));
+    renderTokenStatus(errorMessage) {
+        this.settingsBtn.classList.toggle('authenticated', !!this.tokenInfo);
+        
+        if (errorMessage) {
+            this.tokenStatus.className = 'token-status error';
+            this.tokenStatus.innerHTML = html`<i class="fas fa-exclamation-triangle"></i> <span>${errorMessage}</span>`;
+            return;
+        }
+        
+        if (!this.tokenInfo) {
+            this.tokenStatus.className = 'token-status';
+            this.tokenStatus.innerHTML = html`<i class="fas fa-info-circle"></i> ${this.t('settings.noToken')}`;
+            return;
+        }
+        
+        const { login, scopes, limit } = this.tokenInfo;
+        const scopeText = scopes === null
+            ? this.t('settings.fineGrained')
+            : scopes.length > 0 ? scopes.join(', ') : this.t('settings.noScopes');
+        
+        this.tokenStatus.className = 'token-status success';
+        this.tokenStatus.innerHTML = html`
+            <div><i class="fas fa-check-circle"></i> ${this.tHTML('settings.authenticated', { login: html`<strong>@${login}</strong>` })}</div>
+            <div class="token-meta"><label>${this.t('settings.scopes')}</label><span class="token-scopes">${scopeText}</span></div>
+            <div class="token-meta"><label>${this.t('settings.rateLimit')}</label><span>${this.t('settings.requestsPerHour', { count: limit })}</span></div>
+        `;
     }
 
-    // Utility method to add typing effect
-    addTypingEffect(element, text, speed = 50) {
-        element.textContent = '';
-        let i = 0;
+    // Check that the URL answers like a GitHub API before switching to it
+    async saveApiBase() {
+        let baseUrl;
+        try {
+            baseUrl = GitHubApiClient.normalizeBaseUrl(this.apiBaseInput.value);
+        } catch (error) {
+            this.renderApiBaseStatus(this.t('settings.invalidUrl'));
+            return;
+        }
         
-        const typeWriter = () => {
-            if (i < text.length) {
-                element.textContent += text.charAt(i);
-                i++;
-                setTimeout(typeWriter, speed);
-            }
-        };
+        if (baseUrl === this.api.baseUrl) {
+            this.renderApiBaseStatus();
+            return;
+        }
         
-        typeWriter();
+        this.saveApiBaseBtn.disabled = true;
+        this.apiBaseStatus.className = 'token-status';
+        this.apiBaseStatus.innerHTML = html`<i class="fas fa-spinner fa-spin"></i> ${this.t('settings.connecting')}`;
+        
+        try {
+            await new GitHubApiClient({ baseUrl, fetch: this.api.fetch }).checkServer();
+            this.switchApiBase(baseUrl);
+        } catch (error) {
+            this.renderApiBaseStatus(error instanceof GitHubApiError
+                ? this.describeError(error)
+                : this.t('settings.unreachable', { url: baseUrl }));
+        } finally {
+            this.saveApiBaseBtn.disabled = false;
+        }
     }
 
-    // Method to add search suggestions dynamically
-    addSearchSuggestions() {
-        const popularUsers = [
-            'torvalds', 'gaearon', 'sindresorhus', 'addyosmani', 
-            'jashkenas', 'substack', 'paulirish', 'mdo'
-        ];
+    switchApiBase(baseUrl) {
+        if (baseUrl === this.api.baseUrl) return;
         
-        const suggestionsContainer = document.querySelector('.search-suggestions');
-        const existingSuggestions = suggestionsContainer.querySelectorAll('.suggestion-btn');
+        if (baseUrl === GitHubApiClient.defaultBaseUrl) {
+            localStorage.removeItem(this.apiBaseStorageKey);
+        } else {
+            localStorage.setItem(this.apiBaseStorageKey, baseUrl);
+        }
         
-        // Remove existing suggestions except the first 3
-        existingSuggestions.forEach((btn, index) => {
-            if (index >= 3) {
-                btn.remove();
-            }
-        });
+        // A token is only valid on the server that issued it
+        if (this.token) {
+            this.storeToken(null, false);
+            this.tokenInfo = null;
+            this.tokenInput.value = '';
+            this.renderTokenStatus();
+        }
         
-        // Add more suggestions
-        popularUsers.slice(3, 6).forEach(username => {
-            const btn = document.createElement('button');
-            btn.className = 'suggestion-btn';
-            btn.setAttribute('data-username', username);
-            btn.textContent = username;
-            btn.addEventListener('click', () => {
-                this.usernameInput.value = username;
-                this.handleSearch();
-            });
-            suggestionsContainer.appendChild(btn);
-        });
+        this.api.setBaseUrl(baseUrl);
+        this.rateLimit.limit = 60;
+        this.rateLimit.retryAfter = 0;
+        this.fetchRateLimitStatus();
+        
+        this.apiBaseInput.value = this.api.isEnterprise ? baseUrl : '';
+        this.renderApiBaseStatus();
+        this.showNotification(this.t('settings.nowUsing', { host: new URL(this.api.webUrl).host }), 'success');
+    }
+
+    renderApiBaseStatus(errorMessage) {
+        if (errorMessage) {
+            this.apiBaseStatus.className = 'token-status error';
+            this.apiBaseStatus.innerHTML = html`<i class="fas fa-exclamation-triangle"></i> <span>${errorMessage}</span>`;
+            return;
+        }
+        
+        this.apiBaseStatus.className = 'token-status';
+        this.apiBaseStatus.innerHTML = this.api.isEnterprise
+            ? html`<i class="fas fa-server"></i> ${this.tHTML('settings.enterprise', { url: html`<strong>${this.api.baseUrl}</strong>` })}`
+            : html`<i class="fas fa-info-circle"></i> ${this.t('settings.usingGitHub')}`;
     }
 
     // Method to add keyboard shortcuts
     addKeyboardShortcuts() {
-        document.addEventListener('keydown', (e) => {
+        this.root.addEventListener('keydown', (e) => {
             // Ctrl/Cmd + K to focus search
             if ((e.ctrlKey || e.metaKey) && e.key === 'k') {
                 e.preventDefault();
                 this.usernameInput.focus();
             }
             
-            // Escape to clear search
+            // Escape to close a dialog or clear search (the typeahead handles its own Escape)
+            if (e.key === 'Escape' && !this.settingsPanel.classList.contains('hidden')) {
+                this.closeSettings();
+                return;
+            }
+            
+            if (e.key === 'Escape' && !this.watchlistPanel.classList.contains('hidden')) {
+                this.closeWatchlist();
+                return;
+            }
+            
+            if (e.key === 'Escape' && !this.repoDrawer.classList.contains('hidden')) {
+                this.closeRepoDrawer();
+                return;
+            }
+            
             if (e.key === 'Escape') {
                 this.usernameInput.value = '';
                 this.hideProfile();
                 this.hideError();
+                this.updateRoute({ push: true });
             }
         });
     }
 
-    // Method to add search history
-    addSearchHistory() {
-        const history = JSON.parse(localStorage.getItem('github-search-history') || '[]');
-        
-        // Add current search to history
-        const addToHistory = (username) => {
-            if (!history.includes(username)) {
-                history.unshift(username);
-                if (history.length > 5) {
-                    history.pop();
-                }
-                localStorage.setItem('github-search-history', JSON.stringify(history));
-            }
-        };
-        
-        // Show history in suggestions
-        const showHistory = () => {
-            if (history.length > 0) {
-                const historyContainer = document.createElement('div');
-                historyContainer.className = 'search-history';
-                historyContainer.innerHTML = `
-                    <span class="suggestion-label">Recent:</span>
-                    ${history.map(username => 
-                        `<button class="suggestion-btn history-btn" data-username="${username}">${username}</button>`
-                    ).join('')}
-                `;
-                
-                const suggestionsContainer = document.querySelector('.search-suggestions');
-                suggestionsContainer.appendChild(historyContainer);
-                
-                // Add event listeners to history buttons
-                historyContainer.querySelectorAll('.history-btn').forEach(btn => {
-                    btn.addEventListener('click', () => {
-                        const username = btn.getAttribute('data-username');
-                        this.usernameInput.value = username;
-                        this.handleSearch();
-                    });
-                });
-            }
-        };
-        
-        return { addToHistory, showHistory };
-    }
-
     // Method to add theme toggle
     addThemeToggle() {
-        const themeToggle = document.createElement('button');
+        const themeToggle = this.root.createElement('button');
         themeToggle.className = 'theme-toggle';
         themeToggle.innerHTML = '<i class="fas fa-moon"></i>';
-        themeToggle.title = 'Toggle theme';
+        themeToggle.title = this.t('header.toggleTheme');
+        themeToggle.setAttribute('data-i18n-title', 'header.toggleTheme');
         
-        const header = document.querySelector('.header .container');
+        const header = this.root.querySelector('.header .container');
         header.appendChild(themeToggle);
         
         themeToggle.addEventListener('click', () => {
-            document.body.classList.toggle('light-theme');
-            const isLight = document.body.classList.contains('light-theme');
+            this.root.body.classList.toggle('light-theme');
+            const isLight = this.root.body.classList.contains('light-theme');
             themeToggle.innerHTML = isLight ? '<i class="fas fa-sun"></i>' : '<i class="fas fa-moon"></i>';
             localStorage.setItem('theme', isLight ? 'light' : 'dark');
         });
@@ -487,14 +4713,14 @@ class GitHubProfileSearch {
         // Load saved theme
         const savedTheme = localStorage.getItem('theme');
         if (savedTheme === 'light') {
-            document.body.classList.add('light-theme');
+            this.root.body.classList.add('light-theme');
             themeToggle.innerHTML = '<i class="fas fa-sun"></i>';
         }
     }
 
     // Method to add copy to clipboard functionality
     addCopyToClipboard() {
-        const copyButtons = document.querySelectorAll('.copy-btn');
+        const copyButtons = this.root.querySelectorAll('.copy-btn');
         copyButtons.forEach(btn => {
             btn.addEventListener('click', async () => {
                 const text = btn.getAttribute('data-copy');
@@ -513,10 +4739,10 @@ class GitHubProfileSearch {
 
     // Method to add smooth scrolling
     addSmoothScrolling() {
-        document.querySelectorAll('a[href^="#"]').forEach(anchor => {
-            anchor.addEventListener('click', function (e) {
+        this.root.querySelectorAll('a[href^="#"]').forEach(anchor => {
+            anchor.addEventListener('click', (e) => {
                 e.preventDefault();
-                const target = document.querySelector(this.getAttribute('href'));
+                const target = this.root.querySelector(anchor.getAttribute('href'));
                 if (target) {
                     target.scrollIntoView({
                         behavior: 'smooth',
@@ -529,7 +4755,7 @@ class GitHubProfileSearch {
 
     // Method to add loading states for images
     addImageLoadingStates() {
-        const images = document.querySelectorAll('img');
+        const images = this.root.querySelectorAll('img');
         images.forEach(img => {
             img.addEventListener('load', () => {
                 img.classList.add('loaded');
@@ -537,7 +4763,7 @@ class GitHubProfileSearch {
             
             img.addEventListener('error', () => {
                 img.src = 'data:image/svg+xml;base64,PHN2ZyB3aWR0aD0iMTAwIiBoZWlnaHQ9IjEwMCIgeG1sbnM9Imh0dHA6Ly93d3cudzMub3JnLzIwMDAvc3ZnIj48cmVjdCB3aWR0aD0iMTAwIiBoZWlnaHQ9IjEwMCIgZmlsbD0iIzMzMzMzMyIvPjx0ZXh0IHg9IjUwIiB5PSI1MCIgZm9udC1mYW1pbHk9IkFyaWFsIiBmb250LXNpemU9IjE0IiBmaWxsPSIjZmZmZmZmIiB0ZXh0LWFuY2hvcj0ibWlkZGxlIiBkeT0iLjNlbSI+Tm8gSW1hZ2U8L3RleHQ+PC9zdmc+';
-                img.alt = 'Image not available';
+                img.alt = this.t('app.imageMissing');
             });
         });
     }
@@ -567,44 +4793,49 @@ class GitHubProfileSearch {
 
     // Method to add accessibility features
     addAccessibilityFeatures() {
-        // Add ARIA labels
-        this.usernameInput.setAttribute('aria-label', 'GitHub username input');
-        this.searchBtn.setAttribute('aria-label', 'Search GitHub user');
-        
         // Add keyboard navigation
-        document.addEventListener('keydown', (e) => {
+        this.root.addEventListener('keydown', (e) => {
             if (e.key === 'Tab') {
-                document.body.classList.add('keyboard-navigation');
+                this.root.body.classList.add('keyboard-navigation');
             }
         });
         
-        document.addEventListener('mousedown', () => {
-            document.body.classList.remove('keyboard-navigation');
+        this.root.addEventListener('mousedown', () => {
+            this.root.body.classList.remove('keyboard-navigation');
         });
     }
 
     // Method to add offline support
     addOfflineSupport() {
+        // The service worker precaches the shell and keeps API responses for offline use;
+        // without it the app still works, just not offline
+        if ('serviceWorker' in navigator && location.protocol !== 'file:') {
+            navigator.serviceWorker.register('sw.js').catch(() => {});
+        }
+        
         window.addEventListener('online', () => {
-            this.showNotification('Connection restored!', 'success');
+            const snapshot = this.cacheBadge.classList.contains('offline');
+            this.updateCacheBadge(this.profileCachedAt);
+            this.showNotification(this.t(snapshot ? 'app.onlineSnapshot' : 'app.online'), 'success');
         });
         
         window.addEventListener('offline', () => {
-            this.showNotification('You are offline. Some features may not work.', 'warning');
+            this.updateCacheBadge(this.profileCachedAt);
+            this.showNotification(this.t('app.offline'), 'warning');
         });
     }
 
     // Method to show notifications
     showNotification(message, type = 'info') {
-        const notification = document.createElement('div');
+        const notification = this.root.createElement('div');
         notification.className = `notification notification-${type}`;
-        notification.innerHTML = `
+        notification.innerHTML = html`
             <i class="fas fa-${type === 'success' ? 'check-circle' : type === 'warning' ? 'exclamation-triangle' : 'info-circle'}"></i>
             <span>${message}</span>
             <button class="notification-close">&times;</button>
         `;
         
-        document.body.appendChild(notification);
+        this.root.body.appendChild(notification);
         
         // Auto remove after 5 seconds
         setTimeout(() => {
@@ -633,10 +4864,10 @@ class GitHubProfileSearch {
         
         // Override handleSearch to include analytics
         const originalHandleSearch = this.handleSearch.bind(this);
-        this.handleSearch = async () => {
+        this.handleSearch = async (...args) => {
             const username = this.usernameInput.value.trim();
             try {
-                await originalHandleSearch();
+                await originalHandleSearch(...args);
                 trackSearch(username, true);
             } catch (error) {
                 trackSearch(username, false);
@@ -648,7 +4879,6 @@ class GitHubProfileSearch {
     // Initialize all additional features
     initializeAdditionalFeatures() {
         this.addKeyboardShortcuts();
-        this.addSearchHistory();
         this.addThemeToggle();
         this.addSmoothScrolling();
         this.addImageLoadingStates();
@@ -676,7 +4906,7 @@ const additionalStyles = `
     .theme-toggle {
         position: absolute;
         top: 20px;
-        right: 20px;
+        inset-inline-end: 20px;
         background: var(--bg-tertiary);
         border: 1px solid var(--border-color);
         border-radius: var(--radius-lg);
@@ -691,20 +4921,6 @@ const additionalStyles = `
         color: white;
     }
     
-    .search-history {
-        display: flex;
-        align-items: center;
-        gap: var(--space-2);
-        margin-top: var(--space-3);
-        flex-wrap: wrap;
-    }
-    
-    .history-btn {
-        background: var(--bg-primary);
-        border: 1px solid var(--primary-color);
-        color: var(--primary-color);
-    }
-    
     .notification {
         position: fixed;
         top: 20px;
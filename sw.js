@@ -0,0 +1,146 @@
+// Service worker: precaches the app shell, keeps anonymous GitHub API responses with
+// stale-while-revalidate and serves everything it has when the network is gone
+
+// Bump whenever SHELL_FILES changes so installed copies pick up the new list
+const CACHE_VERSION = 'v2';
+const SHELL_CACHE = `shell-${CACHE_VERSION}`;
+const STATIC_CACHE = 'static-assets';
+const IMAGE_CACHE = 'github-images';
+// Bump when cached API responses must not be reused. GitHubApiClient.clearCache() also
+// clears every 'github-api' cache when the token or server changes.
+const API_CACHE = 'github-api-v2';
+const MAX_IMAGES = 100;
+
+const SHELL_FILES = [
+    './',
+    'index.html',
+    'styles.css',
+    'i18n.js',
+    'api.js',
+    'script.js',
+    'manifest.webmanifest',
+    'icons/icon.svg',
+    'icons/icon-192.png',
+    'icons/icon-512.png'
+];
+
+// Icon and font stylesheets; a CDN hiccup shouldn't stop the worker installing
+const EXTERNAL_STYLES = [
+    'https://cdnjs.cloudflare.com/ajax/libs/font-awesome/6.4.0/css/all.min.css',
+    'https://fonts.googleapis.com/css2?family=Inter:wght@300;400;500;600;700&display=swap'
+];
+
+// Font files referenced by the precached stylesheets
+const STATIC_HOSTS = ['cdnjs.cloudflare.com', 'fonts.gstatic.com', 'fonts.googleapis.com'];
+
+self.addEventListener('install', (event) => {
+    event.waitUntil(
+        Promise.all([
+            caches.open(SHELL_CACHE).then(cache => cache.addAll(SHELL_FILES)),
+            caches.open(STATIC_CACHE).then(cache => Promise.all(EXTERNAL_STYLES.map(url =>
+                cache.add(url).catch(error => console.warn('Could not precache', url, error)))))
+        ]).then(() => self.skipWaiting())
+    );
+});
+
+self.addEventListener('activate', (event) => {
+    event.waitUntil(
+        caches.keys()
+            .then(keys => Promise.all(keys
+                // Caches from older versions; the unversioned 'github-api' also kept
+                // responses to token-authenticated requests
+                .filter(key => (key.startsWith('shell-') && key !== SHELL_CACHE)
+                    || (key.startsWith('github-api') && key !== API_CACHE))
+                .map(key => caches.delete(key))))
+            .then(() => self.clients.claim())
+    );
+});
+
+self.addEventListener('fetch', (event) => {
+    const { request } = event;
+    if (request.method !== 'GET') return;
+
+    const url = new URL(request.url);
+
+    if (request.mode === 'navigate') {
+        event.respondWith(networkFirst(request, SHELL_CACHE, 'index.html'));
+    } else if (isApiRequest(request)) {
+        // Token and quota checks must reach GitHub, and cached copies are matched without
+        // Authorization, so authenticated responses could be served to another token
+        if (request.cache === 'no-store' || request.headers.has('Authorization')) return;
+        // The app asks for a fresh copy (refresh button) with cache: 'no-cache'
+        event.respondWith(request.cache === 'no-cache' || request.cache === 'reload'
+            ? networkFirst(request, API_CACHE)
+            : staleWhileRevalidate(event, API_CACHE));
+    } else if (request.destination === 'image' && url.hostname.endsWith('githubusercontent.com')) {
+        event.respondWith(staleWhileRevalidate(event, IMAGE_CACHE));
+    } else if (url.origin === self.location.origin) {
+        event.respondWith(staleWhileRevalidate(event, SHELL_CACHE));
+    } else if (STATIC_HOSTS.includes(url.hostname)) {
+        event.respondWith(staleWhileRevalidate(event, STATIC_CACHE));
+    }
+});
+
+// REST and GraphQL calls from GitHubApiClient, for github.com or an Enterprise Server
+function isApiRequest(request) {
+    return (request.headers.get('Accept') || '').startsWith('application/vnd.github');
+}
+
+async function staleWhileRevalidate(event, cacheName) {
+    const { request } = event;
+    const cache = await caches.open(cacheName);
+    const cached = await cache.match(request, { ignoreVary: true });
+
+    const network = fetch(request)
+        .then(response => store(cache, cacheName, request, response))
+        .catch(() => null);
+
+    if (cached) {
+        // Keep the worker alive until the cache has been refreshed
+        event.waitUntil(network);
+        return cached;
+    }
+
+    // Nothing saved: a network error lets the page handle being offline
+    return (await network) || Response.error();
+}
+
+async function networkFirst(request, cacheName, fallback) {
+    const cache = await caches.open(cacheName);
+
+    try {
+        return await store(cache, cacheName, request, await fetch(request));
+    } catch (error) {
+        const cached = await cache.match(request, { ignoreVary: true }) || (fallback && await cache.match(fallback));
+        return cached || Response.error();
+    }
+}
+
+// Cache successful responses. API copies drop the rate-limit headers (replaying them
+// would move the quota meter backwards) and record when they were saved.
+async function store(cache, cacheName, request, response) {
+    if (cacheName === API_CACHE) {
+        if (response.status !== 200) return response;
+
+        const headers = new Headers(response.headers);
+        ['X-RateLimit-Limit', 'X-RateLimit-Remaining', 'X-RateLimit-Reset', 'X-RateLimit-Used', 'X-RateLimit-Resource']
+            .forEach(name => headers.delete(name));
+        headers.set('X-Cached-At', String(Date.now()));
+
+        const body = await response.clone().blob();
+        await cache.put(request, new Response(body, { status: 200, statusText: 'OK', headers }));
+    } else if (response.ok || response.type === 'opaque') {
+        await cache.put(request, response.clone());
+        if (cacheName === IMAGE_CACHE) {
+            await trimCache(cache, MAX_IMAGES);
+        }
+    }
+
+    return response;
+}
+
+// Drop the oldest entries (cache.keys() is in insertion order)
+async function trimCache(cache, maxEntries) {
+    const keys = await cache.keys();
+    await Promise.all(keys.slice(0, Math.max(0, keys.length - maxEntries)).map(key => cache.delete(key)));
+}
@@ -0,0 +1,115 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createApp } = require('./helpers/app');
+
+const ROUTES = {
+    '/users/octocat': 'users/octocat.json',
+    '/users/octocat/repos': 'users/octocat-repos.json',
+    '/users/hubot': 'users/hubot.json',
+    '/users/hubot/repos': { body: [] }
+};
+
+function rowText(document) {
+    return [...document.querySelectorAll('#bulkResults tbody tr')]
+        .map(row => [...row.cells].map(cell => cell.textContent.replace(/\s+/g, ' ').trim()));
+}
+
+async function lookUp(app, text) {
+    app.bulkInput.value = text;
+    await app.handleBulkLookup();
+}
+
+test('bulk lookup fills a row per username', async (t) => {
+    const { app, document, close } = await createApp({ routes: ROUTES });
+    t.after(close);
+
+    await lookUp(app, '@octocat, hubot');
+
+    assert.deepEqual(rowText(document), [
+        ['The Octocat@octocat', '18.7K', '8', '2.7K', 'San Francisco', '@github', 'Found'],
+        ['Hubot@hubot', '2.2K', '0', '0', 'GitHub', 'GitHub', 'Found']
+    ]);
+    assert.equal(app.bulkStatus.textContent, 'Looked up 2 of 2 profiles.');
+    assert.equal(app.bulkResumeBtn.classList.contains('hidden'), true);
+});
+
+test('failures stay on their own row', async (t) => {
+    const { app, github, document, close } = await createApp({ routes: ROUTES });
+    t.after(close);
+
+    await lookUp(app, 'octocat\nno-such-user\n-not-valid-');
+
+    const rows = rowText(document);
+    assert.equal(rows[0][6], 'Found');
+    assert.equal(rows[1][6], 'User not found. Please check the username and try again.');
+    assert.equal(rows[2][6], 'Not a valid GitHub username');
+    assert.equal(github.paths().some(path => path.includes('-not-valid-')), false);
+    assert.equal(app.bulkStatus.textContent, 'Looked up 1 of 3 profiles, 2 failed.');
+});
+
+test('an exhausted quota pauses the queue and resume finishes it', async (t) => {
+    const reset = Math.floor(Date.now() / 1000) + 15 * 60;
+    const { app, github, document, close } = await createApp({
+        routes: {
+            ...ROUTES,
+            '/users/mona': {
+                status: 403,
+                body: { message: 'API rate limit exceeded for 127.0.0.1.' },
+                headers: {
+                    'X-RateLimit-Limit': '60',
+                    'X-RateLimit-Remaining': '0',
+                    'X-RateLimit-Reset': String(reset),
+                    'X-RateLimit-Resource': 'core'
+                }
+            }
+        }
+    });
+    t.after(close);
+
+    await lookUp(app, 'octocat hubot mona');
+
+    assert.equal(app.bulkPaused, true);
+    assert.equal(rowText(document)[2][6], 'Queued');
+    assert.match(app.bulkStatus.textContent, /^API rate limit reached\. 1 lookup left, resuming automatically in/);
+    assert.equal(app.bulkResumeBtn.classList.contains('hidden'), false);
+
+    // The window resets
+    github.route('/users/mona', { body: { login: 'mona', name: 'Mona', type: 'User', followers: 1, public_repos: 0 } });
+    github.route('/users/mona/repos', { body: [] });
+    app.rateLimit.remaining = app.rateLimit.limit;
+    app.rateLimit.reset = 0;
+    await app.runBulkQueue();
+
+    assert.equal(app.bulkPaused, false);
+    assert.deepEqual(rowText(document).map(row => row[6]), ['Found', 'Found', 'Found']);
+    assert.equal(app.bulkResumeBtn.classList.contains('hidden'), true);
+});
+
+test('columns sort by value with empty cells last', async (t) => {
+    const { app, document, close } = await createApp({ routes: ROUTES });
+    t.after(close);
+
+    await lookUp(app, 'hubot no-such-user octocat');
+    const names = () => rowText(document).map(row => row[0]);
+
+    document.querySelector('[data-sort="followers"]').click();
+    assert.deepEqual(names(), ['The Octocat@octocat', 'Hubot@hubot', 'no-such-user']);
+    assert.equal(document.querySelector('[data-sort="followers"]').closest('th').getAttribute('aria-sort'), 'descending');
+
+    document.querySelector('[data-sort="followers"]').click();
+    assert.deepEqual(names(), ['Hubot@hubot', 'The Octocat@octocat', 'no-such-user']);
+
+    document.querySelector('[data-sort="name"]').click();
+    assert.deepEqual(names(), ['Hubot@hubot', 'no-such-user', 'The Octocat@octocat']);
+});
+
+test('CSV files use their username column', async (t) => {
+    const { app, close } = await createApp();
+    t.after(close);
+
+    const withHeader = 'name,"GitHub"\n"Doe, Jane",octocat\r\nHubot,@hubot\n\n';
+    assert.deepEqual([...app.parseCSVUsernames(withHeader)], ['octocat', 'hubot']);
+
+    const withoutHeader = 'octocat;The Octocat\nhubot;Hubot\nOCTOCAT;duplicate';
+    assert.deepEqual([...app.parseCSVUsernames(withoutHeader)], ['octocat', 'hubot']);
+});
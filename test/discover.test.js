@@ -0,0 +1,82 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createApp } = require('./helpers/app');
+
+const results = (total, logins) => ({
+    total_count: total,
+    incomplete_results: false,
+    items: logins.map(login => ({ login, type: 'User', avatar_url: `https://avatars.githubusercontent.com/u/1?v=4&login=${login}` }))
+});
+
+test('paging keeps the submitted query even after the box is edited', async (t) => {
+    const { app, github, close } = await createApp({
+        routes: { '/search/users': { body: results(45, ['octocat', 'hubot']) } }
+    });
+    t.after(close);
+
+    app.discoverQueryInput.value = 'location:berlin';
+    await app.handleDiscover(1);
+    assert.equal(app.discoverQuery, 'location:berlin');
+
+    app.discoverQueryInput.value = 'language:rust';
+    app.discoverPagination.querySelector('[data-page="2"]').click();
+    await github.idle();
+
+    const last = new URL(github.requests[github.requests.length - 1].url);
+    assert.equal(last.searchParams.get('q'), 'location:berlin');
+    assert.equal(last.searchParams.get('page'), '2');
+    assert.equal(app.discoverPage, 2);
+    assert.equal(app.discoverQueryInput.value, 'location:berlin');
+});
+
+const searchHeaders = remaining => ({
+    'X-RateLimit-Limit': '10',
+    'X-RateLimit-Remaining': String(remaining),
+    'X-RateLimit-Reset': '4102444800',
+    'X-RateLimit-Resource': 'search'
+});
+
+function typeaheadRequests(github) {
+    return github.paths().filter(path => path === '/search/users').length;
+}
+
+test('typeahead works without a token but spaces its requests out', async (t) => {
+    const { app, github, close } = await createApp({
+        routes: { '/search/users': { body: results(1, ['octocat']), headers: searchHeaders(9) } }
+    });
+    t.after(close);
+
+    app.usernameInput.focus();
+    app.usernameInput.value = 'octo';
+    await app.updateTypeahead();
+    assert.equal(app.typeaheadResults.length, 1);
+    assert.equal(typeaheadRequests(github), 1);
+
+    // A second keystroke inside the interval waits for it instead of searching at once
+    app.usernameInput.value = 'octoc';
+    await app.updateTypeahead();
+    assert.equal(typeaheadRequests(github), 1);
+
+    app.typeaheadLastRequest -= app.typeaheadInterval.anonymous;
+    await app.updateTypeahead();
+    assert.equal(typeaheadRequests(github), 2);
+    assert.equal(new URL(github.requests[github.requests.length - 1].url).searchParams.get('q'), 'octoc in:login');
+});
+
+test('typeahead backs off when the search quota runs low', async (t) => {
+    const { app, github, close } = await createApp({
+        routes: { '/search/users': { body: results(1, ['octocat']), headers: searchHeaders(3) } }
+    });
+    t.after(close);
+
+    app.usernameInput.focus();
+    app.usernameInput.value = 'octo';
+    await app.updateTypeahead();
+    assert.equal(app.searchRateLimit.remaining, 3);
+
+    app.typeaheadLastRequest = 0;
+    app.usernameInput.value = 'octoc';
+    await app.updateTypeahead();
+    assert.equal(typeaheadRequests(github), 1);
+    assert.equal(app.typeaheadResults.length, 0);
+});
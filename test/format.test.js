@@ -0,0 +1,55 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createApp } = require('./helpers/app');
+
+// A zone behind UTC, where local midnight on the 1st is still the previous month
+process.env.TZ = 'America/Los_Angeles';
+
+test('formatting helpers', async (t) => {
+    const { app, close } = await createApp();
+    t.after(close);
+
+    await t.test('formatNumber keeps small counts as they are', () => {
+        assert.equal(app.formatNumber(0), '0');
+        assert.equal(app.formatNumber(7), '7');
+        assert.equal(app.formatNumber(999), '999');
+    });
+
+    await t.test('formatNumber abbreviates thousands and millions', () => {
+        assert.equal(app.formatNumber(1000), '1K');
+        assert.equal(app.formatNumber(1050), '1.1K');
+        assert.equal(app.formatNumber(18734), '18.7K');
+        assert.equal(app.formatNumber(1000000), '1M');
+        assert.equal(app.formatNumber(2468000), '2.5M');
+    });
+
+    await t.test('formatNumber switches to millions before "1000K"', () => {
+        assert.equal(app.formatNumber(999949), '999.9K');
+        assert.equal(app.formatNumber(999950), '1M');
+        assert.equal(app.formatNumber(999999), '1M');
+    });
+
+    await t.test('formatNumber treats missing counts as zero', () => {
+        assert.equal(app.formatNumber(undefined), '0');
+        assert.equal(app.formatNumber(null), '0');
+    });
+
+    await t.test('formatJoinDate says how long ago the account was created', () => {
+        const yearsAgo = years => new Date(Date.now() - years * 365.25 * 24 * 60 * 60 * 1000).toISOString();
+        assert.equal(app.formatJoinDate(yearsAgo(7)), 'Joined 7 years ago');
+        assert.equal(app.formatJoinDate(yearsAgo(1)), 'Joined last year');
+        assert.equal(app.formatJoinDate(new Date(Date.now() - 3 * 24 * 60 * 60 * 1000).toISOString()), 'Joined 3 days ago');
+    });
+
+    await t.test('formatJoinTitle uses the UTC day', () => {
+        assert.equal(app.formatJoinTitle('2011-01-25T18:44:36Z'), 'January 25, 2011');
+        assert.equal(app.formatJoinTitle('2015-01-01T00:00:00Z'), 'January 1, 2015');
+        assert.equal(app.formatJoinTitle('2019-12-31T23:59:59Z'), 'December 31, 2019');
+    });
+
+    await t.test('formatJoinDate copes with missing or invalid dates', () => {
+        assert.equal(app.formatJoinDate(null), 'Join date unknown');
+        assert.equal(app.formatJoinDate(''), 'Join date unknown');
+        assert.equal(app.formatJoinDate('not a date'), 'Join date unknown');
+    });
+});
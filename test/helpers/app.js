@@ -0,0 +1,76 @@
+// Boots index.html, i18n.js, api.js and script.js in jsdom and hands back a
+// GitHubProfileSearch wired to the mock GitHub API
+const fs = require('fs');
+const path = require('path');
+const { JSDOM, VirtualConsole } = require('jsdom');
+const { createMockGitHub } = require('./mock-github');
+
+const ROOT = path.join(__dirname, '..', '..');
+const SCRIPTS = ['i18n.js', 'api.js', 'script.js'];
+
+function read(file) {
+    return fs.readFileSync(path.join(ROOT, file), 'utf8');
+}
+
+async function createApp({ routes = {}, storage = {} } = {}) {
+    // The page's own <script src> tags are dropped; the sources are injected below
+    const markup = read('index.html').replace(/<script\b[^>]*\bsrc=[^>]*><\/script>/g, '');
+
+    // Surface script errors, keep the app's console.warn noise out of the test output
+    const virtualConsole = new VirtualConsole();
+    virtualConsole.on('jsdomError', error => console.error(error));
+
+    const dom = new JSDOM(markup, {
+        url: 'http://localhost/',
+        runScripts: 'dangerously',
+        pretendToBeVisual: true,
+        virtualConsole
+    });
+    const { window } = dom;
+
+    // Browser APIs jsdom leaves out
+    window.IntersectionObserver = class {
+        observe() {}
+        unobserve() {}
+        disconnect() {}
+    };
+    window.HTMLElement.prototype.scrollIntoView = () => {};
+    window.Response = Response;
+    window.Headers = Headers;
+
+    Object.entries(storage).forEach(([key, value]) => window.localStorage.setItem(key, value));
+
+    // Load the scripts after DOMContentLoaded so the page's own bootstrap doesn't run
+    if (window.document.readyState === 'loading') {
+        await new Promise(resolve => window.document.addEventListener('DOMContentLoaded', resolve));
+    }
+    SCRIPTS.forEach(file => {
+        const script = window.document.createElement('script');
+        script.textContent = read(file);
+        window.document.body.appendChild(script);
+    });
+
+    const github = createMockGitHub(routes);
+    const GitHubProfileSearch = window.eval('GitHubProfileSearch');
+    const app = new GitHubProfileSearch({ root: window.document, fetch: github.fetch });
+    // Let the startup /rate_limit request land so it can't overwrite what a test sets up
+    await github.idle();
+
+    return {
+        app,
+        github,
+        window,
+        document: window.document,
+        // Classes declared by the scripts (GitHubApiError, RateLimitError, ...)
+        global: name => window.eval(name),
+        close: () => window.close()
+    };
+}
+
+// Type a username and run the search to completion
+async function search(app, username) {
+    app.usernameInput.value = username;
+    await app.handleSearch();
+}
+
+module.exports = { createApp, search };
@@ -0,0 +1,90 @@
+// A local stand-in for api.github.com. Routes map a path (with its query string, or
+// without it to match any query) to a fixture file under test/fixtures or to a
+// { status, body, headers } response.
+const fs = require('fs');
+const path = require('path');
+
+const FIXTURES = path.join(__dirname, '..', 'fixtures');
+
+function readFixture(name) {
+    return JSON.parse(fs.readFileSync(path.join(FIXTURES, name), 'utf8'));
+}
+
+// Headers a healthy, unauthenticated REST response carries
+function rateLimitHeaders(remaining = 58) {
+    return {
+        'X-RateLimit-Limit': '60',
+        'X-RateLimit-Remaining': String(remaining),
+        'X-RateLimit-Reset': '4102444800',
+        'X-RateLimit-Resource': 'core'
+    };
+}
+
+function createMockGitHub(routes = {}) {
+    const table = { '/rate_limit': 'rate_limit.json', ...routes };
+    const requests = [];
+    // Responses and body reads the app hasn't got back yet
+    const pending = new Set();
+
+    function track(promise) {
+        pending.add(promise);
+        promise.finally(() => pending.delete(promise)).catch(() => {});
+        return promise;
+    }
+
+    function fetch(input, init = {}) {
+        return track(respond(input, init).then(response => {
+            ['json', 'text', 'blob', 'arrayBuffer'].forEach(method => {
+                const read = response[method].bind(response);
+                response[method] = () => track(read());
+            });
+            return response;
+        }));
+    }
+
+    // Resolves once nothing is in flight and the app has had a turn to handle the
+    // last responses without starting new requests
+    async function idle() {
+        let count;
+        do {
+            count = requests.length;
+            await Promise.allSettled([...pending]);
+            await new Promise(resolve => setImmediate(resolve));
+        } while (pending.size > 0 || requests.length !== count);
+    }
+
+    async function respond(input, init) {
+        const url = new URL(String(input));
+        requests.push({ url: url.href, path: url.pathname, method: init.method || 'GET', cache: init.cache || 'default' });
+
+        const route = table[url.pathname + url.search] || table[url.pathname];
+        const spec = typeof route === 'string' ? { body: readFixture(route) } : route;
+        if (!spec) {
+            return json(404, { message: 'Not Found', documentation_url: 'https://docs.github.com/rest' });
+        }
+        return json(spec.status || 200, spec.body, spec.headers);
+    }
+
+    // String bodies are sent as they are (rendered HTML), anything else as JSON
+    function json(status, body, headers = rateLimitHeaders()) {
+        const isText = typeof body === 'string';
+        return new Response(isText ? body : JSON.stringify(body), {
+            status,
+            headers: { 'Content-Type': isText ? 'text/html; charset=utf-8' : 'application/json; charset=utf-8', ...headers }
+        });
+    }
+
+    return {
+        fetch,
+        requests,
+        idle,
+        // Add or replace a route mid-test (e.g. once a rate limit has reset)
+        route: (pathname, spec) => {
+            table[pathname] = spec;
+        },
+        // Paths requested so far, in order
+        paths: () => requests.map(request => request.path)
+    };
+}
+
+module.exports = { createMockGitHub, readFixture, rateLimitHeaders };
@@ -0,0 +1,191 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createApp, search } = require('./helpers/app');
+
+const OCTOCAT = {
+    '/users/octocat': 'users/octocat.json',
+    '/users/octocat/repos': 'users/octocat-repos.json'
+};
+
+test('English is the default and the picker lists every language', async (t) => {
+    const { app, document, close } = await createApp();
+    t.after(close);
+
+    assert.equal(app.i18n.locale, 'en');
+    assert.equal(document.documentElement.lang, 'en');
+    assert.equal(document.documentElement.dir, 'ltr');
+    assert.equal([...app.languageSelect.options].map(option => option.value).join(), 'en,ar');
+    assert.equal(app.languageSelect.value, 'en');
+    assert.equal(document.querySelector('.logo h1').textContent, 'GitHub Profile Search');
+});
+
+test('a saved language translates the page and switches it to right-to-left', async (t) => {
+    const { app, document, close } = await createApp({ storage: { 'github-locale': 'ar' } });
+    t.after(close);
+
+    assert.equal(document.documentElement.lang, 'ar');
+    assert.equal(document.documentElement.dir, 'rtl');
+    assert.equal(app.languageSelect.value, 'ar');
+    assert.equal(document.querySelector('.logo h1').textContent, 'البحث عن ملفات GitHub');
+    assert.equal(app.usernameInput.placeholder, 'أدخل اسم مستخدم GitHub...');
+    assert.equal(document.getElementById('settingsBtn').title, 'الإعدادات');
+});
+
+test('profiles and repository cards are formatted for the language', async (t) => {
+    const { app, document, close } = await createApp({ routes: OCTOCAT, storage: { 'github-locale': 'ar' } });
+    t.after(close);
+
+    await search(app, 'octocat');
+    app.setOpenPanels(['repos']);
+
+    assert.equal(app.followersCount.textContent, app.i18n.formatCompact(18734));
+    assert.match(app.profileJoinDate.textContent, /^انضم /);
+    assert.equal(app.repoResultsCount.textContent, 'مستودعان');
+    assert.match(document.querySelector('#reposList .repo-updated span').textContent, /^حُدّث /);
+
+    await search(app, 'no-such-user');
+    assert.equal(app.errorText.textContent, 'لم يُعثر على المستخدم. يرجى التحقق من اسم المستخدم والمحاولة مرة أخرى.');
+});
+
+test('repository cards say when they were last updated', async (t) => {
+    const { app, document, close } = await createApp({ routes: OCTOCAT });
+    t.after(close);
+
+    await search(app, 'octocat');
+    app.setOpenPanels(['repos']);
+
+    const updated = [...document.querySelectorAll('#reposList .repo-updated span')].map(span => span.textContent);
+    assert.equal(updated.length, 2);
+    updated.forEach(text => assert.match(text, /^Updated (\d+|last) (year|month|week|day)s?( ago)?$/));
+    assert.equal(app.repoResultsCount.textContent, '2 repositories');
+});
+
+test('picking a language saves it and redraws the profile', async (t) => {
+    const { app, github, window, document, close } = await createApp({ routes: OCTOCAT });
+    t.after(close);
+
+    await search(app, 'octocat');
+    assert.equal(app.viewReposBtn.textContent.trim(), 'View Repositories');
+
+    app.languageSelect.value = 'ar';
+    app.languageSelect.dispatchEvent(new window.Event('change'));
+    await github.idle();
+
+    assert.equal(window.localStorage.getItem('github-locale'), 'ar');
+    assert.equal(document.documentElement.dir, 'rtl');
+    assert.equal(app.viewReposBtn.textContent.trim(), 'عرض المستودعات');
+    assert.match(app.profileJoinDate.textContent, /^انضم /);
+    assert.equal(app.profileSection.classList.contains('show'), true);
+});
+
+test('switching language redraws a watched profile without searching again', async (t) => {
+    const octocat = require('./fixtures/users/octocat.json');
+    const now = Date.now();
+    const snapshot = {
+        takenAt: now - 24 * 60 * 60 * 1000,
+        profile: { name: octocat.name, bio: octocat.bio, company: octocat.company, location: octocat.location, blog: octocat.blog, followers: octocat.followers - 10, following: octocat.following, public_repos: octocat.public_repos },
+        repos: {}
+    };
+    const { app, github, window, close } = await createApp({
+        routes: OCTOCAT,
+        storage: {
+            'github-watchlist': JSON.stringify([{ login: 'octocat', followers: 0, public_repos: 0, addedAt: now, lastSeen: now, lastChecked: now, pendingChanges: 0 }]),
+            'github-snapshots:octocat': JSON.stringify([snapshot])
+        }
+    });
+    t.after(close);
+
+    await search(app, 'octocat');
+    app.setOpenPanels(['repos']);
+    assert.equal(app.changeSummary.classList.contains('has-changes'), true);
+    const requests = github.requests.length;
+
+    app.changeLocale('ar');
+    await github.idle();
+
+    assert.equal(github.requests.length, requests);
+    assert.match(app.profileJoinDate.textContent, /^انضم /);
+    assert.equal(app.repoResultsCount.textContent, 'مستودعان');
+    // The summary still compares against the old snapshot instead of the one just taken
+    assert.equal(app.changeSummary.classList.contains('hidden'), false);
+    assert.equal(app.changeSummary.classList.contains('has-changes'), true);
+    assert.equal(app.changeSummary.querySelectorAll('.change-list li').length, 1);
+    assert.equal(app.changeSummary.querySelector('strong').textContent, 'ما الجديد');
+    assert.match(app.changeSummary.querySelector('.change-list li').textContent, /المتابِعون: \+10/);
+    assert.equal(JSON.parse(window.localStorage.getItem('github-snapshots:octocat')).length, 2);
+});
+
+test('activity and account ages are worded in the chosen language', async (t) => {
+    const { app, close } = await createApp({ storage: { 'github-locale': 'ar' } });
+    t.after(close);
+
+    const event = {
+        type: 'PullRequestEvent',
+        repo: { name: 'octocat/hello-world' },
+        payload: { action: 'closed', number: 1347, pull_request: { merged: true, title: '<img src=x onerror=alert(1)>' } }
+    };
+    const { markup } = app.describeEvent(event);
+    assert.match(String(markup), /^دمج طلب السحب #1347 في <a /);
+    // The title comes from the API, so it stays text
+    assert.match(String(markup), /: &lt;img src=x onerror=alert\(1\)&gt;$/);
+
+    const ago = months => new Date(new Date().getFullYear(), new Date().getMonth() - months, 1).toISOString();
+    assert.equal(app.formatAccountAge(ago(3)), app.i18n.formatDuration({ months: 3 }));
+    app.changeLocale('en');
+    assert.equal(app.formatAccountAge(ago(3)), '3 months');
+    assert.equal(app.formatAccountAge(ago(87)), '7y 3m');
+    assert.equal(String(app.describeEvent({ ...event, payload: { action: 'opened', number: 1 } }).markup).startsWith('Opened pull request #1 in '), true);
+});
+
+test('messages fall back to English and follow the plural rules', async (t) => {
+    const { global, close } = await createApp();
+    t.after(close);
+    const I18n = global('I18n');
+
+    assert.equal(I18n.negotiate(['ar-EG', 'en']), 'ar');
+    assert.equal(I18n.negotiate(['fr-FR', 'de']), 'en');
+
+    const english = new I18n('en');
+    assert.equal(english.t('repos.count', { count: 1 }), '1 repository');
+    assert.equal(english.t('repos.count', { count: 1234 }), '1,234 repositories');
+    assert.equal(english.t('bulk.tooMany', { max: 200 }), 'You can look up to 200 usernames at once.');
+
+    const arabic = new I18n('ar');
+    assert.equal(arabic.t('repos.count', { count: 1 }), 'مستودع واحد');
+    assert.equal(arabic.t('repos.count', { count: 2 }), 'مستودعان');
+    assert.equal(arabic.t('repos.count', { count: 5 }), `${arabic.formatNumber(5)} مستودعات`);
+    assert.equal(arabic.t('repos.count', { count: 11 }), `${arabic.formatNumber(11)} مستودعًا`);
+
+    // A key only the English catalog has
+    const missing = 'app.onlyInEnglish';
+    global('MESSAGES').en[missing] = 'Only in English';
+    assert.equal(arabic.t(missing), 'Only in English');
+    assert.equal(arabic.t('no.such.key'), 'no.such.key');
+
+    // Unknown languages fall back to English
+    assert.equal(new I18n('xx').locale, 'en');
+});
+
+test('API errors and status messages are shown in the chosen language', async (t) => {
+    const { app, global, close } = await createApp({
+        routes: { '/users/broken': { status: 401, body: { message: 'Bad credentials' } } },
+        storage: { 'github-locale': 'ar' }
+    });
+    t.after(close);
+    const MESSAGES = global('MESSAGES');
+
+    await search(app, 'broken');
+    assert.equal(app.errorText.textContent, MESSAGES.ar['api.unauthorized']);
+
+    app.compareInput.value = 'octocat';
+    await app.handleCompare();
+    assert.equal(app.compareStatus.textContent, MESSAGES.ar['compare.needTwo']);
+
+    await app.importUserData({ text: async () => '{not json' });
+    assert.equal(app.importStatus.textContent, MESSAGES.ar['import.invalidJson']);
+
+    // The English message stays on the error for logs
+    const error = app.api.toError({ status: 503 });
+    assert.equal(error.message, 'GitHub is having trouble right now (HTTP 503). Try again in a moment.');
+    assert.equal(app.describeError(error), 'يواجه GitHub مشكلة حاليًا (HTTP 503). حاول مرة أخرى بعد لحظات.');
+});
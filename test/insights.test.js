@@ -0,0 +1,46 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createApp, search } = require('./helpers/app');
+
+const ROUTES = {
+    '/users/octocat': 'users/octocat.json',
+    '/users/octocat/repos': 'users/octocat-repos.json',
+    '/repos/octocat/Hello-World/languages': { body: { C: 1200, Shell: 300 } },
+    '/users/hubot': 'users/hubot.json',
+    '/users/hubot/repos': { body: [] }
+};
+
+function activeMode(document) {
+    return document.querySelector('#languageModeToggle .active').getAttribute('data-language-mode');
+}
+
+test('repeated "By bytes" clicks share one byte count', async (t) => {
+    const { app, github, document, close } = await createApp({ routes: ROUTES });
+    t.after(close);
+
+    await search(app, 'octocat');
+    app.setOpenPanels(['insights']);
+
+    const bytes = document.querySelector('[data-language-mode="bytes"]');
+    bytes.click();
+    bytes.click();
+    await github.idle();
+
+    assert.equal(github.paths().filter(path => path === '/repos/octocat/Hello-World/languages').length, 1);
+    assert.deepEqual({ ...app.languageBytes.totals }, { C: 1200, Shell: 300 });
+    assert.equal(activeMode(document), 'bytes');
+});
+
+test('a new profile resets the language toggle to repository counts', async (t) => {
+    const { app, github, document, close } = await createApp({ routes: ROUTES });
+    t.after(close);
+
+    await search(app, 'octocat');
+    app.setOpenPanels(['insights']);
+    document.querySelector('[data-language-mode="bytes"]').click();
+    await github.idle();
+
+    await search(app, 'hubot');
+    assert.equal(app.languageMode, 'repos');
+    assert.equal(activeMode(document), 'repos');
+});
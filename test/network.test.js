@@ -0,0 +1,75 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createApp, search } = require('./helpers/app');
+
+const user = login => ({ login, avatar_url: `https://avatars.githubusercontent.com/u/1?v=4&login=${login}` });
+
+const ROUTES = {
+    '/users/octocat': 'users/octocat.json',
+    '/users/octocat/repos': 'users/octocat-repos.json',
+    '/users/octocat/followers': { body: [user('hubot'), user('ghost')] },
+    '/users/octocat/following': { body: [user('hubot')] },
+    '/users/hubot': 'users/hubot.json',
+    '/users/hubot/repos': { body: [] }
+};
+
+function badges(document, login) {
+    const card = document.querySelector(`#networkGrid [data-username="${login}"]`);
+    return [...card.querySelectorAll('.network-badge')].map(badge => badge.textContent.trim()).join();
+}
+
+test('the breadcrumb trail only grows once the next profile loads', async (t) => {
+    const { app, github, close } = await createApp({ routes: ROUTES });
+    t.after(close);
+
+    await search(app, 'octocat');
+
+    // ghost has no route, so the lookup fails with a 404
+    app.navigateToUser('ghost');
+    await github.idle();
+    assert.equal(app.breadcrumbs.length, 0);
+    assert.equal(app.breadcrumbTrail.classList.contains('hidden'), true);
+
+    app.navigateToUser('hubot');
+    await github.idle();
+    assert.equal(app.breadcrumbs.join(), 'octocat,hubot');
+    assert.equal(app.breadcrumbTrail.querySelectorAll('.crumb').length, 2);
+});
+
+test('without a token only mutual follows are marked', async (t) => {
+    const { app, github, document, close } = await createApp({ routes: ROUTES });
+    t.after(close);
+
+    await search(app, 'octocat');
+    app.openNetwork('followers');
+    await github.idle();
+
+    assert.equal(badges(document, 'hubot'), 'Mutual');
+    assert.equal(badges(document, 'ghost'), '');
+    assert.equal(app.networkHint.textContent, '1 mutual follow.');
+});
+
+test('with a token, followers of the signed-in account are marked', async (t) => {
+    const { app, github, document, close } = await createApp({
+        routes: {
+            ...ROUTES,
+            '/user': { body: { login: 'viewer' } },
+            '/user/followers': { body: [user('ghost')] }
+        },
+        storage: { 'github-token': 'ghp_test', 'github-graphql': 'off' }
+    });
+    t.after(close);
+    assert.equal(app.tokenInfo.login, 'viewer');
+
+    await search(app, 'octocat');
+    app.openNetwork('followers');
+    await github.idle();
+
+    assert.equal(badges(document, 'hubot'), 'Mutual');
+    assert.equal(badges(document, 'ghost'), 'Follows you');
+
+    // Fetched once, not again for the second tab
+    app.openNetwork('following');
+    await github.idle();
+    assert.equal(github.paths().filter(path => path === '/user/followers').length, 1);
+});
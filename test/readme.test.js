@@ -0,0 +1,100 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createApp, search } = require('./helpers/app');
+const { readFixture, rateLimitHeaders } = require('./helpers/mock-github');
+
+// Roughly what the API returns for application/vnd.github.html+json
+const README = `
+<div id="readme" class="md" data-path="README.md"><article class="markdown-body entry-content">
+<div class="markdown-heading"><h1 class="heading-element">Hi, I'm Octocat</h1></div>
+<p><a href="https://github.com/octocat"><img src="https://img.shields.io/github/followers/octocat" alt="Followers"></a>
+<img src="images/banner.png" alt="Banner" onerror="alert(1)"></p>
+<table><thead><tr><th>Language</th><th>Years</th></tr></thead><tbody><tr><td>Ruby</td><td>12</td></tr></tbody></table>
+<div class="highlight"><pre><code>gem install octokit</code></pre></div>
+<p>See <a href="docs/setup.md">the setup notes</a> or <a href="javascript:alert(1)">this</a>.</p>
+<script>alert(1)</script>
+</article></div>`;
+
+const ROUTES = {
+    '/users/octocat': 'users/octocat.json',
+    '/users/octocat/repos': 'users/octocat-repos.json',
+    '/repos/octocat/octocat/readme': { body: README }
+};
+
+test('the profile README is rendered under the profile header', async (t) => {
+    const { app, github, close } = await createApp({ routes: ROUTES });
+    t.after(close);
+
+    await search(app, 'octocat');
+    // The README loads after the profile is shown
+    await github.idle();
+
+    const body = app.profileReadmeBody;
+    assert.equal(app.profileReadme.classList.contains('hidden'), false);
+    assert.equal(app.profileReadme.open, true);
+    assert.equal(app.profileReadmeTitle.textContent, 'octocat/octocat/README.md');
+    assert.equal(body.querySelector('h1').textContent, "Hi, I'm Octocat");
+    assert.equal(body.querySelectorAll('table td').length, 2);
+    assert.equal(body.querySelector('pre code').textContent, 'gem install octokit');
+
+    const [badge, banner] = body.querySelectorAll('img');
+    assert.equal(badge.getAttribute('src'), 'https://img.shields.io/github/followers/octocat');
+    assert.equal(banner.getAttribute('src'), 'https://raw.githubusercontent.com/octocat/octocat/HEAD/images/banner.png');
+
+    const links = [...body.querySelectorAll('a')];
+    assert.equal(links[1].getAttribute('href'), 'https://github.com/octocat/octocat/blob/HEAD/docs/setup.md');
+    assert.equal(links[1].getAttribute('rel'), 'noopener noreferrer');
+    assert.equal(links[2].hasAttribute('href'), false);
+
+    assert.equal(body.querySelector('script'), null);
+    assert.equal(body.querySelector('[onerror], [class]'), null);
+});
+
+test('accounts without a profile README keep the section hidden', async (t) => {
+    const routes = { ...ROUTES };
+    delete routes['/repos/octocat/octocat/readme'];
+    const { app, github, close } = await createApp({ routes });
+    t.after(close);
+
+    await search(app, 'octocat');
+    await github.idle();
+
+    assert.equal(app.profileReadme.classList.contains('hidden'), true);
+    assert.equal(app.profileReadmeBody.innerHTML, '');
+});
+
+test('organizations use the README in their .github repository', async (t) => {
+    const { app, github, close } = await createApp({
+        routes: {
+            '/users/acme': { body: { login: 'acme', name: 'Acme', type: 'Organization', followers: 5, following: 0, public_repos: 0 } },
+            '/orgs/acme': { body: { login: 'acme', description: 'Widgets' } },
+            '/users/acme/repos': { body: [] },
+            '/repos/acme/.github/contents/profile/README.md': { body: '<p><img src="logo.svg" alt="Acme"></p>' }
+        }
+    });
+    t.after(close);
+
+    await search(app, 'acme');
+    await github.idle();
+
+    assert.equal(github.paths().includes('/repos/acme/acme/readme'), false);
+    assert.equal(app.profileReadmeTitle.textContent, 'acme/.github/profile/README.md');
+    assert.equal(app.profileReadmeBody.querySelector('img').getAttribute('src'), 'https://raw.githubusercontent.com/acme/.github/HEAD/profile/logo.svg');
+});
+
+test('the README is skipped once the quota is used up', async (t) => {
+    const { app, github, close } = await createApp({
+        routes: {
+            ...ROUTES,
+            '/users/octocat/repos': { body: readFixture('users/octocat-repos.json'), headers: rateLimitHeaders(0) }
+        }
+    });
+    t.after(close);
+
+    await search(app, 'octocat');
+    await github.idle();
+
+    assert.equal(app.profileSection.classList.contains('show'), true);
+    assert.equal(github.paths().includes('/repos/octocat/octocat/readme'), false);
+    assert.equal(app.profileReadme.classList.contains('hidden'), true);
+});
@@ -0,0 +1,148 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createApp, search } = require('./helpers/app');
+const { readFixture } = require('./helpers/mock-github');
+
+// Rendered README as the API returns it; GitHub proxies images and keeps the original URL
+const README = `
+<h1>Hi there 👋</h1>
+<p><a href="https://github.com/octocat/Hello-World"><img src="https://camo.githubusercontent.com/5f1e" data-canonical-src="https://github-readme-stats.vercel.app/api/pin/?username=octocat&amp;repo=Hello-World"></a>
+<a href="https://github.com/github/docs"><img src="https://camo.githubusercontent.com/9c2a" data-canonical-src="https://github-readme-stats.vercel.app/api/pin/?username=github&amp;repo=docs"></a></p>
+<p>Gists like <a href="https://gist.github.com/octocat/6cad326836d38bd3a7ae">this one</a>, <a href="https://github.com/sponsors/octocat">sponsors</a> and
+<a href="https://github.com/octocat/octocat">this README</a> are not repositories; <a href="https://github.com/octocat/gone">gone</a> was deleted.</p>`;
+
+function repo(fullName, extra = {}) {
+    const [owner, name] = fullName.split('/');
+    return {
+        name,
+        full_name: fullName,
+        owner: { login: owner },
+        html_url: `https://github.com/${fullName}`,
+        description: null,
+        fork: false,
+        private: false,
+        archived: false,
+        language: 'JavaScript',
+        stargazers_count: 10,
+        forks_count: 1,
+        topics: [],
+        updated_at: '2024-06-01T00:00:00Z',
+        pushed_at: '2024-06-01T00:00:00Z',
+        ...extra
+    };
+}
+
+const ROUTES = {
+    '/users/octocat': 'users/octocat.json',
+    '/users/octocat/repos': 'users/octocat-repos.json',
+    '/repos/octocat/octocat/readme': { body: README },
+    '/repos/github/docs': { body: repo('github/docs', { stargazers_count: 16000 }) },
+    '/users/octocat/starred?per_page=100': {
+        body: [repo('rails/rails'), repo('octocat/Spoon-Knife')],
+        headers: { Link: '<https://api.github.com/users/octocat/starred?per_page=100&page=2>; rel="next"' }
+    },
+    '/users/octocat/starred?per_page=100&page=2': { body: [repo('nodejs/node', { language: 'C++' })] }
+};
+
+function cardNames(document) {
+    return [...document.querySelectorAll('#reposList .repo-name')].map(link => link.textContent.trim());
+}
+
+async function openRepos(routes = ROUTES) {
+    const context = await createApp({ routes });
+    await search(context.app, 'octocat');
+    await context.github.idle();
+    context.app.setOpenPanels(['repos']);
+    return context;
+}
+
+test('without a token, pinned repositories come from the profile README', async (t) => {
+    const { app, github, document, close } = await openRepos();
+    t.after(close);
+
+    await app.setRepoTab('pinned');
+
+    assert.deepEqual([...app.currentPinned].map(item => item.full_name), ['octocat/Hello-World', 'github/docs']);
+    assert.deepEqual(cardNames(document).sort(), ['Hello-World', 'github/docs']);
+    assert.match(app.repoTabHint.textContent, /linked from the profile README/);
+    assert.equal(document.querySelector('[data-repo-tab="pinned"] .tab-count').textContent, '2');
+
+    // Own repositories are reused, other links are looked up once
+    const paths = github.paths();
+    assert.equal(paths.includes('/repos/octocat/Hello-World'), false);
+    assert.equal(paths.filter(path => path === '/repos/github/docs').length, 1);
+    assert.equal(paths.some(path => path.includes('sponsors') || path.includes('6cad326836d38bd3a7ae')), false);
+
+    // The README the profile already shows is reused, and pins load once per profile
+    await app.setRepoTab('owned');
+    await app.setRepoTab('pinned');
+    assert.equal(github.paths().filter(path => path.endsWith('/readme')).length, 1);
+});
+
+test('a profile without a README has no pinned repositories', async (t) => {
+    const routes = { ...ROUTES };
+    delete routes['/repos/octocat/octocat/readme'];
+    const { app, document, close } = await openRepos(routes);
+    t.after(close);
+
+    await app.setRepoTab('pinned');
+
+    assert.equal(app.currentPinned.length, 0);
+    assert.match(document.querySelector('#reposList .no-repos').textContent, /^No pinned repositories/);
+});
+
+test('starred repositories load every page and share the filters', async (t) => {
+    const { app, document, close } = await openRepos();
+    t.after(close);
+
+    await app.setRepoTab('starred');
+
+    assert.deepEqual(cardNames(document).sort(), ['Spoon-Knife', 'nodejs/node', 'rails/rails']);
+    assert.equal(document.querySelector('[data-repo-tab="starred"]').getAttribute('aria-selected'), 'true');
+    assert.equal(document.querySelector('[data-repo-tab="starred"] .tab-count').textContent, '3');
+    assert.deepEqual([...app.repoLanguageFilter.options].map(option => option.value), ['', 'C++', 'JavaScript']);
+
+    app.repoLanguageFilter.value = 'C++';
+    app.repoLanguageFilter.dispatchEvent(new app.root.defaultView.Event('change'));
+    assert.deepEqual(cardNames(document), ['nodejs/node']);
+    assert.equal(app.repoResultsCount.textContent, '1 of 3 repositories');
+
+    // Switching tabs starts from unfiltered results
+    await app.setRepoTab('owned');
+    assert.equal(app.repoLanguageFilter.value, '');
+    assert.equal(cardNames(document).length, readFixture('users/octocat-repos.json').length);
+});
+
+test('a failed tab can be retried', async (t) => {
+    const routes = { ...ROUTES, '/users/octocat/starred?per_page=100': { status: 500, body: { message: 'Server Error' } } };
+    const { app, github, document, close } = await openRepos(routes);
+    t.after(close);
+    app.api.maxRetries = 0;
+
+    await app.setRepoTab('starred');
+    assert.ok(document.querySelector('#reposList [data-retry-tab="starred"]'));
+
+    github.route('/users/octocat/starred?per_page=100', { body: [repo('rails/rails')] });
+    await app.setRepoTab('starred');
+    assert.deepEqual(cardNames(document), ['rails/rails']);
+});
+
+test('commits without a GitHub account get the identicon of the configured server', async (t) => {
+    const { app, github, document, close } = await createApp({
+        routes: {
+            '/api/v3/users/octocat': 'users/octocat.json',
+            '/api/v3/users/octocat/repos': 'users/octocat-repos.json',
+            '/api/v3/repos/octocat/Hello-World/commits': {
+                body: [{ sha: '7fd1a60b01f91b314f59955a4e4d4e80d8edf11d', html_url: 'https://ghe.example.com/octocat/Hello-World/commit/7fd1a60', author: null, commit: { message: 'Merge pull request #6', author: { name: 'The Octocat', date: '2024-06-01T00:00:00Z' } } }]
+            }
+        },
+        storage: { 'github-api-base': 'https://ghe.example.com/api/v3' }
+    });
+    t.after(close);
+
+    await search(app, 'octocat');
+    app.openRepoDrawer('octocat/Hello-World');
+    await github.idle();
+
+    assert.equal(document.querySelector('#drawerCommits .commit-item img').getAttribute('src'), 'https://ghe.example.com/identicons/ghost.png');
+});
@@ -0,0 +1,133 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createApp, search } = require('./helpers/app');
+
+const OCTOCAT = {
+    '/users/octocat': 'users/octocat.json',
+    '/users/octocat/repos': 'users/octocat-repos.json'
+};
+
+test('a successful search renders the profile and its repositories', async (t) => {
+    const { app, github, document, close } = await createApp({ routes: OCTOCAT });
+    t.after(close);
+
+    await search(app, 'octocat');
+
+    assert.equal(app.profileSection.classList.contains('show'), true);
+    assert.equal(app.errorMessage.classList.contains('show'), false);
+    assert.equal(app.profileName.textContent, 'The Octocat');
+    assert.equal(app.profileUsername.textContent, '@octocat');
+    assert.equal(app.followersCount.textContent, '18.7K');
+    assert.match(app.profileJoinDate.textContent, /^Joined \d+ years ago$/);
+    assert.equal(app.profileJoinDate.title, 'January 25, 2011');
+    assert.equal(app.githubLink.href, 'https://github.com/octocat');
+    // Plenty of quota left, so nothing ticks every second
+    assert.equal(app.rateLimitTimer, undefined);
+    assert.match(app.rateLimitCountdown.textContent, /^Resets at /);
+
+    app.setOpenPanels(['repos']);
+    const cards = [...document.querySelectorAll('#reposList .repo-card')];
+    assert.deepEqual(cards.map(card => card.dataset.repo), ['octocat/Hello-World', 'octocat/boysenberry-repo-1']);
+    assert.ok(github.paths().includes('/users/octocat/repos'));
+});
+
+test('an unknown user shows the not found message', async (t) => {
+    const { app, close } = await createApp();
+    t.after(close);
+
+    await search(app, 'no-such-user');
+
+    assert.equal(app.profileSection.classList.contains('show'), false);
+    assert.equal(app.errorMessage.classList.contains('show'), true);
+    assert.equal(app.errorText.textContent, 'User not found. Please check the username and try again.');
+    assert.equal(app.searchHistory.length, 0);
+});
+
+test('a 403 with an exhausted quota queues the search until the reset', async (t) => {
+    const reset = Math.floor(Date.now() / 1000) + 15 * 60;
+    const exhausted = {
+        status: 403,
+        body: { message: 'API rate limit exceeded for 127.0.0.1.' },
+        headers: {
+            'X-RateLimit-Limit': '60',
+            'X-RateLimit-Remaining': '0',
+            'X-RateLimit-Reset': String(reset),
+            'X-RateLimit-Resource': 'core'
+        }
+    };
+    const { app, close } = await createApp({
+        routes: { '/users/octocat': exhausted, '/users/octocat/repos': exhausted }
+    });
+    t.after(close);
+
+    await search(app, 'octocat');
+
+    assert.equal(app.rateLimit.remaining, 0);
+    assert.equal(app.rateLimit.reset, reset);
+    assert.equal(app.searchQueue.map(item => item.username).join(), 'octocat');
+    assert.match(app.errorText.textContent, /^API rate limit exceeded\. Your search for "octocat" is queued/);
+    assert.ok(app.rateLimitTimer);
+    assert.match(app.rateLimitCountdown.textContent, /^Resets in \d+:\d\d$/);
+    assert.equal(app.profileSection.classList.contains('show'), false);
+});
+
+test('a user without repositories still gets a profile', async (t) => {
+    const { app, github, document, close } = await createApp({
+        routes: {
+            '/users/hubot': 'users/hubot.json',
+            '/users/hubot/repos': { body: [] }
+        }
+    });
+    t.after(close);
+
+    await search(app, 'hubot');
+
+    assert.equal(app.profileSection.classList.contains('show'), true);
+    assert.equal(app.reposCount.textContent, '0');
+
+    app.setOpenPanels(['repos']);
+    assert.equal(document.querySelectorAll('#reposList .repo-card').length, 0);
+    assert.equal(document.querySelector('#reposList .no-repos').textContent, 'No repositories found');
+    assert.equal(app.partialError.classList.contains('hidden'), true);
+    assert.equal(github.paths().filter(path => path === '/users/hubot/repos').length, 1);
+});
+
+test('token and quota checks skip every HTTP cache', async (t) => {
+    const { github, close } = await createApp({
+        routes: { ...OCTOCAT, '/user': { body: { login: 'viewer' } } },
+        storage: { 'github-token': 'ghp_test', 'github-graphql': 'off' }
+    });
+    t.after(close);
+
+    const checks = github.requests.filter(request => ['/user', '/rate_limit'].includes(request.path));
+    assert.ok(checks.some(request => request.path === '/user'));
+    assert.ok(checks.some(request => request.path === '/rate_limit'));
+    checks.forEach(request => assert.equal(request.cache, 'no-store', request.path));
+});
+
+test('a response that does not fit in storage is still shown', async (t) => {
+    const { app, window, close } = await createApp({ routes: OCTOCAT });
+    t.after(close);
+
+    const setItem = window.Storage.prototype.setItem;
+    window.Storage.prototype.setItem = function (key, value) {
+        if (key.startsWith(app.api.cachePrefix)) throw new window.DOMException('Quota exceeded', 'QuotaExceededError');
+        return setItem.call(this, key, value);
+    };
+
+    await search(app, 'octocat');
+    assert.equal(app.profileName.textContent, 'The Octocat');
+    assert.equal(app.api.writeCache('probe', { data: {}, cachedAt: Date.now() }).name, 'QuotaExceededError');
+});
+
+test('GraphQL responses are cached per operation and variables', async (t) => {
+    const { app, global, close } = await createApp();
+    t.after(close);
+    const key = (query, variables) => app.api.graphqlCacheKey(global(query), variables);
+
+    assert.equal(key('PROFILE_QUERY', { login: 'octocat' }), 'https://api.github.com/graphql#profile?login=octocat');
+    // Logins are case-insensitive, like REST paths
+    assert.equal(key('PROFILE_QUERY', { login: 'OctoCat' }), key('PROFILE_QUERY', { login: 'octocat' }));
+    assert.notEqual(key('PROFILE_QUERY', { login: 'hubot' }), key('PROFILE_QUERY', { login: 'octocat' }));
+    assert.equal(key('REPOSITORIES_QUERY', { login: 'octocat', after: 'Y3Vyc29yOjEwMA==' }), 'https://api.github.com/graphql#repositories?after=Y3Vyc29yOjEwMA%3D%3D&login=octocat');
+});
@@ -0,0 +1,206 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createApp, search } = require('./helpers/app');
+
+const ROUTES = {
+    '/users/octocat': 'users/octocat.json',
+    '/users/octocat/repos': 'users/octocat-repos.json',
+    '/users/hubot': 'users/hubot.json',
+    '/users/hubot/repos': { body: [] }
+};
+
+function storedHistory(window) {
+    return JSON.parse(window.localStorage.getItem('github-search-history'));
+}
+
+test('successful searches are saved to the history, newest first', async (t) => {
+    const { app, window, close } = await createApp({ routes: ROUTES });
+    t.after(close);
+
+    await search(app, 'octocat');
+    await search(app, 'hubot');
+    assert.deepEqual(storedHistory(window), ['hubot', 'octocat']);
+
+    // Searching again moves the entry to the front instead of adding a duplicate
+    await search(app, 'OCTOCAT');
+    assert.deepEqual(storedHistory(window), ['octocat', 'hubot']);
+    assert.equal(app.searchHistoryBar.classList.contains('hidden'), false);
+    assert.equal(app.historyList.querySelectorAll('.history-btn').length, 2);
+});
+
+test('failed searches are not saved to the history', async (t) => {
+    const { app, window, close } = await createApp({ routes: ROUTES });
+    t.after(close);
+
+    await search(app, 'no-such-user');
+
+    assert.equal(window.localStorage.getItem('github-search-history'), null);
+    assert.equal(app.searchHistoryBar.classList.contains('hidden'), true);
+});
+
+test('the history is capped and can be cleared', async (t) => {
+    const { app, window, close } = await createApp();
+    t.after(close);
+
+    for (let i = 0; i < app.maxHistory + 5; i++) {
+        app.recordSearch(`user-${i}`);
+    }
+    const history = storedHistory(window);
+    assert.equal(history.length, app.maxHistory);
+    assert.equal(history[0], `user-${app.maxHistory + 4}`);
+
+    app.clearHistory();
+    assert.equal(window.localStorage.getItem('github-search-history'), null);
+    assert.equal(app.searchHistoryBar.classList.contains('hidden'), true);
+});
+
+test('a saved history is restored and a corrupt one ignored', async (t) => {
+    const saved = await createApp({ storage: { 'github-search-history': JSON.stringify(['hubot', 'octocat']) } });
+    t.after(saved.close);
+    assert.deepEqual([...saved.app.searchHistory], ['hubot', 'octocat']);
+    assert.equal(saved.app.historyList.querySelectorAll('.history-btn').length, 2);
+
+    const corrupt = await createApp({ storage: { 'github-search-history': '{not json' } });
+    t.after(corrupt.close);
+    assert.equal(corrupt.app.searchHistory.length, 0);
+});
+
+test('the theme toggle remembers the choice', async (t) => {
+    const { app, window, document, close } = await createApp();
+    t.after(close);
+    app.addThemeToggle();
+
+    const toggle = document.querySelector('.theme-toggle');
+    assert.equal(document.body.classList.contains('light-theme'), false);
+
+    toggle.click();
+    assert.equal(document.body.classList.contains('light-theme'), true);
+    assert.equal(window.localStorage.getItem('theme'), 'light');
+
+    toggle.click();
+    assert.equal(document.body.classList.contains('light-theme'), false);
+    assert.equal(window.localStorage.getItem('theme'), 'dark');
+});
+
+test('a saved light theme is applied on start', async (t) => {
+    const { app, document, close } = await createApp({ storage: { theme: 'light' } });
+    t.after(close);
+    app.addThemeToggle();
+
+    assert.equal(document.body.classList.contains('light-theme'), true);
+    assert.ok(document.querySelector('.theme-toggle .fa-sun'));
+});
+
+test('imported watchlist entries and snapshots are checked field by field', async (t) => {
+    const { app, window, close } = await createApp();
+    t.after(close);
+
+    const snapshot = {
+        takenAt: 1700000000000,
+        profile: { name: 'The Octocat', followers: 10, following: 2, public_repos: 8, extra: 'dropped' },
+        repos: { 'Hello-World': 5 }
+    };
+    const backup = {
+        watchlist: [
+            { login: 'octocat', name: 42, followers: '10', lastSeen: 'yesterday', isAdmin: true },
+            { login: 'not a login' },
+            { name: 'no login' }
+        ],
+        snapshots: {
+            octocat: [snapshot, { takenAt: 'soon', profile: {}, repos: {} }, { ...snapshot, repos: { x: -1 } }]
+        }
+    };
+    await app.importUserData({ text: async () => JSON.stringify(backup) });
+
+    assert.equal(app.watchlist.length, 1);
+    const [entry] = app.watchlist;
+    assert.equal(entry.login, 'octocat');
+    assert.equal(entry.name, null);
+    assert.equal(entry.followers, 0);
+    assert.equal(Number.isFinite(entry.lastSeen), true);
+    assert.equal(entry.lastChecked, 0);
+    assert.equal('isAdmin' in entry, false);
+
+    const stored = JSON.parse(window.localStorage.getItem('github-snapshots:octocat'));
+    assert.equal(stored.length, 1);
+    assert.equal(stored[0].profile.name, 'The Octocat');
+    assert.equal('extra' in stored[0].profile, false);
+    assert.equal(app.importStatus.textContent, 'Imported 0 history entries and 1 new watched profile.');
+});
+
+test('the background watchlist check records every attempt', async (t) => {
+    const hubot = JSON.parse(JSON.stringify(require('./fixtures/users/hubot.json')));
+    const lastWeek = Date.now() - 7 * 24 * 60 * 60 * 1000;
+    const watched = login => ({ login, followers: 0, public_repos: 0, addedAt: lastWeek, lastSeen: lastWeek, lastChecked: lastWeek, pendingChanges: 0 });
+    const hubotSnapshot = {
+        takenAt: lastWeek,
+        profile: { name: hubot.name, bio: hubot.bio, company: hubot.company, location: hubot.location, blog: hubot.blog, followers: hubot.followers, following: hubot.following, public_repos: hubot.public_repos },
+        repos: {}
+    };
+
+    const { app, github, window, close } = await createApp({
+        routes: ROUTES,
+        storage: {
+            'github-watchlist': JSON.stringify(['octocat', 'hubot', 'ghost'].map(watched)),
+            'github-snapshots:hubot': JSON.stringify([hubotSnapshot])
+        }
+    });
+    t.after(close);
+    await github.idle();
+
+    const snapshots = login => JSON.parse(window.localStorage.getItem(`github-snapshots:${login}`));
+
+    // Checked, including the profile that no longer exists
+    app.watchlist.forEach(entry => assert.ok(entry.lastChecked > lastWeek, entry.login));
+
+    // No snapshot yet: the check becomes the baseline
+    assert.equal(snapshots('octocat').length, 1);
+    assert.equal(snapshots('octocat')[0].profile.followers, 18734);
+
+    // Nothing changed: the existing snapshot is moved forward, not duplicated
+    assert.equal(snapshots('hubot').length, 1);
+    assert.ok(snapshots('hubot')[0].takenAt > lastWeek);
+    assert.equal(app.watchlist.find(entry => entry.login === 'hubot').pendingChanges, 0);
+    assert.equal(snapshots('ghost'), null);
+});
+
+test('a path-like search is rejected and a corrupt history entry is dropped', async (t) => {
+    const { app, github, window, close } = await createApp({
+        routes: ROUTES,
+        storage: { 'github-search-history': JSON.stringify([null, 'hubot', 42]) }
+    });
+    t.after(close);
+    assert.deepEqual([...app.searchHistory], ['hubot']);
+
+    await search(app, 'octocat/repos');
+    assert.equal(github.paths().includes('/users/octocat/repos'), false);
+    assert.equal(app.errorText.textContent, 'That is not a valid GitHub username. Usernames use letters, digits and single hyphens.');
+    assert.deepEqual(storedHistory(window), [null, 'hubot', 42]);
+
+    await search(app, 'octocat');
+    assert.equal(app.errorMessage.classList.contains('show'), false);
+    assert.deepEqual(storedHistory(window), ['octocat', 'hubot']);
+});
+
+test('a full storage is reported once instead of on every snapshot', async (t) => {
+    const now = Date.now();
+    const watched = login => ({ login, followers: 0, public_repos: 0, addedAt: now, lastSeen: now, lastChecked: now, pendingChanges: 0 });
+    const { app, window, document, close } = await createApp({
+        routes: ROUTES,
+        storage: { 'github-watchlist': JSON.stringify(['octocat', 'hubot'].map(watched)) }
+    });
+    t.after(close);
+
+    const setItem = window.Storage.prototype.setItem;
+    window.Storage.prototype.setItem = function (key, value) {
+        if (key.startsWith('github-snapshots:')) throw new window.DOMException('Quota exceeded', 'QuotaExceededError');
+        return setItem.call(this, key, value);
+    };
+
+    await search(app, 'octocat');
+    await search(app, 'hubot');
+
+    const notices = document.querySelectorAll('.notification-warning');
+    assert.equal(notices.length, 1);
+    assert.match(notices[0].textContent, /storage is full/);
+});